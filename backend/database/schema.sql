@@ -32,6 +32,102 @@ CREATE INDEX IF NOT EXISTS idx_game_scores_created_at ON game_scores(created_at
 -- Composite index for leaderboards
 CREATE INDEX IF NOT EXISTS idx_game_scores_leaderboard ON game_scores(game_type, score DESC, created_at DESC);
 
+-- Per-game score distribution summaries for cross-game normalization,
+-- refreshed incrementally from game_scores rows after last_score_id
+CREATE TABLE IF NOT EXISTS score_distributions (
+    game_type VARCHAR(50) PRIMARY KEY,
+    sample_count INTEGER NOT NULL DEFAULT 0,
+    mean DOUBLE PRECISION NOT NULL DEFAULT 0,
+    m2 DOUBLE PRECISION NOT NULL DEFAULT 0,
+    histogram JSONB DEFAULT '{}',
+    last_score_id INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Lobby rooms, written through by the room service so the host, members and bans
+-- of rooms with a running tournament survive a restart. state holds the room record.
+CREATE TABLE IF NOT EXISTS rooms (
+    id VARCHAR(64) PRIMARY KEY,
+    host_id VARCHAR(64),
+    is_private BOOLEAN NOT NULL DEFAULT FALSE,
+    state JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tournaments, written through by the tournament service so running ones survive a restart.
+-- Columns hold what history queries need; state holds the rest of the tournament record.
+CREATE TABLE IF NOT EXISTS tournaments (
+    id VARCHAR(64) PRIMARY KEY,
+    room_id VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    format VARCHAR(20) NOT NULL DEFAULT 'standard',
+    current_round INTEGER NOT NULL DEFAULT 0,
+    max_rounds INTEGER NOT NULL,
+    seed BIGINT,
+    settings JSONB DEFAULT '{}',
+    state JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_status ON tournaments(status);
+CREATE INDEX IF NOT EXISTS idx_tournaments_created_at ON tournaments(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS tournament_players (
+    tournament_id VARCHAR(64) REFERENCES tournaments(id) ON DELETE CASCADE,
+    player_id VARCHAR(64) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    is_bot BOOLEAN NOT NULL DEFAULT FALSE,
+    team_id VARCHAR(20),
+    total_score DOUBLE PRECISION NOT NULL DEFAULT 0,
+    total_points DOUBLE PRECISION NOT NULL DEFAULT 0,
+    session_token VARCHAR(64),
+    player_key VARCHAR(64), -- the client's own id for the player, the same in every tournament
+    data JSONB DEFAULT '{}',
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tournament_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_players_player_key ON tournament_players(player_key);
+
+CREATE TABLE IF NOT EXISTS tournament_rounds (
+    tournament_id VARCHAR(64) REFERENCES tournaments(id) ON DELETE CASCADE,
+    round_number INTEGER NOT NULL,
+    game_type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    sudden_death BOOLEAN NOT NULL DEFAULT FALSE,
+    started_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    data JSONB DEFAULT '{}',
+    PRIMARY KEY (tournament_id, round_number)
+);
+
+CREATE TABLE IF NOT EXISTS round_scores (
+    tournament_id VARCHAR(64) NOT NULL,
+    round_number INTEGER NOT NULL,
+    player_id VARCHAR(64) NOT NULL,
+    score DOUBLE PRECISION NOT NULL DEFAULT 0,
+    points DOUBLE PRECISION,
+    status VARCHAR(20) NOT NULL DEFAULT 'finished',
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tournament_id, round_number, player_id),
+    FOREIGN KEY (tournament_id, round_number) REFERENCES tournament_rounds(tournament_id, round_number) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_round_scores_player_id ON round_scores(player_id);
+
+CREATE TABLE IF NOT EXISTS tournament_events (
+    tournament_id VARCHAR(64) REFERENCES tournaments(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    type VARCHAR(40) NOT NULL,
+    data JSONB DEFAULT '{}',
+    at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (tournament_id, seq)
+);
+
 -- Insert a default anonymous user for testing
 INSERT INTO users (username, email) VALUES ('anonymous', 'anonymous@minigamehub.com')
 ON CONFLICT (username) DO NOTHING;
\ No newline at end of file
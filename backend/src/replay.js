@@ -0,0 +1,37 @@
+/**
+ * Replay an exported tournament log offline and check its final leaderboard
+ *
+ * Usage: npm run replay -- path/to/log.json
+ * (the file is the body of GET /api/tournaments/:tournamentId/log)
+ */
+import fs from 'fs';
+import { ReplayService } from './services/replayService.js';
+
+const file = process.argv[2];
+if (!file) {
+  console.error('Usage: npm run replay -- <log.json>');
+  process.exit(1);
+}
+
+try {
+  const events = ReplayService.readExport(JSON.parse(fs.readFileSync(file, 'utf8')));
+  const { leaderboard, expected, matches } = ReplayService.replay(events);
+
+  console.log('\nReplayed leaderboard:');
+  console.table(leaderboard.map(({ rank, playerId, playerName, points, totalScore }) => ({ rank, playerId, playerName, points, totalScore })));
+
+  if (matches === null) {
+    console.log('The log has no leaderboard to compare with (no round was completed)');
+  } else if (matches) {
+    console.log('✅ The replay matches the leaderboard in the log');
+  } else {
+    console.log('❌ The replay differs from the leaderboard in the log:');
+    console.table(expected.map(({ rank, playerId, playerName, points, totalScore }) => ({ rank, playerId, playerName, points, totalScore })));
+  }
+
+  // The tournament service keeps a cleanup interval running
+  process.exit(matches === false ? 1 : 0);
+} catch (error) {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,66 @@
+/**
+ * Room Routes - API endpoints for browsing lobby rooms
+ */
+import express from 'express';
+import roomService from '../services/roomService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/rooms
+ * List open rooms (pass ?includeFull=true to also list full rooms)
+ */
+router.get('/', (req, res) => {
+  try {
+    const includeFull = req.query.includeFull === 'true';
+    const rooms = roomService.listRooms({ includeFull });
+
+    res.json({
+      success: true,
+      data: {
+        rooms,
+        total: rooms.length
+      }
+    });
+  } catch (error) {
+    console.error('Error listing rooms:', error);
+    res.status(500).json({
+      error: 'Failed to list rooms',
+      code: 'ROOM_LIST_FAILED'
+    });
+  }
+});
+
+/**
+ * GET /api/rooms/:roomId
+ * Get a single public room with its members
+ */
+router.get('/:roomId', (req, res) => {
+  try {
+    const room = roomService.getRoom(req.params.roomId);
+
+    // Private rooms are only reachable through their join code
+    if (!room || room.isPrivate) {
+      return res.status(404).json({
+        error: 'Room does not exist',
+        code: 'ROOM_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...roomService.getRoomSummary(room),
+        players: roomService.getMembers(room.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting room:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve room',
+      code: 'ROOM_FETCH_FAILED'
+    });
+  }
+});
+
+export default router;
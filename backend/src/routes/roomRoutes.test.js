@@ -0,0 +1,78 @@
+/**
+ * Room Routes Tests
+ */
+import request from 'supertest';
+import express from 'express';
+import roomRoutes from './roomRoutes.js';
+import roomService from '../services/roomService.js';
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/rooms', roomRoutes);
+
+describe('Room Routes', () => {
+  beforeEach(() => {
+    // Clear all rooms before each test
+    roomService.rooms.clear();
+    roomService.playerRooms.clear();
+    roomService.joinCodes.clear();
+  });
+
+  describe('GET /api/rooms', () => {
+    test('should list open rooms', async () => {
+      const room = roomService.createRoom('host-1', { roomName: 'Lunch League', playerName: 'Alice' });
+      roomService.createRoom('host-2', { roomName: 'Solo', maxPlayers: 1 });
+
+      const response = await request(app).get('/api/rooms');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.rooms[0]).toMatchObject({
+        roomId: room.id,
+        roomName: 'Lunch League',
+        hostName: 'Alice',
+        playerCount: 1,
+        maxPlayers: 8
+      });
+    });
+
+    test('should include full rooms when requested', async () => {
+      roomService.createRoom('host-1', { maxPlayers: 1 });
+
+      const response = await request(app).get('/api/rooms?includeFull=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.total).toBe(1);
+    });
+  });
+
+  describe('GET /api/rooms/:roomId', () => {
+    test('should return room with its players', async () => {
+      const room = roomService.createRoom('host-1', { playerName: 'Alice' });
+      roomService.joinRoom(room.id, 'player-2', { name: 'Bob' });
+
+      const response = await request(app).get(`/api/rooms/${room.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.roomId).toBe(room.id);
+      expect(response.body.data.players.map(player => player.name)).toEqual(['Alice', 'Bob']);
+    });
+
+    test('should not expose private rooms', async () => {
+      const room = roomService.createRoom('host-1', { isPrivate: true });
+
+      const response = await request(app).get(`/api/rooms/${room.id}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should return 404 for unknown room', async () => {
+      const response = await request(app).get('/api/rooms/missing-room');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('ROOM_NOT_FOUND');
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import express from 'express';
 import { ScoreService } from '../services/scoreService.js';
+import normalizationService from '../services/normalizationService.js';
 
 const router = express.Router();
 
@@ -39,8 +40,10 @@ router.post('/jetpack', async (req, res) => {
       }
     };
 
-    // Submit score
+    // Compare with the runs before this one, then store it
+    const comparison = await normalizationService.compareScore('jetpack', scoreData.score);
     const result = await ScoreService.submitScore(scoreData);
+    normalizationService.refresh('jetpack').catch(() => null);
 
     // Return success response
     res.status(201).json({
@@ -52,7 +55,8 @@ router.post('/jetpack', async (req, res) => {
         distance: result.distance,
         coins: result.coinsCollected,
         time: result.gameTime,
-        submittedAt: result.createdAt
+        submittedAt: result.createdAt,
+        comparison // {percentile, zScore, runs}, or null without history
       }
     });
 
@@ -29,6 +29,17 @@ jest.unstable_mockModule('../services/scoreService.js', () => ({
   }
 }));
 
+// Mock the normalization service
+const mockCompareScore = jest.fn();
+const mockRefresh = jest.fn();
+
+jest.unstable_mockModule('../services/normalizationService.js', () => ({
+  default: {
+    compareScore: mockCompareScore,
+    refresh: mockRefresh
+  }
+}));
+
 // Import after mocking
 const { default: scoreRoutes } = await import('./scoreRoutes.js');
 import express from 'express';
@@ -40,6 +51,8 @@ app.use('/api/score', scoreRoutes);
 describe('Score Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockCompareScore.mockResolvedValue(null);
+    mockRefresh.mockResolvedValue(null);
   });
 
   describe('POST /api/score/jetpack', () => {
@@ -87,6 +100,20 @@ describe('Score Routes', () => {
       });
     });
 
+    it('should compare the score with earlier runs and refresh the distribution', async () => {
+      mockCompareScore.mockResolvedValue({ percentile: 87, zScore: 1.1, runs: 200 });
+      mockSubmitScore.mockResolvedValue({ id: 2, score: 2400, distance: 0, coinsCollected: 0, gameTime: 0 });
+
+      const response = await request(app)
+        .post('/api/score/jetpack')
+        .send({ score: 2400 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.comparison).toEqual({ percentile: 87, zScore: 1.1, runs: 200 });
+      expect(mockCompareScore).toHaveBeenCalledWith('jetpack', 2400);
+      expect(mockRefresh).toHaveBeenCalledWith('jetpack');
+    });
+
     it('should handle missing score', async () => {
       const response = await request(app)
         .post('/api/score/jetpack')
@@ -0,0 +1,230 @@
+/**
+ * Tournament Routes - API endpoints for tournament data
+ */
+import express from 'express';
+import tournamentService, { TOURNAMENT_STATUSES, PLAYER_KEY_PATTERN } from '../services/tournamentService.js';
+import { HistoryService } from '../services/historyService.js';
+
+const router = express.Router();
+
+/**
+ * Page size and offset from the query string
+ */
+function paging(req) {
+  return {
+    limit: Math.min(parseInt(req.query.limit) || 20, 100), // Max 100 entries
+    offset: Math.max(parseInt(req.query.offset) || 0, 0)
+  };
+}
+
+/**
+ * A log entry as exported; logs written before player keys were left out of
+ * player_joined entries still carry them
+ */
+function exportedEvent(event) {
+  if (!event.data || !event.data.playerData || !('playerKey' in event.data.playerData)) return event;
+
+  const playerData = { ...event.data.playerData };
+  delete playerData.playerKey;
+  return { ...event, data: { ...event.data, playerData } };
+}
+
+/**
+ * GET /api/tournaments - List tournaments, newest first
+ * Filters: status (comma-separated), roomId, playerId, playerKey, from, to (creation date)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, roomId, playerId, playerKey, from, to } = req.query;
+    const statuses = status ? String(status).split(',') : [];
+
+    const unknown = statuses.find(value => !TOURNAMENT_STATUSES.includes(value));
+    if (unknown !== undefined) {
+      return res.status(400).json({
+        error: `Status must be one of ${TOURNAMENT_STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const dates = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          error: `Invalid ${name} date`,
+          code: 'INVALID_DATE'
+        });
+      }
+      dates[name] = date.toISOString();
+    }
+
+    const { limit, offset } = paging(req);
+    const { tournaments, total } = await HistoryService.listTournaments(
+      { statuses, roomId, playerId, playerKey, ...dates },
+      limit,
+      offset
+    );
+
+    res.json({
+      success: true,
+      data: {
+        tournaments,
+        total,
+        limit,
+        offset
+      }
+    });
+  } catch (error) {
+    console.error('Error listing tournaments:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve tournaments',
+      code: 'TOURNAMENTS_FETCH_FAILED'
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/players/:playerKey/history
+ * Get the tournaments a player took part in, with their placements
+ *
+ * Keyed by the player key the client sends with join_tournament, not the player
+ * id: player ids are socket ids, so they change every session.
+ */
+router.get('/players/:playerKey/history', async (req, res) => {
+  try {
+    const { playerKey } = req.params;
+    if (!PLAYER_KEY_PATTERN.test(playerKey)) {
+      return res.status(400).json({
+        error: 'Player key must be 8 to 64 letters, digits, - or _',
+        code: 'INVALID_PLAYER_KEY'
+      });
+    }
+
+    const { limit, offset } = paging(req);
+    const { history, total } = await HistoryService.getPlayerHistory(playerKey, limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        playerKey,
+        history,
+        total,
+        limit,
+        offset
+      }
+    });
+  } catch (error) {
+    console.error('Error getting player history:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve player history',
+      code: 'PLAYER_HISTORY_FETCH_FAILED'
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/:tournamentId
+ * Get a tournament with its rounds, scores and final standings
+ */
+router.get('/:tournamentId', async (req, res) => {
+  try {
+    const tournament = await HistoryService.getTournament(req.params.tournamentId);
+
+    if (!tournament) {
+      return res.status(404).json({
+        error: 'Tournament does not exist',
+        code: 'TOURNAMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tournament
+    });
+  } catch (error) {
+    console.error('Error getting tournament:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve tournament',
+      code: 'TOURNAMENT_FETCH_FAILED'
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/:tournamentId/log
+ * Export a tournament's event log, oldest entry first; ReplayService (or
+ * `npm run replay`) rebuilds the tournament from it
+ */
+router.get('/:tournamentId/log', async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+
+    // Running tournaments have their log in memory; older ones only in the database
+    const events = tournamentService.getEventLog(tournamentId) || await HistoryService.getEventLog(tournamentId);
+    if (events.length === 0) {
+      return res.status(404).json({
+        error: 'Tournament does not exist',
+        code: 'TOURNAMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tournamentId,
+        exportedAt: new Date().toISOString(),
+        events: events.map(exportedEvent)
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting event log:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve event log',
+      code: 'EVENT_LOG_FETCH_FAILED'
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/:tournamentId/bracket
+ * Get the bracket of a bracket-format tournament
+ */
+router.get('/:tournamentId/bracket', (req, res) => {
+  try {
+    const tournament = tournamentService.getTournament(req.params.tournamentId);
+
+    if (!tournament) {
+      return res.status(404).json({
+        error: 'Tournament does not exist',
+        code: 'TOURNAMENT_NOT_FOUND'
+      });
+    }
+
+    const bracket = tournamentService.getBracketView(tournament.id);
+    if (!bracket) {
+      return res.status(404).json({
+        error: 'Tournament has no bracket',
+        code: 'BRACKET_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tournamentId: tournament.id,
+        status: tournament.status,
+        currentRound: tournament.currentRound,
+        bracket
+      }
+    });
+  } catch (error) {
+    console.error('Error getting bracket:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve bracket',
+      code: 'BRACKET_FETCH_FAILED'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,228 @@
+/**
+ * Tournament Routes Tests
+ */
+import request from 'supertest';
+import express from 'express';
+import { jest } from '@jest/globals';
+
+// Mock the HistoryService
+const mockListTournaments = jest.fn();
+const mockGetTournament = jest.fn();
+const mockGetPlayerHistory = jest.fn();
+const mockGetEventLog = jest.fn();
+
+jest.unstable_mockModule('../services/historyService.js', () => ({
+  HistoryService: {
+    listTournaments: mockListTournaments,
+    getTournament: mockGetTournament,
+    getPlayerHistory: mockGetPlayerHistory,
+    getEventLog: mockGetEventLog
+  }
+}));
+
+// Import after mocking
+const { default: tournamentRoutes } = await import('./tournamentRoutes.js');
+const { default: tournamentService } = await import('../services/tournamentService.js');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/tournaments', tournamentRoutes);
+
+describe('Tournament Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    // Deleting also stops round timers and removes bots
+    Array.from(tournamentService.tournaments.keys()).forEach(tournamentId => {
+      tournamentService.deleteTournament(tournamentId);
+    });
+  });
+
+  describe('GET /api/tournaments/:tournamentId/bracket', () => {
+    test('should return the bracket with player names and seeds', async () => {
+      const tournament = tournamentService.createTournament('room-123', {
+        format: 'bracket',
+        seeding: 'rating',
+        autoFillWithBots: false
+      });
+      tournamentService.addPlayer(tournament.id, 'player-1', { name: 'Alice', rating: 1400 });
+      tournamentService.addPlayer(tournament.id, 'player-2', { name: 'Bob', rating: 1100 });
+      tournamentService.addPlayer(tournament.id, 'player-3', { name: 'Cara', rating: 1250 });
+      tournamentService.startTournament(tournament.id);
+
+      const response = await request(app).get(`/api/tournaments/${tournament.id}/bracket`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.bracket).toMatchObject({ type: 'single', size: 4, status: 'active' });
+      expect(response.body.data.bracket.matches[0]).toMatchObject({
+        id: 'W1-1',
+        status: 'completed',
+        players: [{ playerId: 'player-1', playerName: 'Alice', seed: 1, isBot: false }, null],
+        byes: [false, true]
+      });
+    });
+
+    test('should return 404 for a tournament without a bracket', async () => {
+      const tournament = tournamentService.createTournament('room-123');
+
+      const response = await request(app).get(`/api/tournaments/${tournament.id}/bracket`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('BRACKET_NOT_FOUND');
+    });
+
+    test('should return 404 for unknown tournament', async () => {
+      const response = await request(app).get('/api/tournaments/unknown/bracket');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('TOURNAMENT_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/tournaments', () => {
+    test('should list tournaments with the given filters', async () => {
+      mockListTournaments.mockResolvedValue({ tournaments: [{ tournamentId: 'tournament-1', status: 'completed' }], total: 1 });
+
+      const response = await request(app)
+        .get('/api/tournaments')
+        .query({ status: 'completed,aborted', roomId: 'room-123', playerId: 'player-1', from: '2026-01-01', limit: 500 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        tournaments: [{ tournamentId: 'tournament-1', status: 'completed' }],
+        total: 1,
+        limit: 100,
+        offset: 0
+      });
+      expect(mockListTournaments).toHaveBeenCalledWith({
+        statuses: ['completed', 'aborted'],
+        roomId: 'room-123',
+        playerId: 'player-1',
+        from: '2026-01-01T00:00:00.000Z'
+      }, 100, 0);
+    });
+
+    test('should reject unknown statuses and bad dates', async () => {
+      const badStatus = await request(app).get('/api/tournaments').query({ status: 'finished' });
+      const badDate = await request(app).get('/api/tournaments').query({ to: 'yesterday' });
+
+      expect(badStatus.status).toBe(400);
+      expect(badStatus.body.code).toBe('INVALID_STATUS');
+      expect(badDate.status).toBe(400);
+      expect(badDate.body.code).toBe('INVALID_DATE');
+      expect(mockListTournaments).not.toHaveBeenCalled();
+    });
+
+    test('should handle database errors', async () => {
+      mockListTournaments.mockRejectedValue(new Error('Failed to retrieve tournaments'));
+
+      const response = await request(app).get('/api/tournaments');
+
+      expect(response.status).toBe(500);
+      expect(response.body.code).toBe('TOURNAMENTS_FETCH_FAILED');
+    });
+  });
+
+  describe('GET /api/tournaments/:tournamentId', () => {
+    test('should return the tournament with rounds and standings', async () => {
+      const tournament = {
+        tournamentId: 'tournament-1',
+        status: 'completed',
+        rounds: [{ number: 1, game: 'dino', scores: [{ playerId: 'player-1', score: 500 }] }],
+        standings: [{ rank: 1, playerId: 'player-1' }]
+      };
+      mockGetTournament.mockResolvedValue(tournament);
+
+      const response = await request(app).get('/api/tournaments/tournament-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(tournament);
+      expect(mockGetTournament).toHaveBeenCalledWith('tournament-1');
+    });
+
+    test('should return 404 for unknown tournament', async () => {
+      mockGetTournament.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/tournaments/unknown');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('TOURNAMENT_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/tournaments/players/:playerKey/history', () => {
+    test('should return the player history with paging', async () => {
+      mockGetPlayerHistory.mockResolvedValue({ history: [{ tournamentId: 'tournament-1', placement: 2 }], total: 7 });
+
+      const response = await request(app).get('/api/tournaments/players/alice-key-1/history').query({ limit: 5, offset: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        playerKey: 'alice-key-1',
+        history: [{ tournamentId: 'tournament-1', placement: 2 }],
+        total: 7,
+        limit: 5,
+        offset: 5
+      });
+      expect(mockGetPlayerHistory).toHaveBeenCalledWith('alice-key-1', 5, 5);
+    });
+
+    test('should reject malformed player keys', async () => {
+      const response = await request(app).get('/api/tournaments/players/short/history');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_PLAYER_KEY');
+      expect(mockGetPlayerHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/tournaments/:tournamentId/log', () => {
+    test('should export the log of a tournament in memory', async () => {
+      const tournament = tournamentService.createTournament('room-123');
+      tournamentService.addPlayer(tournament.id, 'player-1', { name: 'Alice', playerKey: 'alice-key-1' });
+
+      const response = await request(app).get(`/api/tournaments/${tournament.id}/log`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tournamentId).toBe(tournament.id);
+      expect(response.body.data.events.map(event => event.type)).toEqual(['tournament_created', 'player_joined']);
+      expect(response.body.data.events[1].data.playerData).toEqual({ name: 'Alice' });
+      expect(mockGetEventLog).not.toHaveBeenCalled();
+    });
+
+    test('should read the log of a tournament no longer in memory from the database', async () => {
+      const events = [{ seq: 1, type: 'tournament_created', at: '2026-01-01T00:00:00.000Z', data: {} }];
+      mockGetEventLog.mockResolvedValue(events);
+
+      const response = await request(app).get('/api/tournaments/tournament-1/log');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events).toEqual(events);
+      expect(mockGetEventLog).toHaveBeenCalledWith('tournament-1');
+    });
+
+    test('should leave player keys out of older logs that recorded them', async () => {
+      mockGetEventLog.mockResolvedValue([
+        { seq: 1, type: 'player_joined', at: '2026-01-01T00:00:00.000Z', data: { playerId: 'player-1', playerData: { name: 'Alice', playerKey: 'alice-key-1' } } }
+      ]);
+
+      const response = await request(app).get('/api/tournaments/tournament-1/log');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events[0].data).toEqual({ playerId: 'player-1', playerData: { name: 'Alice' } });
+    });
+
+    test('should return 404 for unknown tournament', async () => {
+      mockGetEventLog.mockResolvedValue([]);
+
+      const response = await request(app).get('/api/tournaments/unknown/log');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('TOURNAMENT_NOT_FOUND');
+    });
+  });
+});
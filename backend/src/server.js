@@ -6,11 +6,24 @@ import helmet from 'helmet';
 import dotenv from 'dotenv';
 import { initializeDatabase, healthCheck } from './database.js';
 import scoreRoutes from './routes/scoreRoutes.js';
-import tournamentService from './services/tournamentService.js';
+import roomRoutes from './routes/roomRoutes.js';
+import tournamentRoutes from './routes/tournamentRoutes.js';
+import tournamentService, { TOURNAMENT_EVENTS, LOG_EVENTS } from './services/tournamentService.js';
+import roomService, { hashPassword } from './services/roomService.js';
+import sessionService from './services/sessionService.js';
+import normalizationService from './services/normalizationService.js';
+import { SettingsService } from './services/settingsService.js';
+import persistenceService from './services/persistenceService.js';
 
 // Load environment variables
 dotenv.config();
 
+// How often to look for idle players
+const IDLE_CHECK_INTERVAL = 5000;
+
+// Socket.IO room of the Swiss sub-match each player is currently in
+const playerSubRooms = new Map(); // playerId -> sub-room name
+
 // Create Express app
 const app = express();
 const server = createServer(app);
@@ -25,6 +38,325 @@ const io = new Server(server, {
   path: '/socket'
 });
 
+/**
+ * Throw unless the player hosts the room
+ */
+function requireHost(roomId, playerId) {
+  if (!roomService.isHost(roomId, playerId)) {
+    throw Object.assign(new Error('Only the host can do that'), { code: 'NOT_HOST' });
+  }
+}
+
+/**
+ * Announce a new host to the room
+ */
+function emitHostChanged(room) {
+  const host = room.members.get(room.hostId);
+  io.to(room.id).emit('host_changed', {
+    roomId: room.id,
+    hostId: room.hostId,
+    hostName: host ? host.name : null,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Take a player out of their tournament and tell the rest of the room
+ */
+function leaveTournament(playerId) {
+  const playerData = tournamentService.getPlayer(playerId);
+  const tournament = playerData ? tournamentService.getTournament(playerData.tournamentId) : null;
+  if (!tournament) return null;
+
+  const hadCountdown = Boolean(tournament.autoStartAt);
+  leaveSubRoom(playerId);
+  tournamentService.removePlayer(tournament.id, playerId);
+  sessionService.endSession(playerId);
+
+  io.to(tournament.roomId).emit('player_left_tournament', {
+    playerId,
+    playerCount: tournament.players.size
+  });
+
+  if (hadCountdown) {
+    io.to(tournament.roomId).emit('auto_start_cancelled', {
+      tournamentId: tournament.id,
+      reason: 'player_left'
+    });
+  }
+
+  // Nobody is left to start a waiting tournament
+  if (tournament.status === 'waiting' && tournamentService.getHumanCount(tournament.id) === 0) {
+    tournamentService.deleteTournament(tournament.id);
+    io.to(tournament.roomId).emit('tournament_closed', {
+      tournamentId: tournament.id,
+      reason: 'no_players'
+    });
+  } else {
+    syncReadyState(tournament);
+  }
+
+  return tournament;
+}
+
+/**
+ * Keep a dropped player's place in an active tournament for the grace period
+ */
+function holdSeat(tournament, playerId) {
+  const gracePeriod = tournament.settings.reconnectGracePeriod;
+  tournamentService.setConnectionState(playerId, 'reconnecting');
+
+  io.to(tournament.roomId).emit('player_connection_lost', {
+    playerId,
+    gracePeriod,
+    timestamp: new Date().toISOString()
+  });
+
+  sessionService.startGracePeriod(playerId, gracePeriod, () => {
+    tournamentService.setConnectionState(playerId, 'disconnected');
+    io.to(tournament.roomId).emit('player_disconnected', {
+      playerId,
+      timestamp: new Date().toISOString()
+    });
+
+    if (tournament.settings.replaceWithBots) {
+      handOverToBot(tournament, playerId, 'disconnected');
+    }
+
+    // The room kept the player (and any host rights) only while they could come back
+    leaveRoom(playerId);
+  });
+}
+
+/**
+ * Let a bot play an absent human's slot and tell the room
+ */
+function handOverToBot(tournament, playerId, reason) {
+  const replacement = tournamentService.replaceWithBot(playerId, reason);
+  if (!replacement) return;
+
+  io.to(tournament.roomId).emit('player_replaced_by_bot', {
+    playerId,
+    botId: replacement.bot.id,
+    botName: replacement.bot.name,
+    skillLevel: replacement.bot.skillLevel,
+    reason,
+    timestamp: new Date().toISOString()
+  });
+
+  // The stand-in may have just finished the round
+  emitLeaderboard(tournament);
+}
+
+/**
+ * Send the current individual (and team) leaderboard to the room
+ */
+function emitLeaderboard(tournament) {
+  const leaderboard = tournamentService.updateLeaderboard(tournament.id);
+
+  io.to(tournament.roomId).emit('leaderboard_update', {
+    leaderboard,
+    teamLeaderboard: tournament.teams ? tournament.teamLeaderboard : null,
+    round: tournament.currentRound
+  });
+}
+
+/**
+ * Take a slot back from its stand-in bot and tell the room
+ */
+function takeBackFromBot(tournament, playerId) {
+  if (!tournamentService.restoreFromBot(playerId)) return;
+
+  io.to(tournament.roomId).emit('player_restored', {
+    playerId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Take a player out of their room, passing on host rights or closing the room
+ */
+function leaveRoom(playerId) {
+  const room = roomService.getRoomForPlayer(playerId);
+  if (!room) return null;
+
+  const wasHost = room.hostId === playerId;
+  roomService.leaveRoom(room.id, playerId);
+  announceDeparture(room, playerId, wasHost);
+
+  return room;
+}
+
+/**
+ * Tell a room a player has gone, then pass on host rights or close the room
+ */
+function announceDeparture(room, playerId, wasHost) {
+  const playerSocket = io.sockets.sockets.get(sessionService.getSocketId(playerId));
+  if (playerSocket) {
+    playerSocket.leave(room.id);
+  }
+
+  io.to(room.id).emit('player_left', {
+    roomId: room.id,
+    playerId,
+    playerCount: room.members.size,
+    timestamp: new Date().toISOString()
+  });
+
+  if (room.members.size === 0) {
+    closeRoom(room);
+  } else if (wasHost) {
+    emitHostChanged(room);
+  }
+}
+
+/**
+ * Tear down an empty room; its waiting tournaments go with it and running ones are aborted
+ */
+function closeRoom(room) {
+  tournamentService.getTournamentsByRoom(room.id).forEach(tournament => {
+    if (tournament.status === 'waiting') {
+      tournamentService.deleteTournament(tournament.id);
+    } else if (tournament.status === 'active' || tournament.status === 'paused') {
+      tournamentService.abortTournament(tournament.id, 'room_closed');
+    }
+  });
+
+  roomService.deleteRoom(room.id);
+}
+
+/**
+ * Remove a player from their room and tournament on the host's behalf
+ */
+function removeFromRoom(room, playerId, { banned, hostId }) {
+  // Note who removed the player in the tournament's log, ahead of the player_left entry
+  const playerData = tournamentService.getPlayer(playerId);
+  const tournament = playerData ? tournamentService.getTournament(playerData.tournamentId) : null;
+  if (tournament) {
+    tournamentService.recordEvent(tournament, banned ? LOG_EVENTS.PLAYER_BANNED : LOG_EVENTS.PLAYER_KICKED, { playerId, hostId });
+  }
+  leaveTournament(playerId);
+
+  const targetSocket = io.sockets.sockets.get(sessionService.getSocketId(playerId));
+  if (targetSocket) {
+    targetSocket.leave(room.id);
+    targetSocket.emit('kicked', {
+      roomId: room.id,
+      banned,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  io.to(room.id).emit('player_kicked', {
+    playerId,
+    banned,
+    playerCount: room.members.size,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Move players into the Socket.IO sub-rooms of their Swiss sub-matches
+ */
+function seatSwissMatches({ tournamentId, matches }) {
+  matches.forEach(match => {
+    match.players.forEach(({ playerId }) => {
+      leaveSubRoom(playerId);
+      if (match.bye) return;
+
+      const subRoom = `${tournamentId}:${match.matchId}`;
+      io.in(sessionService.getSocketId(playerId)).socketsJoin(subRoom);
+      playerSubRooms.set(playerId, subRoom);
+    });
+  });
+}
+
+/**
+ * Take a player out of their Swiss sub-room
+ */
+function leaveSubRoom(playerId) {
+  const subRoom = playerSubRooms.get(playerId);
+  if (!subRoom) return;
+
+  io.in(sessionService.getSocketId(playerId)).socketsLeave(subRoom);
+  playerSubRooms.delete(playerId);
+}
+
+/**
+ * Snapshot of a tournament for the tournament_state event
+ */
+function buildTournamentState(tournament) {
+  const currentRound = tournament.rounds[tournament.currentRound - 1];
+
+  return {
+    tournament: {
+      id: tournament.id,
+      roomId: tournament.roomId,
+      format: tournament.settings.format,
+      status: tournament.status,
+      pause: tournament.pause,
+      gameVote: tournamentService.getGameVoteState(tournament),
+      currentRound: tournament.currentRound,
+      maxRounds: tournament.maxRounds,
+      playerCount: tournament.players.size,
+      round: currentRound ? {
+        number: currentRound.number,
+        game: currentRound.game,
+        status: currentRound.status,
+        startedAt: currentRound.startedAt,
+        endsAt: currentRound.endsAt
+      } : null
+    },
+    leaderboard: tournament.leaderboard,
+    teams: tournamentService.getTeams(tournament.id),
+    teamLeaderboard: tournament.teams ? tournament.teamLeaderboard : null,
+    bracket: tournamentService.getBracketView(tournament.id),
+    swissMatches: tournamentService.getSwissMatches(tournament.id),
+    ghostData: tournamentService.getGhostData(tournament.id)
+  };
+}
+
+/**
+ * Broadcast the start of a tournament to its room
+ */
+function emitTournamentStarted(tournament) {
+  io.to(tournament.roomId).emit('tournament_started', {
+    tournamentId: tournament.id,
+    currentRound: tournament.currentRound,
+    maxRounds: tournament.maxRounds,
+    game: tournament.rounds[0].game,
+    roundEndsAt: tournament.rounds[0].endsAt,
+    teams: tournamentService.getTeams(tournament.id)
+  });
+}
+
+/**
+ * Broadcast ready counts and start or cancel the auto-start countdown
+ */
+function syncReadyState(tournament, update = {}) {
+  const readyState = tournamentService.getReadyState(tournament.id);
+  if (!readyState || tournament.status !== 'waiting') return;
+
+  io.to(tournament.roomId).emit('ready_update', { ...update, ...readyState });
+
+  if (readyState.thresholdMet) {
+    if (!tournament.autoStartAt) {
+      const startsAt = tournamentService.scheduleAutoStart(tournament.id, emitTournamentStarted);
+      io.to(tournament.roomId).emit('auto_start_countdown', {
+        tournamentId: tournament.id,
+        startsAt,
+        delay: tournament.settings.autoStartDelay
+      });
+    }
+  } else if (tournamentService.cancelAutoStart(tournament.id)) {
+    io.to(tournament.roomId).emit('auto_start_cancelled', {
+      tournamentId: tournament.id,
+      readyCount: readyState.readyCount,
+      playerCount: readyState.playerCount
+    });
+  }
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -58,6 +390,12 @@ app.get('/api/status', async (req, res) => {
 // Score routes
 app.use('/api/score', scoreRoutes);
 
+// Room routes
+app.use('/api/rooms', roomRoutes);
+
+// Tournament routes
+app.use('/api/tournaments', tournamentRoutes);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`[Socket] Client connected: ${socket.id}`);
@@ -73,57 +411,131 @@ io.on('connection', (socket) => {
   });
   
   // Handle room creation
-  socket.on('create_room', (data) => {
-    console.log(`[Socket] Create room request from ${socket.id}:`, data);
-    const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  socket.on('create_room', async (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    console.log(`[Socket] Create room request from ${playerId}:`, data);
+    const passwordHash = data.password ? await hashPassword(data.password) : null;
+    leaveTournament(playerId);
+    leaveRoom(playerId);
+    
+    const room = roomService.createRoom(playerId, {
+      roomName: data.roomName,
+      gameType: data.gameType,
+      maxPlayers: data.maxPlayers,
+      playerName: data.playerName,
+      isPrivate: data.isPrivate,
+      passwordHash
+    });
     
-    socket.join(roomId);
+    socket.join(room.id);
     socket.emit('room_created', {
-      roomId,
-      roomName: data.roomName || 'New Room',
-      playerId: socket.id,
+      roomId: room.id,
+      roomName: room.name,
+      gameType: room.gameType,
+      maxPlayers: room.maxPlayers,
+      isPrivate: room.isPrivate,
+      joinCode: room.joinCode,
+      playerId,
       timestamp: new Date().toISOString()
     });
     
-    console.log(`[Socket] Room created: ${roomId} by ${socket.id}`);
+    console.log(`[Socket] Room created: ${room.id} by ${playerId}`);
   });
   
   // Handle room joining
-  socket.on('join_room', (data) => {
-    console.log(`[Socket] Join room request from ${socket.id}:`, data);
-    const { roomId } = data;
+  socket.on('join_room', async (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    console.log(`[Socket] Join room request from ${playerId}:`, data);
+    const { roomId, code, password, playerName } = data;
+    
+    if (!roomId && !code) {
+      socket.emit('error', { code: 'INVALID_ROOM_ID', message: 'Room ID or join code is required' });
+      return;
+    }
     
-    if (roomId) {
-      socket.join(roomId);
-      socket.to(roomId).emit('player_joined', {
-        playerId: socket.id,
+    try {
+      const previousRoom = roomService.getRoomForPlayer(playerId);
+      const wasHost = Boolean(previousRoom && previousRoom.hostId === playerId);
+      const room = await roomService.joinRoom(code || roomId, playerId, { name: playerName }, { password });
+      
+      // Joining moves the player out of their previous room
+      if (previousRoom && previousRoom.id !== room.id) {
+        leaveTournament(playerId);
+        announceDeparture(previousRoom, playerId, wasHost);
+      }
+      socket.join(room.id);
+      socket.to(room.id).emit('player_joined', {
+        playerId,
+        playerName: room.members.get(playerId).name,
         timestamp: new Date().toISOString()
       });
       
       socket.emit('room_joined', {
-        roomId,
-        playerId: socket.id,
+        roomId: room.id,
+        roomName: room.name,
+        hostId: room.hostId,
+        isPrivate: room.isPrivate,
+        joinCode: room.joinCode,
+        players: roomService.getMembers(room.id),
+        playerId,
         timestamp: new Date().toISOString()
       });
       
-      console.log(`[Socket] Player ${socket.id} joined room: ${roomId}`);
-    } else {
-      socket.emit('error', { message: 'Room ID is required' });
+      console.log(`[Socket] Player ${playerId} joined room: ${room.id}`);
+    } catch (error) {
+      socket.emit('error', {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.code ? error.message : 'Failed to join room'
+      });
+    }
+  });
+
+  // Handle leaving a room
+  socket.on('leave_room', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    const room = roomService.getRoomForPlayer(playerId);
+    
+    if (!room || (data.roomId && data.roomId !== room.id)) {
+      socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'You are not in that room' });
+      return;
     }
+    
+    leaveTournament(playerId);
+    leaveRoom(playerId);
+    
+    socket.emit('room_left', {
+      roomId: room.id,
+      timestamp: new Date().toISOString()
+    });
+    
+    console.log(`[Socket] Player ${playerId} left room: ${room.id}`);
+  });
+
+  // List open rooms for the lobby browser
+  socket.on('list_rooms', () => {
+    socket.emit('room_list', {
+      rooms: roomService.listRooms(),
+      timestamp: new Date().toISOString()
+    });
   });
 
   // Tournament Management
   socket.on('create_tournament', (data) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
     try {
       const { roomId, settings } = data;
+      requireHost(roomId, playerId);
+      SettingsService.assertValid(settings);
       const tournament = tournamentService.createTournament(roomId, settings);
       
       socket.emit('tournament_created', {
         tournament: {
           id: tournament.id,
           roomId: tournament.roomId,
+          hostId: playerId,
           status: tournament.status,
           maxRounds: tournament.maxRounds,
+          seed: tournament.seed,
           settings: tournament.settings
         }
       });
@@ -131,21 +543,33 @@ io.on('connection', (socket) => {
       // Notify room members
       socket.to(roomId).emit('tournament_available', {
         tournamentId: tournament.id,
-        createdBy: socket.id
+        createdBy: playerId
       });
     } catch (error) {
-      socket.emit('tournament_error', { message: error.message });
+      socket.emit('tournament_error', { message: error.message, code: error.code, fields: error.fields });
     }
   });
 
   socket.on('join_tournament', (data) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
     try {
-      const { tournamentId, playerName } = data;
-      const player = tournamentService.addPlayer(tournamentId, socket.id, { name: playerName });
+      const { tournamentId, playerName, playerKey, rating } = data;
+      const existing = tournamentService.getTournament(tournamentId);
+      const room = existing ? roomService.getRoom(existing.roomId) : null;
+      
+      // Players have to be in the room, which also keeps banned players out
+      if (room && !room.members.has(playerId)) {
+        throw Object.assign(new Error('Join the room before joining its tournament'), { code: 'NOT_IN_ROOM' });
+      }
+      
+      const player = tournamentService.addPlayer(tournamentId, playerId, { name: playerName, playerKey, rating });
       const tournament = tournamentService.getTournament(tournamentId);
+      const sessionToken = sessionService.createSession(playerId);
+      persistenceService.saveSessionToken(tournamentId, playerId, sessionToken);
       
       socket.emit('tournament_joined', {
         player,
+        sessionToken,
         tournament: {
           id: tournament.id,
           status: tournament.status,
@@ -157,45 +581,261 @@ io.on('connection', (socket) => {
       socket.to(tournament.roomId).emit('player_joined_tournament', {
         player: {
           id: player.id,
-          name: player.name
+          name: player.name,
+          teamId: player.teamId
         },
         playerCount: tournament.players.size
       });
+      
+      // A new player is not ready yet, so any running countdown stops
+      syncReadyState(tournament);
     } catch (error) {
-      socket.emit('tournament_error', { message: error.message });
+      socket.emit('tournament_error', { message: error.message, code: error.code });
     }
   });
 
   socket.on('start_tournament', (data) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
     try {
       const { tournamentId } = data;
+      const existing = tournamentService.getTournament(tournamentId);
+      if (!existing) {
+        throw new Error('Tournament not found');
+      }
+      requireHost(existing.roomId, playerId);
       const tournament = tournamentService.startTournament(tournamentId);
       
       // Notify all players in the room
-      io.to(tournament.roomId).emit('tournament_started', {
+      emitTournamentStarted(tournament);
+    } catch (error) {
+      socket.emit('tournament_error', { message: error.message, code: error.code });
+    }
+  });
+
+  // Host controls for a running tournament
+  socket.on('pause_tournament', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const existing = tournamentService.getTournament(data.tournamentId);
+      if (!existing) {
+        throw new Error('Tournament not found');
+      }
+      requireHost(existing.roomId, playerId);
+      tournamentService.pauseTournament(existing.id);
+    } catch (error) {
+      socket.emit('tournament_error', { message: error.message, code: error.code });
+    }
+  });
+
+  socket.on('resume_tournament', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const existing = tournamentService.getTournament(data.tournamentId);
+      if (!existing) {
+        throw new Error('Tournament not found');
+      }
+      requireHost(existing.roomId, playerId);
+      const tournament = tournamentService.resumeTournament(existing.id);
+
+      // Bots could not take over while paused; catch up on anyone whose grace period ran out
+      if (tournament.settings.replaceWithBots) {
+        tournament.players.forEach(player => {
+          if (player.connectionState === 'disconnected' && !player.standIn) {
+            handOverToBot(tournament, player.id, 'disconnected');
+          }
+        });
+      }
+    } catch (error) {
+      socket.emit('tournament_error', { message: error.message, code: error.code });
+    }
+  });
+
+  socket.on('abort_tournament', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const existing = tournamentService.getTournament(data.tournamentId);
+      if (!existing) {
+        throw new Error('Tournament not found');
+      }
+      requireHost(existing.roomId, playerId);
+      tournamentService.abortTournament(existing.id, 'host');
+    } catch (error) {
+      socket.emit('tournament_error', { message: error.message, code: error.code });
+    }
+  });
+
+  socket.on('update_tournament_settings', (data) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const { tournamentId, settings } = data;
+      const existing = tournamentService.getTournament(tournamentId);
+      if (!existing) {
+        throw new Error('Tournament not found');
+      }
+      requireHost(existing.roomId, playerId);
+      SettingsService.assertValid(settings, existing.settings);
+      const tournament = tournamentService.updateSettings(tournamentId, settings);
+      
+      io.to(tournament.roomId).emit('tournament_settings_updated', {
         tournamentId: tournament.id,
-        currentRound: tournament.currentRound,
         maxRounds: tournament.maxRounds,
-        game: tournament.rounds[0].game
+        settings: tournament.settings,
+        teams: tournamentService.getTeams(tournament.id)
       });
+    } catch (error) {
+      socket.emit('tournament_error', { message: error.message, code: error.code, fields: error.fields });
+    }
+  });
+
+  // Pick a team (or, for the host, move another player) before the start
+  socket.on('assign_team', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const { teamId } = data;
+      const targetId = data.playerId || playerId;
+      const playerData = tournamentService.getPlayer(targetId);
+      if (!playerData) {
+        throw new Error('Player not in a tournament');
+      }
+
+      const tournament = tournamentService.getTournament(playerData.tournamentId);
+      if (targetId !== playerId) {
+        requireHost(tournament.roomId, playerId);
+      }
+      tournamentService.assignTeam(targetId, teamId);
+
+      io.to(tournament.roomId).emit('teams_updated', {
+        tournamentId: tournament.id,
+        teams: tournamentService.getTeams(tournament.id)
+      });
+    } catch (error) {
+      socket.emit('tournament_error', { message: error.message, code: error.code });
+    }
+  });
+
+  // Host moderation
+  socket.on('kick_player', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const room = roomService.getRoomForPlayer(playerId);
+      if (!room) {
+        throw Object.assign(new Error('Room does not exist'), { code: 'ROOM_NOT_FOUND' });
+      }
+      if (roomService.kickPlayer(room.id, playerId, data.playerId)) {
+        removeFromRoom(room, data.playerId, { banned: false, hostId: playerId });
+      }
+      
+      console.log(`[Socket] Player ${data.playerId} kicked from room ${room.id} by ${playerId}`);
+    } catch (error) {
+      socket.emit('error', { code: error.code || 'INTERNAL_ERROR', message: error.message });
+    }
+  });
+
+  socket.on('ban_player', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const room = roomService.getRoomForPlayer(playerId);
+      if (!room) {
+        throw Object.assign(new Error('Room does not exist'), { code: 'ROOM_NOT_FOUND' });
+      }
+      if (roomService.banPlayer(room.id, playerId, data.playerId)) {
+        removeFromRoom(room, data.playerId, { banned: true, hostId: playerId });
+      }
+      
+      console.log(`[Socket] Player ${data.playerId} banned from room ${room.id} by ${playerId}`);
+    } catch (error) {
+      socket.emit('error', { code: error.code || 'INTERNAL_ERROR', message: error.message });
+    }
+  });
+
+  // Lobby ready-check
+  socket.on('player_ready', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const isReady = data.isReady !== false;
+      const readyState = tournamentService.setPlayerReady(playerId, isReady);
+      const tournament = tournamentService.getTournament(readyState.tournamentId);
+      
+      syncReadyState(tournament, { playerId, isReady });
     } catch (error) {
       socket.emit('tournament_error', { message: error.message });
     }
   });
 
+  // Rematch voting once a tournament has finished
+  socket.on('request_rematch', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      const accept = data.accept !== false;
+      const { rematch, ...rematchState } = tournamentService.requestRematch(playerId, accept);
+      const previous = tournamentService.getTournament(rematchState.tournamentId);
+
+      io.to(previous.roomId).emit('rematch_update', { ...rematchState, playerId, accept });
+
+      if (rematch) {
+        io.to(rematch.roomId).emit('rematch_started', {
+          previousTournamentId: previous.id,
+          tournament: {
+            id: rematch.id,
+            roomId: rematch.roomId,
+            status: rematch.status,
+            maxRounds: rematch.maxRounds,
+            seed: rematch.seed,
+            settings: rematch.settings,
+            playerCount: rematch.players.size
+          },
+          players: Array.from(rematch.players.values()).map(player => ({
+            id: player.id,
+            name: player.name,
+            teamId: player.teamId
+          })),
+          series: rematch.series
+        });
+
+        // Sessions carry over, so the rematch rows need the same tokens
+        rematch.players.forEach((player, rematchPlayerId) => {
+          const token = sessionService.getToken(rematchPlayerId);
+          if (token) persistenceService.saveSessionToken(rematch.id, rematchPlayerId, token);
+        });
+
+        // The rematch starts with a fresh ready-check
+        syncReadyState(rematch);
+      }
+    } catch (error) {
+      socket.emit('tournament_error', { message: error.message, code: error.code });
+    }
+  });
+
+  // Vote on the next round's game during the intermission; tallies go out as game_vote_update
+  socket.on('vote_game', (data = {}) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    try {
+      tournamentService.voteGame(playerId, data.game);
+    } catch (error) {
+      socket.emit('tournament_error', { message: error.message, code: error.code });
+    }
+  });
+
   // Ghost Multiplayer - Position Updates
   socket.on('player_position', (data) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
     const { position } = data;
-    const updated = tournamentService.updatePlayerPosition(socket.id, position);
+    const updated = tournamentService.updatePlayerPosition(playerId, position);
     
     if (updated) {
-      const playerData = tournamentService.getPlayer(socket.id);
+      const playerData = tournamentService.getPlayer(playerId);
       if (playerData) {
         const tournament = tournamentService.getTournament(playerData.tournamentId);
         if (tournament) {
-          // Broadcast position to other players in the room (ghost data)
-          socket.to(tournament.roomId).emit('ghost_position', {
-            playerId: socket.id,
+          // Moving again ends an idle hand-over
+          if (playerData.standIn && playerData.standIn.reason === 'idle') {
+            takeBackFromBot(tournament, playerId);
+          }
+          
+          // Broadcast position to the other players in the room, or only to
+          // the player's own sub-match in Swiss tournaments (ghost data)
+          socket.to(playerSubRooms.get(playerId) || tournament.roomId).emit('ghost_position', {
+            playerId,
             position,
             timestamp: Date.now()
           });
@@ -206,37 +846,92 @@ io.on('connection', (socket) => {
 
   // Score Submission
   socket.on('submit_score', (data) => {
+    const playerId = sessionService.resolvePlayerId(socket.id);
     try {
-      const { score } = data;
-      const submitted = tournamentService.submitRoundScore(socket.id, score);
+      const { score, submissionId } = data;
+      const submitted = tournamentService.submitRoundScore(playerId, score, { submissionId });
       
       if (submitted) {
-        const playerData = tournamentService.getPlayer(socket.id);
+        const playerData = tournamentService.getPlayer(playerId);
         const tournament = tournamentService.getTournament(playerData.tournamentId);
+        const round = tournament.rounds[submitted.round - 1];
+        const distribution = normalizationService.getCachedSummary(round.game);
         
         socket.emit('score_submitted', {
-          score,
-          totalScore: tournament.players.get(socket.id).totalScore,
-          round: tournament.currentRound
+          score: submitted.score,
+          submissionId: submitted.submissionId,
+          status: submitted.status,
+          previousScore: submitted.previousScore,
+          totalScore: tournament.players.get(playerId).totalScore,
+          totalPoints: tournament.players.get(playerId).totalPoints,
+          round: submitted.round,
+          comparison: distribution ? normalizationService.describeScore(distribution, submitted.score) : null
         });
+
+        // A retry changes nothing, so only its sender hears back
+        if (submitted.status === 'duplicate') return;
         
         // Broadcast score update to room
         socket.to(tournament.roomId).emit('player_score_update', {
-          playerId: socket.id,
+          playerId,
           score,
-          totalScore: tournament.players.get(socket.id).totalScore,
-          round: tournament.currentRound
+          corrected: submitted.status === 'corrected',
+          totalScore: tournament.players.get(playerId).totalScore,
+          totalPoints: tournament.players.get(playerId).totalPoints,
+          round: submitted.round
         });
         
         // Send updated leaderboard to all players
-        const leaderboard = tournament.leaderboard;
-        io.to(tournament.roomId).emit('leaderboard_update', {
-          leaderboard,
-          round: tournament.currentRound
-        });
+        emitLeaderboard(tournament);
+      }
+    } catch (error) {
+      socket.emit('score_error', { message: error.message, code: error.code });
+    }
+  });
+
+  // Reconnect - bind this socket to an existing player record
+  socket.on('resume_session', (data = {}) => {
+    try {
+      const session = sessionService.resumeSession(data.sessionToken, socket.id);
+      const { playerId } = session;
+      const playerData = tournamentService.getPlayer(playerId);
+      const tournament = playerData ? tournamentService.getTournament(playerData.tournamentId) : null;
+      
+      if (!tournament || tournament.status === 'completed' || tournament.status === 'aborted') {
+        sessionService.endSession(playerId);
+        throw Object.assign(new Error('Tournament is no longer running'), { code: 'SESSION_EXPIRED' });
+      }
+      
+      const player = tournament.players.get(playerId);
+      tournamentService.setConnectionState(playerId, 'connected');
+      takeBackFromBot(tournament, playerId);
+      
+      // Take the player's seat in the room again
+      const room = roomService.getRoom(tournament.roomId);
+      if (room) {
+        roomService.rejoinRoom(room.id, playerId, { name: player.name });
+      }
+      socket.join(tournament.roomId);
+      if (playerSubRooms.has(playerId)) {
+        socket.join(playerSubRooms.get(playerId));
       }
+      
+      socket.emit('session_resumed', {
+        playerId,
+        player,
+        timestamp: new Date().toISOString()
+      });
+      socket.emit('tournament_state', buildTournamentState(tournament));
+      
+      socket.to(tournament.roomId).emit('player_reconnected', {
+        playerId,
+        playerName: player.name,
+        timestamp: new Date().toISOString()
+      });
+      
+      console.log(`[Socket] Player ${playerId} resumed session on ${socket.id}`);
     } catch (error) {
-      socket.emit('score_error', { message: error.message });
+      socket.emit('session_error', { code: error.code || 'INTERNAL_ERROR', message: error.message });
     }
   });
 
@@ -247,17 +942,7 @@ io.on('connection', (socket) => {
       const tournament = tournamentService.getTournament(tournamentId);
       
       if (tournament) {
-        socket.emit('tournament_state', {
-          tournament: {
-            id: tournament.id,
-            status: tournament.status,
-            currentRound: tournament.currentRound,
-            maxRounds: tournament.maxRounds,
-            playerCount: tournament.players.size
-          },
-          leaderboard: tournament.leaderboard,
-          ghostData: tournamentService.getGhostData(tournamentId)
-        });
+        socket.emit('tournament_state', buildTournamentState(tournament));
       } else {
         socket.emit('tournament_error', { message: 'Tournament not found' });
       }
@@ -268,22 +953,28 @@ io.on('connection', (socket) => {
   
   // Handle disconnection
   socket.on('disconnect', (reason) => {
-    console.log(`[Socket] Client disconnected: ${socket.id}, reason: ${reason}`);
+    const playerId = sessionService.resolvePlayerId(socket.id);
+    console.log(`[Socket] Client disconnected: ${socket.id} (player ${playerId}), reason: ${reason}`);
+    const wasCurrent = sessionService.isCurrentSocket(socket.id);
+    sessionService.unbindSocket(socket.id);
+
+    // A socket the player has already resumed away from closing late
+    if (!wasCurrent) return;
     
-    // Remove player from tournament if they were in one
-    const playerData = tournamentService.getPlayer(socket.id);
-    if (playerData) {
-      const tournament = tournamentService.getTournament(playerData.tournamentId);
-      if (tournament && tournament.status === 'waiting') {
-        tournamentService.removePlayer(playerData.tournamentId, socket.id);
-        
-        // Notify other players
-        socket.to(tournament.roomId).emit('player_left_tournament', {
-          playerId: socket.id,
-          playerCount: tournament.players.size
-        });
-      }
+    // A running tournament holds the player's seat, and their room membership with it
+    const playerData = tournamentService.getPlayer(playerId);
+    const tournament = playerData ? tournamentService.getTournament(playerData.tournamentId) : null;
+    if (tournament && (tournament.status === 'active' || tournament.status === 'paused')) {
+      holdSeat(tournament, playerId);
+      return;
+    }
+    
+    if (tournament && tournament.status === 'waiting') {
+      leaveTournament(playerId);
     }
+    
+    // Free the player's slot in the room registry
+    leaveRoom(playerId);
   });
   
   // Handle errors
@@ -292,6 +983,30 @@ io.on('connection', (socket) => {
   });
 });
 
+// Relay tournament lifecycle events to each tournament's room
+Object.values(TOURNAMENT_EVENTS).forEach(eventName => {
+  tournamentService.on(eventName, ({ roomId, ...payload }) => {
+    io.to(roomId).emit(eventName, payload);
+  });
+});
+
+tournamentService.on(TOURNAMENT_EVENTS.SWISS_PAIRINGS, seatSwissMatches);
+[TOURNAMENT_EVENTS.TOURNAMENT_COMPLETED, TOURNAMENT_EVENTS.TOURNAMENT_ABORTED].forEach(eventName => {
+  tournamentService.on(eventName, ({ standings }) => {
+    standings.forEach(({ playerId }) => leaveSubRoom(playerId));
+  });
+});
+
+// Hand slots of players who stopped sending position updates to bots
+setInterval(() => {
+  tournamentService.findIdlePlayers().forEach(({ tournamentId, playerId }) => {
+    const tournament = tournamentService.getTournament(tournamentId);
+    if (tournament.settings.replaceWithBots) {
+      handOverToBot(tournament, playerId, 'idle');
+    }
+  });
+}, IDLE_CHECK_INTERVAL);
+
 // Error handling middleware
 app.use((err, req, res, _next) => {
   console.error('Server error:', err);
@@ -309,6 +1024,37 @@ app.use('*', (req, res) => {
   });
 });
 
+/**
+ * Reload the tournaments that were waiting or running when the server went down,
+ * and their rooms. Players resume with their old session tokens; until then their
+ * seats are held as if they had just dropped.
+ */
+async function restoreTournaments() {
+  try {
+    const snapshots = await persistenceService.loadTournaments(['waiting', 'active', 'paused']);
+
+    // Their rooms come back first, so hosts keep their rights and bans still hold
+    const roomIds = Array.from(new Set(snapshots.map(({ tournament }) => tournament.roomId)));
+    const rooms = await persistenceService.loadRooms(roomIds);
+    rooms.forEach(room => roomService.restoreRoom(room));
+
+    snapshots.forEach(({ tournament: saved, sessions, events }) => {
+      const tournament = tournamentService.restoreTournament(saved, events);
+      sessions.forEach(({ playerId, token }) => sessionService.restoreSession(playerId, token));
+
+      if (tournament.status !== 'waiting') {
+        tournament.players.forEach(player => {
+          if (!player.isBot) holdSeat(tournament, player.id);
+        });
+      }
+    });
+
+    console.log(`✅ Restored ${snapshots.length} tournament(s) in ${rooms.length} room(s)`);
+  } catch (error) {
+    console.error('❌ Restoring tournaments failed:', error.message);
+  }
+}
+
 // Start server
 const PORT = process.env.PORT || 4000;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -319,6 +1065,10 @@ async function startServer() {
   if (!dbInitialized && process.env.NODE_ENV !== 'test') {
     console.warn('⚠️  Database initialization failed, but server will continue');
   }
+  if (dbInitialized) {
+    persistenceService.enable();
+    await restoreTournaments();
+  }
 
   server.listen(PORT, HOST, () => {
     console.log(`🚀 MiniGameHub Server started on ${HOST}:${PORT}`);
@@ -338,7 +1088,8 @@ startServer().catch(error => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    await persistenceService.flush();
     console.log('Server closed');
     process.exit(0);
   });
@@ -346,10 +1097,12 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    await persistenceService.flush();
     console.log('Server closed');
     process.exit(0);
   });
 });
 
+export { server };
 export default app;
\ No newline at end of file
@@ -1,5 +1,8 @@
 import request from 'supertest';
-import app from './server.js';
+import { io as connect } from 'socket.io-client';
+import app, { server } from './server.js';
+import tournamentService from './services/tournamentService.js';
+import roomService from './services/roomService.js';
 
 describe('Server Health Checks', () => {
   test('GET /healthz should return 200', async () => {
@@ -27,4 +30,90 @@ describe('Server Health Checks', () => {
     
     expect(response.body.error).toBe('Not found');
   });
-});
\ No newline at end of file
+});
+
+describe('Socket reconnection', () => {
+  const clients = [];
+  let url;
+
+  beforeAll(async () => {
+    if (!server.listening) {
+      await new Promise(resolve => server.once('listening', resolve));
+    }
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(client => client.disconnect());
+  });
+
+  function connectClient() {
+    const client = connect(url, { path: '/socket', transports: ['websocket'], forceNew: true });
+    clients.push(client);
+    return client;
+  }
+
+  function nextEvent(client, eventName) {
+    return new Promise(resolve => client.once(eventName, resolve));
+  }
+
+  test('a host who drops and resumes keeps the room and host rights', async () => {
+    const host = connectClient();
+    const guest = connectClient();
+
+    host.emit('create_room', { roomName: 'Resume Test', playerName: 'Host' });
+    const { roomId } = await nextEvent(host, 'room_created');
+    guest.emit('join_room', { roomId, playerName: 'Guest' });
+    await nextEvent(guest, 'room_joined');
+
+    host.emit('create_tournament', { roomId, settings: { autoFillWithBots: false } });
+    const { tournament } = await nextEvent(host, 'tournament_created');
+    host.emit('join_tournament', { tournamentId: tournament.id, playerName: 'Host' });
+    const { sessionToken } = await nextEvent(host, 'tournament_joined');
+    guest.emit('join_tournament', { tournamentId: tournament.id, playerName: 'Guest' });
+    await nextEvent(guest, 'tournament_joined');
+
+    host.emit('start_tournament', { tournamentId: tournament.id });
+    await nextEvent(guest, 'tournament_started');
+
+    // Drop the host's connection; the seat is held
+    const connectionLost = nextEvent(guest, 'player_connection_lost');
+    host.disconnect();
+    await connectionLost;
+
+    const resumed = connectClient();
+    resumed.emit('resume_session', { sessionToken });
+    await nextEvent(resumed, 'session_resumed');
+
+    resumed.emit('pause_tournament', { tournamentId: tournament.id });
+    const outcome = await Promise.race([
+      nextEvent(resumed, 'tournament_paused').then(() => 'paused'),
+      nextEvent(resumed, 'tournament_error').then(error => error.code)
+    ]);
+    expect(outcome).toBe('paused');
+
+    resumed.emit('abort_tournament', { tournamentId: tournament.id });
+    await nextEvent(resumed, 'tournament_aborted');
+  });
+
+  test('closing a room aborts its running tournament', async () => {
+    const host = connectClient();
+
+    host.emit('create_room', { roomName: 'Close Test', playerName: 'Host' });
+    const { roomId } = await nextEvent(host, 'room_created');
+    host.emit('create_tournament', { roomId, settings: { autoFillWithBots: false } });
+    const { tournament } = await nextEvent(host, 'tournament_created');
+    host.emit('join_tournament', { tournamentId: tournament.id, playerName: 'Host', rating: 1500 });
+    const { player } = await nextEvent(host, 'tournament_joined');
+    expect(player.rating).toBe(1500);
+    host.emit('start_tournament', { tournamentId: tournament.id });
+    await nextEvent(host, 'tournament_started');
+
+    // The host was the last member, so the room closes behind them
+    host.emit('leave_room', { roomId });
+    await nextEvent(host, 'room_left');
+
+    expect(roomService.getRoom(roomId)).toBeUndefined();
+    expect(tournamentService.getTournament(tournament.id)).toMatchObject({ status: 'aborted' });
+  });
+});
@@ -58,10 +58,10 @@ class BotService {
   }
 
   /**
-   * Create a new bot instance
+   * Create a new bot instance; existingId recreates a bot under its old id after a restart
    */
-  createBot(gameType, skillLevel = 'medium', botName = null) {
-    const botId = `bot_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  createBot(gameType, skillLevel = 'medium', botName = null, existingId = null) {
+    const botId = existingId || `bot_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
     const gameConfig = this.gameConfigs.get(gameType);
     
     if (!gameConfig) {
@@ -401,6 +401,26 @@ class BotService {
     return true;
   }
 
+  /**
+   * Simulate a bot's score for a round it played without a client,
+   * scaled from the scores of the players it competed against
+   */
+  simulateRoundScore(botId, referenceScores = []) {
+    const bot = this.bots.get(botId);
+    if (!bot) return 0;
+
+    const baseline = referenceScores.length > 0
+      ? referenceScores.reduce((sum, score) => sum + score, 0) / referenceScores.length
+      : bot.state.performance.averageScore;
+
+    // Better bots land closer to the field average, with some run-to-run variance
+    const variance = (Math.random() - 0.5) * 0.2;
+    const score = Math.max(0, Math.round(baseline * (bot.config.accuracyFactor + variance)));
+
+    bot.state.currentScore = score;
+    return score;
+  }
+
   /**
    * Get bot by ID
    */
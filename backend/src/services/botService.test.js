@@ -135,6 +135,26 @@ describe('BotService', () => {
     });
   });
 
+  describe('Round Simulation', () => {
+    test('should simulate a score near the field average', () => {
+      const bot = botService.createBot('jetpack', 'hard');
+
+      const score = botService.simulateRoundScore(bot.id, [1000, 2000]);
+
+      // hard bots have an accuracy factor of 0.95, +/- 0.1 variance
+      expect(score).toBeGreaterThanOrEqual(1275);
+      expect(score).toBeLessThanOrEqual(1575);
+      expect(bot.state.currentScore).toBe(score);
+    });
+
+    test('should fall back to the bot average without reference scores', () => {
+      const bot = botService.createBot('jetpack', 'medium');
+
+      expect(botService.simulateRoundScore(bot.id)).toBe(0);
+      expect(botService.simulateRoundScore('missing-bot', [1000])).toBe(0);
+    });
+  });
+
   describe('Decision Making', () => {
     test('should make decisions for active bot', () => {
       const bot = botService.createBot('jetpack', 'medium');
@@ -0,0 +1,283 @@
+export const BRACKET_TYPES = ['single', 'double'];
+export const SEEDING_MODES = ['random', 'rating'];
+
+/**
+ * Bracket Service - Builds and advances single- and double-elimination brackets
+ *
+ * A bracket is plain data so it can be sent to clients as-is. Every match has
+ * two slots; a slot holds a player id, or is marked as a bye when no player
+ * will ever arrive there. Matches with a bye are settled without being played.
+ */
+export class BracketService {
+
+  /**
+   * Throw if bracket settings are not supported
+   */
+  static assertOptions({ bracketType, seeding }) {
+    if (!BRACKET_TYPES.includes(bracketType)) {
+      throw new Error(`Unsupported bracket type: ${bracketType}`);
+    }
+    if (!SEEDING_MODES.includes(seeding)) {
+      throw new Error(`Unsupported seeding mode: ${seeding}`);
+    }
+  }
+
+  /**
+   * Smallest power of two that fits the given number of players
+   */
+  static bracketSize(playerCount) {
+    let size = 2;
+    while (size < playerCount) size *= 2;
+    return size;
+  }
+
+  /**
+   * Most tournament rounds a bracket can take when every ready match is played at once
+   */
+  static countStages(size, type) {
+    const winnersRounds = Math.log2(size);
+    return type === 'double' ? winnersRounds * 2 : winnersRounds;
+  }
+
+  /**
+   * Seed order of the first-round slots, so seed 1 and 2 can only meet in the final
+   * (8 players: 1, 8, 4, 5, 2, 7, 3, 6)
+   */
+  static seedPositions(size) {
+    let positions = [1];
+    while (positions.length < size) {
+      const roundSize = positions.length * 2;
+      positions = positions.flatMap(seed => [seed, roundSize + 1 - seed]);
+    }
+    return positions;
+  }
+
+  /**
+   * Build a bracket for players already listed in seed order
+   */
+  static createBracket(seededPlayerIds, { type = 'single', seeding = 'random' } = {}) {
+    const size = this.bracketSize(seededPlayerIds.length);
+    const bracket = {
+      type,
+      seeding,
+      size,
+      seeds: Object.fromEntries(seededPlayerIds.map((playerId, index) => [playerId, index + 1])),
+      matches: [],
+      championId: null,
+      status: 'active' // active, completed
+    };
+
+    const winnersRounds = Math.log2(size);
+    const winners = this.addRounds(bracket, 'winners', winnersRounds, round => size / 2 ** round);
+
+    // Fill the first round from the seed positions; missing seeds are byes
+    this.seedPositions(size).forEach((seed, index) => {
+      const match = winners[0][Math.floor(index / 2)];
+      const playerId = seededPlayerIds[seed - 1];
+      this.fillSlot(match, index % 2, playerId || null);
+    });
+
+    // Winners advance to the next winners round
+    for (let round = 1; round < winnersRounds; round++) {
+      winners[round - 1].forEach((match, index) => {
+        this.link(match, 'winnerTo', winners[round][Math.floor(index / 2)], index % 2);
+      });
+    }
+
+    let finalMatch = winners[winnersRounds - 1][0];
+
+    if (type === 'double') {
+      finalMatch = this.addLosersBracket(bracket, winners);
+    }
+
+    finalMatch.isFinal = true;
+    this.settleByes(bracket);
+    return bracket;
+  }
+
+  /**
+   * Add the losers bracket and grand final; returns the grand final match
+   */
+  static addLosersBracket(bracket, winners) {
+    const winnersRounds = winners.length;
+    const losersRounds = 2 * (winnersRounds - 1);
+    const losers = this.addRounds(bracket, 'losers', losersRounds, round =>
+      bracket.size / 2 ** (Math.floor((round + 1) / 2) + 1)
+    );
+
+    for (let round = 1; round <= losersRounds; round++) {
+      losers[round - 1].forEach((match, index) => {
+        if (round === 1) {
+          // First-round losers of the winners bracket pair up
+          this.link(winners[0][index * 2], 'loserTo', match, 0);
+          this.link(winners[0][index * 2 + 1], 'loserTo', match, 1);
+        } else if (round % 2 === 0) {
+          // Survivors meet the players who just dropped out of the winners bracket,
+          // taken in reverse order to put off rematches
+          const dropping = winners[round / 2];
+          this.link(losers[round - 2][index], 'winnerTo', match, 0);
+          this.link(dropping[dropping.length - 1 - index], 'loserTo', match, 1);
+        } else {
+          this.link(losers[round - 2][index * 2], 'winnerTo', match, 0);
+          this.link(losers[round - 2][index * 2 + 1], 'winnerTo', match, 1);
+        }
+      });
+    }
+
+    const [grandFinal] = this.addRounds(bracket, 'final', 1, () => 1)[0];
+    this.link(winners[winnersRounds - 1][0], 'winnerTo', grandFinal, 0);
+
+    if (losersRounds > 0) {
+      this.link(losers[losersRounds - 1][0], 'winnerTo', grandFinal, 1);
+    } else {
+      // Two-player bracket: the first loser gets a second chance straight away
+      this.link(winners[0][0], 'loserTo', grandFinal, 1);
+    }
+
+    return grandFinal;
+  }
+
+  /**
+   * Create empty matches for a section of the bracket, grouped by round
+   */
+  static addRounds(bracket, section, roundCount, matchesInRound) {
+    const prefix = { winners: 'W', losers: 'L', final: 'GF' }[section];
+    const rounds = [];
+
+    for (let round = 1; round <= roundCount; round++) {
+      const matches = [];
+      for (let index = 1; index <= matchesInRound(round); index++) {
+        const match = {
+          id: section === 'final' ? prefix : `${prefix}${round}-${index}`,
+          section,
+          stage: round,
+          players: [null, null],
+          byes: [false, false],
+          status: 'pending', // pending, ready, active, completed
+          round: null, // tournament round the match was played in
+          scores: {},
+          winnerId: null,
+          loserId: null,
+          winnerTo: null,
+          loserTo: null,
+          isFinal: false
+        };
+        matches.push(match);
+        bracket.matches.push(match);
+      }
+      rounds.push(matches);
+    }
+
+    return rounds;
+  }
+
+  /**
+   * Route a match outcome (winnerTo or loserTo) into a slot of a later match
+   */
+  static link(fromMatch, outcome, toMatch, slot) {
+    fromMatch[outcome] = { matchId: toMatch.id, slot };
+  }
+
+  /**
+   * Put a player (or a bye, for null) into a match slot
+   */
+  static fillSlot(match, slot, playerId) {
+    match.players[slot] = playerId;
+    match.byes[slot] = playerId === null;
+
+    const resolved = [0, 1].every(i => match.players[i] !== null || match.byes[i]);
+    if (resolved && match.status === 'pending') {
+      match.status = 'ready';
+    }
+  }
+
+  /**
+   * Look up a match by id
+   */
+  static getMatch(bracket, matchId) {
+    return bracket.matches.find(match => match.id === matchId);
+  }
+
+  /**
+   * Matches that can be played in the next tournament round
+   */
+  static getPlayableMatches(bracket) {
+    return bracket.matches.filter(match => match.status === 'ready');
+  }
+
+  /**
+   * Mark the playable matches as active in a tournament round
+   */
+  static startMatches(bracket, roundNumber) {
+    const matches = this.getPlayableMatches(bracket);
+    matches.forEach(match => {
+      match.status = 'active';
+      match.round = roundNumber;
+    });
+    return matches;
+  }
+
+  /**
+   * Settle every active match from a finished tournament round's scores.
+   * The higher score wins; a tie goes to the better seed.
+   * Returns the players knocked out of the bracket.
+   */
+  static recordRound(bracket, scores) {
+    const knockedOut = [];
+
+    bracket.matches.filter(match => match.status === 'active').forEach(match => {
+      const [a, b] = match.players;
+      match.scores = { [a]: scores.get(a) || 0, [b]: scores.get(b) || 0 };
+
+      const aWins = match.scores[a] > match.scores[b] ||
+        (match.scores[a] === match.scores[b] && bracket.seeds[a] < bracket.seeds[b]);
+      const outcome = this.completeMatch(bracket, match, aWins ? a : b, aWins ? b : a);
+      if (outcome) knockedOut.push(outcome);
+    });
+
+    this.settleByes(bracket);
+    return knockedOut;
+  }
+
+  /**
+   * Close a match and send its players on; returns the loser if they are out
+   */
+  static completeMatch(bracket, match, winnerId, loserId) {
+    match.status = 'completed';
+    match.winnerId = winnerId;
+    match.loserId = loserId;
+
+    if (match.isFinal) {
+      bracket.championId = winnerId;
+      bracket.status = 'completed';
+    }
+
+    if (match.winnerTo) {
+      this.fillSlot(this.getMatch(bracket, match.winnerTo.matchId), match.winnerTo.slot, winnerId);
+    }
+
+    if (match.loserTo) {
+      this.fillSlot(this.getMatch(bracket, match.loserTo.matchId), match.loserTo.slot, loserId);
+      return null;
+    }
+
+    return loserId;
+  }
+
+  /**
+   * Settle matches with a bye in them, repeating until nothing changes
+   */
+  static settleByes(bracket) {
+    let settled = true;
+    while (settled) {
+      settled = false;
+      bracket.matches.forEach(match => {
+        if (match.status !== 'ready' || !match.byes.some(Boolean)) return;
+
+        const [a, b] = match.players;
+        this.completeMatch(bracket, match, a || b || null, null);
+        settled = true;
+      });
+    }
+  }
+}
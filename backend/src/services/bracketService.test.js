@@ -0,0 +1,131 @@
+/**
+ * Bracket Service Tests
+ */
+import { BracketService } from './bracketService.js';
+
+const players = (count) => Array.from({ length: count }, (_value, i) => `p${i + 1}`);
+
+/**
+ * Play every playable match, letting the lower seed number win
+ */
+function playRound(bracket, roundNumber, winners = {}) {
+  const matches = BracketService.startMatches(bracket, roundNumber);
+  const scores = new Map();
+  matches.forEach(match => {
+    const [a, b] = match.players;
+    const favourite = winners[match.id] || (bracket.seeds[a] < bracket.seeds[b] ? a : b);
+    scores.set(a, a === favourite ? 100 : 50);
+    scores.set(b, b === favourite ? 100 : 50);
+  });
+  return { matches, knockedOut: BracketService.recordRound(bracket, scores) };
+}
+
+describe('BracketService', () => {
+  describe('seedPositions', () => {
+    test('should keep the top seeds apart until the final', () => {
+      expect(BracketService.seedPositions(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+      expect(BracketService.seedPositions(4)).toEqual([1, 4, 2, 3]);
+    });
+  });
+
+  describe('assertOptions', () => {
+    test('should reject unknown bracket types and seeding modes', () => {
+      expect(() => BracketService.assertOptions({ bracketType: 'double', seeding: 'rating' })).not.toThrow();
+      expect(() => BracketService.assertOptions({ bracketType: 'triple', seeding: 'random' }))
+        .toThrow('Unsupported bracket type');
+      expect(() => BracketService.assertOptions({ bracketType: 'single', seeding: 'alphabetical' }))
+        .toThrow('Unsupported seeding mode');
+    });
+  });
+
+  describe('single elimination', () => {
+    test('should pair seeds head-to-head in the first round', () => {
+      const bracket = BracketService.createBracket(players(8));
+      const firstRound = bracket.matches.filter(match => match.section === 'winners' && match.stage === 1);
+
+      expect(bracket.size).toBe(8);
+      expect(bracket.matches).toHaveLength(7);
+      expect(firstRound.map(match => match.players)).toEqual([
+        ['p1', 'p8'], ['p4', 'p5'], ['p2', 'p7'], ['p3', 'p6']
+      ]);
+      expect(firstRound.every(match => match.status === 'ready')).toBe(true);
+    });
+
+    test('should advance winners until a champion is crowned', () => {
+      const bracket = BracketService.createBracket(players(8));
+
+      const first = playRound(bracket, 1);
+      expect(first.knockedOut.sort()).toEqual(['p5', 'p6', 'p7', 'p8']);
+      expect(BracketService.getMatch(bracket, 'W2-1').players).toEqual(['p1', 'p4']);
+
+      playRound(bracket, 2);
+      const final = playRound(bracket, 3, { 'W3-1': 'p2' });
+
+      expect(final.matches.map(match => match.id)).toEqual(['W3-1']);
+      expect(bracket.championId).toBe('p2');
+      expect(bracket.status).toBe('completed');
+    });
+
+    test('should give byes to the top seeds', () => {
+      const bracket = BracketService.createBracket(players(6));
+
+      expect(bracket.size).toBe(8);
+      expect(BracketService.getMatch(bracket, 'W1-1')).toMatchObject({ status: 'completed', winnerId: 'p1' });
+      expect(BracketService.getMatch(bracket, 'W1-3')).toMatchObject({ status: 'completed', winnerId: 'p2' });
+      expect(BracketService.getPlayableMatches(bracket)).toHaveLength(2);
+    });
+
+    test('should break a tied match in favour of the better seed', () => {
+      const bracket = BracketService.createBracket(players(2));
+      BracketService.startMatches(bracket, 1);
+
+      BracketService.recordRound(bracket, new Map([['p1', 300], ['p2', 300]]));
+
+      expect(bracket.championId).toBe('p1');
+    });
+  });
+
+  describe('double elimination', () => {
+    test('should build losers bracket and grand final', () => {
+      const bracket = BracketService.createBracket(players(8), { type: 'double' });
+      const sections = bracket.matches.reduce((counts, match) => {
+        counts[match.section] = (counts[match.section] || 0) + 1;
+        return counts;
+      }, {});
+
+      expect(sections).toEqual({ winners: 7, losers: 6, final: 1 });
+      expect(BracketService.countStages(8, 'double')).toBe(6);
+    });
+
+    test('should drop first losses into the losers bracket', () => {
+      const bracket = BracketService.createBracket(players(4), { type: 'double' });
+
+      const first = playRound(bracket, 1);
+
+      expect(first.knockedOut).toEqual([]);
+      expect(BracketService.getMatch(bracket, 'L1-1').players).toEqual(['p4', 'p3']);
+    });
+
+    test('should knock players out on their second loss and finish with the grand final', () => {
+      const bracket = BracketService.createBracket(players(4), { type: 'double' });
+      const knockedOut = [];
+
+      for (let round = 1; round <= BracketService.countStages(4, 'double') && !bracket.championId; round++) {
+        knockedOut.push(...playRound(bracket, round).knockedOut);
+      }
+
+      expect(BracketService.getMatch(bracket, 'GF').players).toEqual(['p1', 'p2']);
+      expect(bracket.championId).toBe('p1');
+      expect(knockedOut).toEqual(['p4', 'p3', 'p2']);
+    });
+
+    test('should give a two-player bracket a second-chance final', () => {
+      const bracket = BracketService.createBracket(players(2), { type: 'double' });
+
+      playRound(bracket, 1, { 'W1-1': 'p2' });
+
+      expect(bracket.championId).toBeNull();
+      expect(BracketService.getMatch(bracket, 'GF').players).toEqual(['p2', 'p1']);
+    });
+  });
+});
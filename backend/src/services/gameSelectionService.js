@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+
+export const SELECTION_STRATEGIES = ['sequential', 'random', 'weighted', 'shuffle-bag'];
+
+// Games offered in an intermission vote
+const MIN_VOTE_CANDIDATES = 2;
+const MAX_VOTE_CANDIDATES = 3;
+
+/**
+ * Game Selection Service - Picks the mini-game for each tournament round
+ *
+ * All randomness comes from a small seeded generator whose state lives on the
+ * tournament, so a tournament's game order can be replayed from its seed.
+ */
+export class GameSelectionService {
+
+  /**
+   * Turn a user-supplied seed (number or string) into a 32-bit integer,
+   * or draw a fresh one when none is given
+   */
+  static normalizeSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+      return crypto.randomInt(0, 2 ** 32 - 1);
+    }
+
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Throw if a strategy name is not supported
+   */
+  static assertStrategy(strategy) {
+    if (!SELECTION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unsupported game selection strategy: ${strategy}`);
+    }
+  }
+
+  /**
+   * Throw if an intermission vote would offer an unsupported number of games
+   */
+  static assertVoteCandidates(count) {
+    if (!Number.isInteger(count) || count < MIN_VOTE_CANDIDATES || count > MAX_VOTE_CANDIDATES) {
+      throw new Error(`Game vote candidates must be between ${MIN_VOTE_CANDIDATES} and ${MAX_VOTE_CANDIDATES}`);
+    }
+  }
+
+  /**
+   * Fresh selection state for a tournament about to start
+   */
+  static createState(seed) {
+    return {
+      rngState: seed >>> 0,
+      bag: []
+    };
+  }
+
+  /**
+   * Next float in [0, 1) from the tournament's generator (mulberry32)
+   */
+  static nextRandom(state) {
+    state.rngState = (state.rngState + 0x6d2b79f5) >>> 0;
+    let t = state.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Pick the game for the tournament's current round
+   */
+  static selectGame(tournament) {
+    const { gameRotation, gameSelection, noBackToBack } = tournament.settings;
+    const state = tournament.gameSelection || (tournament.gameSelection = this.createState(tournament.seed));
+    const previousRound = tournament.rounds[tournament.rounds.length - 1];
+    const previousGame = noBackToBack && previousRound ? previousRound.game : null;
+
+    switch (gameSelection) {
+      case 'random':
+        return this.pickUniform(state, this.excludePrevious(gameRotation, previousGame));
+      case 'weighted':
+        return this.pickWeighted(
+          state,
+          this.excludePrevious(gameRotation, previousGame),
+          tournament.settings.gameWeights || {}
+        );
+      case 'shuffle-bag':
+        return this.drawFromBag(state, gameRotation, previousGame);
+      case 'sequential':
+      default:
+        return gameRotation[(tournament.currentRound - 1) % gameRotation.length];
+    }
+  }
+
+  /**
+   * Games offered in the intermission vote for the next round: up to count
+   * distinct games from the rotation, in a seeded random order
+   */
+  static pickCandidates(tournament, count) {
+    const { gameRotation, noBackToBack } = tournament.settings;
+    const state = tournament.gameSelection || (tournament.gameSelection = this.createState(tournament.seed));
+    const previousRound = tournament.rounds[tournament.rounds.length - 1];
+    const games = [...new Set(gameRotation)];
+    const candidates = noBackToBack && previousRound && games.length > count
+      ? this.excludePrevious(games, previousRound.game)
+      : games;
+
+    return this.shuffle(state, candidates).slice(0, count);
+  }
+
+  /**
+   * Vote count per candidate (playerId -> game votes)
+   */
+  static tallyVotes(candidates, votes) {
+    const tallies = Object.fromEntries(candidates.map(game => [game, 0]));
+    votes.forEach(game => {
+      if (game in tallies) tallies[game]++;
+    });
+    return tallies;
+  }
+
+  /**
+   * The candidate with the most votes; a tie (or no votes at all) is drawn at random
+   */
+  static resolveVote(state, candidates, votes) {
+    const tallies = this.tallyVotes(candidates, votes);
+    const mostVotes = Math.max(...Object.values(tallies));
+    return this.pickUniform(state, candidates.filter(game => tallies[game] === mostVotes));
+  }
+
+  /**
+   * Drop the previous game from the candidates, unless nothing else is left
+   */
+  static excludePrevious(games, previousGame) {
+    const candidates = games.filter(game => game !== previousGame);
+    return candidates.length > 0 ? candidates : games;
+  }
+
+  /**
+   * Every candidate is equally likely
+   */
+  static pickUniform(state, games) {
+    return games[Math.floor(this.nextRandom(state) * games.length)];
+  }
+
+  /**
+   * Candidates are drawn in proportion to their weight (1 when not listed)
+   */
+  static pickWeighted(state, games, weights) {
+    const gameWeights = games.map(game => Math.max(0, Number(weights[game] ?? 1)) || 0);
+    const totalWeight = gameWeights.reduce((sum, weight) => sum + weight, 0);
+
+    if (totalWeight <= 0) {
+      return this.pickUniform(state, games);
+    }
+
+    let roll = this.nextRandom(state) * totalWeight;
+    for (let i = 0; i < games.length; i++) {
+      roll -= gameWeights[i];
+      if (roll < 0) return games[i];
+    }
+    return games[games.length - 1];
+  }
+
+  /**
+   * No game comes up again until every game in the rotation has been played
+   */
+  static drawFromBag(state, games, previousGame) {
+    if (state.bag.length === 0) {
+      state.bag = this.shuffle(state, games);
+
+      // A refill may put the last game of the old bag first; move it back
+      if (previousGame && state.bag.length > 1 && state.bag[0] === previousGame) {
+        const swapIndex = 1 + Math.floor(this.nextRandom(state) * (state.bag.length - 1));
+        [state.bag[0], state.bag[swapIndex]] = [state.bag[swapIndex], state.bag[0]];
+      }
+    }
+
+    return state.bag.shift();
+  }
+
+  /**
+   * Fisher-Yates shuffle driven by the tournament's generator
+   */
+  static shuffle(state, games) {
+    const shuffled = [...games];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.nextRandom(state) * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
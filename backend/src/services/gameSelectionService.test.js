@@ -0,0 +1,157 @@
+/**
+ * Game Selection Service Tests
+ */
+import { GameSelectionService } from './gameSelectionService.js';
+
+const GAMES = ['jetpack', 'runner', 'maze', 'snake'];
+
+/**
+ * Play out a number of rounds against a minimal tournament object
+ */
+function playRounds(settings, rounds, seed = 42) {
+  const tournament = {
+    seed,
+    currentRound: 0,
+    rounds: [],
+    gameSelection: GameSelectionService.createState(seed),
+    settings: { gameRotation: GAMES, ...settings }
+  };
+
+  for (let i = 0; i < rounds; i++) {
+    tournament.currentRound++;
+    tournament.rounds.push({ game: GameSelectionService.selectGame(tournament) });
+  }
+  return tournament.rounds.map(round => round.game);
+}
+
+describe('GameSelectionService', () => {
+  describe('normalizeSeed', () => {
+    test('should keep numeric seeds as 32-bit integers', () => {
+      expect(GameSelectionService.normalizeSeed(1234)).toBe(1234);
+      expect(GameSelectionService.normalizeSeed(-1)).toBe(4294967295);
+    });
+
+    test('should hash string seeds consistently', () => {
+      const seed = GameSelectionService.normalizeSeed('friday-night');
+
+      expect(seed).toBe(GameSelectionService.normalizeSeed('friday-night'));
+      expect(seed).not.toBe(GameSelectionService.normalizeSeed('saturday-night'));
+    });
+
+    test('should draw a seed when none is given', () => {
+      const seed = GameSelectionService.normalizeSeed();
+
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  describe('assertStrategy', () => {
+    test('should reject unknown strategies', () => {
+      expect(() => GameSelectionService.assertStrategy('shuffle-bag')).not.toThrow();
+      expect(() => GameSelectionService.assertStrategy('chaos')).toThrow('Unsupported game selection strategy');
+    });
+  });
+
+  describe('selectGame', () => {
+    test('should cycle through the rotation in sequential mode', () => {
+      expect(playRounds({ gameSelection: 'sequential' }, 6)).toEqual([
+        'jetpack', 'runner', 'maze', 'snake', 'jetpack', 'runner'
+      ]);
+    });
+
+    test('should reproduce the same order from the same seed', () => {
+      const first = playRounds({ gameSelection: 'random' }, 20, 7);
+      const second = playRounds({ gameSelection: 'random' }, 20, 7);
+
+      expect(first).toEqual(second);
+      first.forEach(game => expect(GAMES).toContain(game));
+    });
+
+    test('should never repeat a game back-to-back when asked not to', () => {
+      const games = playRounds({ gameSelection: 'random', noBackToBack: true }, 50);
+
+      for (let i = 1; i < games.length; i++) {
+        expect(games[i]).not.toBe(games[i - 1]);
+      }
+    });
+
+    test('should favour heavier games and skip zero-weight ones', () => {
+      const games = playRounds({
+        gameSelection: 'weighted',
+        gameWeights: { jetpack: 8, runner: 1, maze: 1, snake: 0 }
+      }, 200);
+      const jetpackCount = games.filter(game => game === 'jetpack').length;
+
+      expect(jetpackCount).toBeGreaterThan(120);
+      expect(games).not.toContain('snake');
+    });
+
+    test('should play every game once before any repeats in shuffle-bag mode', () => {
+      const games = playRounds({ gameSelection: 'shuffle-bag' }, 8);
+
+      expect([...games.slice(0, 4)].sort()).toEqual([...GAMES].sort());
+      expect([...games.slice(4, 8)].sort()).toEqual([...GAMES].sort());
+    });
+
+    test('should not repeat across bag refills when back-to-back repeats are off', () => {
+      for (let seed = 0; seed < 25; seed++) {
+        const games = playRounds({ gameSelection: 'shuffle-bag', noBackToBack: true }, 12, seed);
+
+        for (let i = 1; i < games.length; i++) {
+          expect(games[i]).not.toBe(games[i - 1]);
+        }
+      }
+    });
+
+    test('should allow a repeat when the rotation has a single game', () => {
+      const games = playRounds({ gameSelection: 'random', noBackToBack: true, gameRotation: ['jetpack'] }, 3);
+
+      expect(games).toEqual(['jetpack', 'jetpack', 'jetpack']);
+    });
+  });
+
+  describe('game votes', () => {
+    const tournamentWith = (settings = {}, rounds = []) => ({
+      seed: 7,
+      rounds,
+      gameSelection: GameSelectionService.createState(7),
+      settings: { gameRotation: GAMES, ...settings }
+    });
+
+    test('should offer distinct games from the rotation', () => {
+      const candidates = GameSelectionService.pickCandidates(tournamentWith(), 3);
+
+      expect(candidates).toHaveLength(3);
+      expect(new Set(candidates).size).toBe(3);
+      candidates.forEach(game => expect(GAMES).toContain(game));
+      expect(GameSelectionService.pickCandidates(tournamentWith({ gameRotation: ['jetpack', 'maze'] }), 3)).toHaveLength(2);
+    });
+
+    test('should leave out the previous game when back-to-back repeats are off', () => {
+      for (let i = 0; i < 10; i++) {
+        const tournament = tournamentWith({ noBackToBack: true }, [{ game: 'maze' }]);
+        tournament.gameSelection = GameSelectionService.createState(i);
+
+        expect(GameSelectionService.pickCandidates(tournament, 3)).not.toContain('maze');
+      }
+    });
+
+    test('should pick the most voted game and draw ties among the leaders only', () => {
+      const state = GameSelectionService.createState(1);
+      const candidates = ['jetpack', 'runner', 'maze'];
+
+      expect(GameSelectionService.resolveVote(state, candidates, new Map([['a', 'maze'], ['b', 'maze'], ['c', 'runner']]))).toBe('maze');
+      for (let i = 0; i < 10; i++) {
+        const tied = new Map([['a', 'jetpack'], ['b', 'runner']]);
+        expect(['jetpack', 'runner']).toContain(GameSelectionService.resolveVote(state, candidates, tied));
+      }
+      expect(GameSelectionService.tallyVotes(candidates, new Map([['a', 'maze']]))).toEqual({ jetpack: 0, runner: 0, maze: 1 });
+    });
+
+    test('should offer two or three games', () => {
+      expect(() => GameSelectionService.assertVoteCandidates(2)).not.toThrow();
+      expect(() => GameSelectionService.assertVoteCandidates(4)).toThrow('Game vote candidates must be between 2 and 3');
+    });
+  });
+});
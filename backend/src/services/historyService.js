@@ -0,0 +1,273 @@
+import { query } from '../database.js';
+import persistenceService from './persistenceService.js';
+
+/**
+ * Place of each leaderboard entry's player, as {playerId: rank}
+ */
+function placements(leaderboard) {
+  return Object.fromEntries((leaderboard || []).map(entry => [entry.playerId, entry.rank]));
+}
+
+/**
+ * The players sharing first place of a completed tournament
+ */
+function winners(status, leaderboard) {
+  if (status !== 'completed') return [];
+  return (leaderboard || [])
+    .filter(entry => entry.rank === 1)
+    .map(entry => ({ playerId: entry.playerId, playerName: entry.playerName }));
+}
+
+/**
+ * History Service - Reads finished and running tournaments back from the
+ * tables persistenceService writes
+ *
+ * Player ids are socket ids and change with every session, so a player's
+ * history follows the player key their client sent when joining instead.
+ */
+export class HistoryService {
+
+  /**
+   * WHERE clause and parameters for the list filters
+   * (statuses[], roomId, playerId, playerKey, from, to)
+   */
+  static buildFilters(filters) {
+    const { statuses, roomId, playerId, playerKey, from, to } = filters;
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (statuses && statuses.length > 0) add('t.status = ANY(?)', statuses);
+    if (roomId) add('t.room_id = ?', roomId);
+    if (playerId) add('EXISTS (SELECT 1 FROM tournament_players p WHERE p.tournament_id = t.id AND p.player_id = ?)', playerId);
+    if (playerKey) add('EXISTS (SELECT 1 FROM tournament_players p WHERE p.tournament_id = t.id AND p.player_key = ?)', playerKey);
+    if (from) add('t.created_at >= ?', from);
+    if (to) add('t.created_at <= ?', to);
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * List tournaments, newest first, with the total matching the filters
+   */
+  static async listTournaments(filters = {}, limit = 20, offset = 0) {
+    const { where, params } = this.buildFilters(filters);
+    const listQuery = `
+      SELECT
+        t.id,
+        t.room_id,
+        t.status,
+        t.format,
+        t.current_round,
+        t.max_rounds,
+        t.created_at,
+        t.started_at,
+        t.completed_at,
+        t.state->'leaderboard' AS leaderboard,
+        (SELECT COUNT(*) FROM tournament_players p WHERE p.tournament_id = t.id) AS player_count
+      FROM tournaments t
+      ${where}
+      ORDER BY t.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    try {
+      const [listResult, countResult] = await Promise.all([
+        query(listQuery, [...params, limit, offset]),
+        query(`SELECT COUNT(*) AS total FROM tournaments t ${where}`, params)
+      ]);
+
+      return {
+        tournaments: listResult.rows.map(row => ({
+          tournamentId: row.id,
+          roomId: row.room_id,
+          status: row.status,
+          format: row.format,
+          currentRound: row.current_round,
+          maxRounds: row.max_rounds,
+          playerCount: parseInt(row.player_count),
+          winners: winners(row.status, row.leaderboard),
+          createdAt: row.created_at,
+          startedAt: row.started_at,
+          endedAt: row.completed_at
+        })),
+        total: parseInt(countResult.rows[0].total)
+      };
+    } catch (error) {
+      console.error('Error listing tournaments:', error);
+      throw new Error('Failed to retrieve tournaments');
+    }
+  }
+
+  /**
+   * One tournament with its players, rounds (with every score) and final
+   * standings, or null when there is no such tournament
+   */
+  static async getTournament(tournamentId) {
+    try {
+      const { rows: [tournament] } = await query('SELECT * FROM tournaments WHERE id = $1', [tournamentId]);
+      if (!tournament) return null;
+
+      const [{ rows: playerRows }, { rows: roundRows }, { rows: scoreRows }] = await Promise.all([
+        query(`
+          SELECT player_id, name, is_bot, team_id, total_score, total_points
+          FROM tournament_players
+          WHERE tournament_id = $1
+          ORDER BY joined_at
+        `, [tournamentId]),
+        query(`
+          SELECT round_number, game_type, status, sudden_death, started_at, ends_at, data->>'completedAt' AS completed_at
+          FROM tournament_rounds
+          WHERE tournament_id = $1
+          ORDER BY round_number
+        `, [tournamentId]),
+        query(`
+          SELECT round_number, player_id, score, points, status
+          FROM round_scores
+          WHERE tournament_id = $1
+          ORDER BY round_number, score DESC
+        `, [tournamentId])
+      ]);
+
+      const state = tournament.state || {};
+      const names = new Map(playerRows.map(row => [row.player_id, row.name]));
+      const ranks = placements(state.leaderboard);
+
+      return {
+        tournamentId: tournament.id,
+        roomId: tournament.room_id,
+        status: tournament.status,
+        format: tournament.format,
+        currentRound: tournament.current_round,
+        maxRounds: tournament.max_rounds,
+        seed: tournament.seed === null ? null : Number(tournament.seed),
+        settings: tournament.settings,
+        createdAt: tournament.created_at,
+        startedAt: tournament.started_at,
+        endedAt: tournament.completed_at,
+        players: playerRows.map(row => ({
+          playerId: row.player_id,
+          playerName: row.name,
+          isBot: row.is_bot,
+          teamId: row.team_id,
+          totalScore: row.total_score,
+          totalPoints: row.total_points,
+          placement: ranks[row.player_id] || null
+        })),
+        rounds: roundRows.map(round => ({
+          number: round.round_number,
+          game: round.game_type,
+          status: round.status,
+          suddenDeath: round.sudden_death,
+          startedAt: round.started_at,
+          endsAt: round.ends_at,
+          completedAt: round.completed_at,
+          scores: scoreRows
+            .filter(score => score.round_number === round.round_number)
+            .map(score => ({
+              playerId: score.player_id,
+              playerName: names.get(score.player_id) || null,
+              score: score.score,
+              points: score.points,
+              status: score.status
+            }))
+        })),
+        standings: state.leaderboard || [],
+        teamStandings: state.teamLeaderboard || null,
+        winners: winners(tournament.status, state.leaderboard)
+      };
+    } catch (error) {
+      console.error('Error getting tournament:', error);
+      throw new Error('Failed to retrieve tournament');
+    }
+  }
+
+  /**
+   * The tournaments the player with a player key took part in once they
+   * started, newest first, with where the player placed, and the total for paging
+   */
+  static async getPlayerHistory(playerKey, limit = 20, offset = 0) {
+    const historyQuery = `
+      SELECT
+        t.id,
+        t.room_id,
+        t.status,
+        t.format,
+        t.max_rounds,
+        t.created_at,
+        t.started_at,
+        t.completed_at,
+        t.state->'leaderboard' AS leaderboard,
+        p.player_id,
+        p.name,
+        p.team_id,
+        p.total_score,
+        p.total_points,
+        (SELECT COUNT(*) FROM tournament_players o WHERE o.tournament_id = t.id) AS player_count
+      FROM tournament_players p
+      JOIN tournaments t ON t.id = p.tournament_id
+      WHERE p.player_key = $1 AND t.status <> 'waiting'
+      ORDER BY t.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const countQuery = `
+      SELECT COUNT(*) AS total
+      FROM tournament_players p
+      JOIN tournaments t ON t.id = p.tournament_id
+      WHERE p.player_key = $1 AND t.status <> 'waiting'
+    `;
+
+    try {
+      const [historyResult, countResult] = await Promise.all([
+        query(historyQuery, [playerKey, limit, offset]),
+        query(countQuery, [playerKey])
+      ]);
+
+      return {
+        history: historyResult.rows.map(row => {
+          const placement = placements(row.leaderboard)[row.player_id] || null;
+          return {
+            tournamentId: row.id,
+            playerId: row.player_id,
+            roomId: row.room_id,
+            status: row.status,
+            format: row.format,
+            maxRounds: row.max_rounds,
+            playerCount: parseInt(row.player_count),
+            playerName: row.name,
+            teamId: row.team_id,
+            totalScore: row.total_score,
+            totalPoints: row.total_points,
+            placement,
+            won: row.status === 'completed' && placement === 1,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            endedAt: row.completed_at
+          };
+        }),
+        total: parseInt(countResult.rows[0].total)
+      };
+    } catch (error) {
+      console.error('Error getting player history:', error);
+      throw new Error('Failed to retrieve player history');
+    }
+  }
+
+  /**
+   * Event log of a tournament, oldest first (empty when there is none)
+   */
+  static async getEventLog(tournamentId) {
+    try {
+      return await persistenceService.loadEvents(tournamentId);
+    } catch (error) {
+      console.error('Error getting event log:', error);
+      throw new Error('Failed to retrieve event log');
+    }
+  }
+}
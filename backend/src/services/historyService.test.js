@@ -0,0 +1,132 @@
+/**
+ * History Service Tests
+ */
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('../database.js', () => ({
+  query: mockQuery
+}));
+
+const { HistoryService } = await import('./historyService.js');
+
+const rows = (list) => ({ rows: list, rowCount: list.length });
+
+const leaderboard = [
+  { rank: 1, playerId: 'player-1', playerName: 'Alice' },
+  { rank: 1, playerId: 'player-2', playerName: 'Bob' },
+  { rank: 3, playerId: 'player-3', playerName: 'Cara' }
+];
+
+describe('HistoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildFilters', () => {
+    test('should number the parameters of the filters given', () => {
+      expect(HistoryService.buildFilters({ statuses: ['completed'], playerId: 'player-1', to: '2026-02-01' })).toEqual({
+        where: 'WHERE t.status = ANY($1) AND EXISTS (SELECT 1 FROM tournament_players p WHERE p.tournament_id = t.id AND p.player_id = $2) AND t.created_at <= $3',
+        params: [['completed'], 'player-1', '2026-02-01']
+      });
+      expect(HistoryService.buildFilters({ playerKey: 'alice-key-1' })).toEqual({
+        where: 'WHERE EXISTS (SELECT 1 FROM tournament_players p WHERE p.tournament_id = t.id AND p.player_key = $1)',
+        params: ['alice-key-1']
+      });
+      expect(HistoryService.buildFilters({ statuses: [] })).toEqual({ where: '', params: [] });
+    });
+  });
+
+  describe('listTournaments', () => {
+    test('should page after the filter parameters and name the winners of completed tournaments', async () => {
+      mockQuery
+        .mockResolvedValueOnce(rows([
+          { id: 'tournament-1', status: 'completed', player_count: '3', leaderboard },
+          { id: 'tournament-2', status: 'aborted', player_count: '2', leaderboard }
+        ]))
+        .mockResolvedValueOnce(rows([{ total: '12' }]));
+
+      const result = await HistoryService.listTournaments({ roomId: 'room-123' }, 2, 4);
+
+      expect(mockQuery.mock.calls[0][0]).toContain('LIMIT $2 OFFSET $3');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['room-123', 2, 4]);
+      expect(mockQuery.mock.calls[1][1]).toEqual(['room-123']);
+      expect(result.total).toBe(12);
+      expect(result.tournaments[0]).toMatchObject({
+        tournamentId: 'tournament-1',
+        playerCount: 3,
+        winners: [{ playerId: 'player-1', playerName: 'Alice' }, { playerId: 'player-2', playerName: 'Bob' }]
+      });
+      expect(result.tournaments[1].winners).toEqual([]);
+    });
+
+    test('should throw a friendly error when the query fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockQuery.mockRejectedValue(new Error('connection refused'));
+
+      await expect(HistoryService.listTournaments()).rejects.toThrow('Failed to retrieve tournaments');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getTournament', () => {
+    test('should put scores under their rounds with player names and placements', async () => {
+      mockQuery
+        .mockResolvedValueOnce(rows([{
+          id: 'tournament-1', status: 'completed', seed: '42', settings: { maxRounds: 5 },
+          state: { leaderboard, teamLeaderboard: null }
+        }]))
+        .mockResolvedValueOnce(rows([
+          { player_id: 'player-1', name: 'Alice', is_bot: false, total_score: 900 },
+          { player_id: 'player-3', name: 'Cara', is_bot: true, total_score: 100 }
+        ]))
+        .mockResolvedValueOnce(rows([
+          { round_number: 1, game_type: 'dino', status: 'completed' },
+          { round_number: 2, game_type: 'jetpack', status: 'completed' }
+        ]))
+        .mockResolvedValueOnce(rows([
+          { round_number: 1, player_id: 'player-1', score: 500, points: 10, status: 'finished' },
+          { round_number: 2, player_id: 'player-3', score: 0, points: 0, status: 'dnf' }
+        ]));
+
+      const tournament = await HistoryService.getTournament('tournament-1');
+
+      expect(tournament).toMatchObject({ tournamentId: 'tournament-1', seed: 42, standings: leaderboard, teamStandings: null });
+      expect(tournament.players[1]).toMatchObject({ playerId: 'player-3', isBot: true, placement: 3 });
+      expect(tournament.rounds[0].scores).toEqual([
+        { playerId: 'player-1', playerName: 'Alice', score: 500, points: 10, status: 'finished' }
+      ]);
+      expect(tournament.rounds[1]).toMatchObject({ game: 'jetpack', scores: [{ playerId: 'player-3', status: 'dnf' }] });
+    });
+
+    test('should return null for unknown tournament', async () => {
+      mockQuery.mockResolvedValueOnce(rows([]));
+
+      expect(await HistoryService.getTournament('unknown')).toBeNull();
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getPlayerHistory', () => {
+    test('should give the placement of the player in each tournament', async () => {
+      mockQuery
+        .mockResolvedValueOnce(rows([
+          { id: 'tournament-1', status: 'completed', player_id: 'player-2', player_count: '3', leaderboard },
+          { id: 'tournament-2', status: 'aborted', player_id: 'player-3', player_count: '3', leaderboard },
+          { id: 'tournament-3', status: 'active', player_id: 'player-9', player_count: '3', leaderboard: null }
+        ]))
+        .mockResolvedValueOnce(rows([{ total: '3' }]));
+
+      // One player key, a different player id in every session
+      const { history, total } = await HistoryService.getPlayerHistory('bob-key-1', 10, 0);
+
+      expect(mockQuery.mock.calls[0][0]).toContain('p.player_key = $1');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['bob-key-1', 10, 0]);
+      expect(total).toBe(3);
+      expect(history.map(entry => [entry.playerId, entry.placement, entry.won])).toEqual([
+        ['player-2', 1, true], ['player-3', 3, false], ['player-9', null, false]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { query } from '../database.js';
+
+// Histogram resolution: buckets per doubling of the score (about 9% wide each)
+const BUCKETS_PER_DOUBLING = 8;
+
+/**
+ * Normalization Service - Compares scores across mini-games using each game's history
+ *
+ * Every game keeps a distribution summary (run count, mean, variance and a
+ * log-scale histogram) built from its rows in game_scores. Summaries are
+ * stored in score_distributions and refreshed incrementally: a refresh only
+ * reads the rows added since the last one it saw.
+ */
+export class NormalizationService {
+  constructor() {
+    this.summaries = new Map(); // gameType -> distribution summary
+    this.refreshes = new Map(); // gameType -> refresh in flight
+    this.unavailable = false; // last refresh failed; stays quiet until one succeeds
+  }
+
+  /**
+   * Empty distribution summary for a game
+   */
+  static createSummary(gameType) {
+    return {
+      gameType,
+      count: 0,
+      mean: 0,
+      m2: 0, // sum of squared deviations from the mean (Welford)
+      histogram: {}, // bucket -> run count
+      lastScoreId: 0
+    };
+  }
+
+  /**
+   * Histogram bucket of a score; 0 holds every score of 0 or less
+   */
+  static bucketFor(score) {
+    return score <= 0 ? 0 : 1 + Math.floor(Math.log2(score) * BUCKETS_PER_DOUBLING);
+  }
+
+  /**
+   * Fold one run into a summary
+   */
+  static addScore(summary, score) {
+    summary.count++;
+    const delta = score - summary.mean;
+    summary.mean += delta / summary.count;
+    summary.m2 += delta * (score - summary.mean);
+
+    const bucket = this.bucketFor(score);
+    summary.histogram[bucket] = (summary.histogram[bucket] || 0) + 1;
+    return summary;
+  }
+
+  /**
+   * Share of recorded runs (0-100) that a score beats; runs in the same bucket count half
+   */
+  static percentile(summary, score) {
+    if (!summary || summary.count === 0) return null;
+
+    const bucket = this.bucketFor(score);
+    let below = 0;
+    Object.entries(summary.histogram).forEach(([key, count]) => {
+      if (Number(key) < bucket) below += count;
+    });
+    const same = summary.histogram[bucket] || 0;
+
+    return Math.round((below + same / 2) / summary.count * 1000) / 10;
+  }
+
+  /**
+   * Standard deviations above (or below) the game's mean score
+   */
+  static zScore(summary, score) {
+    if (!summary || summary.count < 2) return null;
+
+    const stdDev = Math.sqrt(summary.m2 / (summary.count - 1));
+    return stdDev > 0 ? Math.round((score - summary.mean) / stdDev * 100) / 100 : 0;
+  }
+
+  /**
+   * Summary already in memory, without touching the database
+   */
+  getCachedSummary(gameType) {
+    return this.summaries.get(gameType) || null;
+  }
+
+  /**
+   * Summary for a game, loading and catching it up on first use
+   */
+  async getSummary(gameType) {
+    return this.summaries.get(gameType) || this.refresh(gameType);
+  }
+
+  /**
+   * Fold the game's runs added since the last refresh into its summary and store it.
+   * Concurrent refreshes of the same game share one database round trip.
+   */
+  refresh(gameType) {
+    if (!this.refreshes.has(gameType)) {
+      const pending = this.loadNewScores(gameType).finally(() => this.refreshes.delete(gameType));
+      this.refreshes.set(gameType, pending);
+    }
+    return this.refreshes.get(gameType);
+  }
+
+  /**
+   * Read the stored summary (if not cached yet), then the new rows after it
+   */
+  async loadNewScores(gameType) {
+    let summary = this.summaries.get(gameType);
+
+    try {
+      if (!summary) {
+        const stored = await query(
+          `SELECT sample_count, mean, m2, histogram, last_score_id
+           FROM score_distributions WHERE game_type = $1`,
+          [gameType]
+        );
+        const row = stored.rows[0];
+        summary = row
+          ? {
+            gameType,
+            count: parseInt(row.sample_count),
+            mean: parseFloat(row.mean),
+            m2: parseFloat(row.m2),
+            histogram: row.histogram || {},
+            lastScoreId: parseInt(row.last_score_id)
+          }
+          : NormalizationService.createSummary(gameType);
+      }
+
+      const newScores = await query(
+        'SELECT id, score FROM game_scores WHERE game_type = $1 AND id > $2 ORDER BY id',
+        [gameType, summary.lastScoreId]
+      );
+
+      if (newScores.rows.length > 0) {
+        newScores.rows.forEach(row => NormalizationService.addScore(summary, Number(row.score)));
+        summary.lastScoreId = newScores.rows[newScores.rows.length - 1].id;
+
+        await query(
+          `INSERT INTO score_distributions (game_type, sample_count, mean, m2, histogram, last_score_id, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+           ON CONFLICT (game_type) DO UPDATE SET
+             sample_count = EXCLUDED.sample_count, mean = EXCLUDED.mean, m2 = EXCLUDED.m2,
+             histogram = EXCLUDED.histogram, last_score_id = EXCLUDED.last_score_id, updated_at = EXCLUDED.updated_at`,
+          [gameType, summary.count, summary.mean, summary.m2, JSON.stringify(summary.histogram), summary.lastScoreId]
+        );
+      }
+    } catch (error) {
+      // Callers fall back without the history, so one line per outage is enough
+      if (!this.unavailable) {
+        this.unavailable = true;
+        console.warn(`Score distributions unavailable, scoring without them until the database is back: ${error.message}`);
+      }
+      throw new Error('Failed to refresh score distribution');
+    }
+
+    if (this.unavailable) {
+      this.unavailable = false;
+      console.log('Score distributions available again');
+    }
+    this.summaries.set(gameType, summary);
+    return summary;
+  }
+
+  /**
+   * How a score compares with the game's history
+   */
+  describeScore(summary, score) {
+    return {
+      percentile: NormalizationService.percentile(summary, score),
+      zScore: NormalizationService.zScore(summary, score),
+      runs: summary ? summary.count : 0
+    };
+  }
+
+  /**
+   * Compare a score with the game's history before it; null when history is unavailable
+   */
+  async compareScore(gameType, score) {
+    try {
+      return this.describeScore(await this.getSummary(gameType), score);
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const normalizationService = new NormalizationService();
+
+export default normalizationService;
@@ -0,0 +1,117 @@
+/**
+ * Normalization Service Tests
+ */
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('../database.js', () => ({
+  query: mockQuery
+}));
+
+const { default: normalizationService, NormalizationService } = await import('./normalizationService.js');
+
+const rows = (list) => ({ rows: list, rowCount: list.length });
+
+describe('NormalizationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    normalizationService.summaries.clear();
+    normalizationService.unavailable = false;
+  });
+
+  describe('summaries', () => {
+    const summaryOf = (scores) => scores.reduce(
+      (summary, score) => NormalizationService.addScore(summary, score),
+      NormalizationService.createSummary('jetpack')
+    );
+
+    test('should track mean and variance incrementally', () => {
+      const summary = summaryOf([100, 200, 300, 400]);
+
+      expect(summary.count).toBe(4);
+      expect(summary.mean).toBe(250);
+      expect(NormalizationService.zScore(summary, 250)).toBe(0);
+      expect(NormalizationService.zScore(summary, 379)).toBe(1);
+    });
+
+    test('should give the share of runs a score beats', () => {
+      const summary = summaryOf([100, 200, 300, 400, 500, 600, 700, 800, 900, 1000]);
+
+      expect(NormalizationService.percentile(summary, 50)).toBe(0);
+      expect(NormalizationService.percentile(summary, 5000)).toBe(100);
+      expect(NormalizationService.percentile(summary, 900)).toBe(85);
+    });
+
+    test('should have no comparison without history', () => {
+      const empty = NormalizationService.createSummary('jetpack');
+
+      expect(NormalizationService.percentile(empty, 100)).toBeNull();
+      expect(normalizationService.describeScore(empty, 100)).toEqual({ percentile: null, zScore: null, runs: 0 });
+    });
+  });
+
+  describe('refresh', () => {
+    test('should only read runs added since the last refresh and store the summary', async () => {
+      mockQuery
+        .mockResolvedValueOnce(rows([])) // no stored summary yet
+        .mockResolvedValueOnce(rows([{ id: 4, score: 100 }, { id: 7, score: 300 }]))
+        .mockResolvedValueOnce(rows([])); // upsert
+
+      const summary = await normalizationService.refresh('jetpack');
+
+      expect(summary).toMatchObject({ count: 2, mean: 200, lastScoreId: 7 });
+      expect(mockQuery.mock.calls[2][0]).toContain('INSERT INTO score_distributions');
+
+      mockQuery.mockClear();
+      mockQuery.mockResolvedValueOnce(rows([{ id: 9, score: 500 }])).mockResolvedValueOnce(rows([]));
+      await normalizationService.refresh('jetpack');
+
+      expect(mockQuery.mock.calls[0][1]).toEqual(['jetpack', 7]);
+      expect(normalizationService.getCachedSummary('jetpack')).toMatchObject({ count: 3, mean: 300, lastScoreId: 9 });
+    });
+
+    test('should resume from a stored summary', async () => {
+      mockQuery
+        .mockResolvedValueOnce(rows([{ sample_count: '10', mean: '500', m2: '1000', histogram: { 72: 10 }, last_score_id: '42' }]))
+        .mockResolvedValueOnce(rows([]));
+
+      const summary = await normalizationService.getSummary('dino');
+
+      expect(summary).toMatchObject({ count: 10, mean: 500, lastScoreId: 42 });
+      expect(mockQuery).toHaveBeenCalledTimes(2);
+    });
+
+    test('should share one refresh between concurrent callers', async () => {
+      mockQuery.mockResolvedValue(rows([]));
+
+      const [a, b] = await Promise.all([normalizationService.refresh('maze'), normalizationService.refresh('maze')]);
+
+      expect(a).toBe(b);
+      expect(mockQuery).toHaveBeenCalledTimes(2);
+    });
+
+    test('should compare against nothing when the database is unavailable', async () => {
+      mockQuery.mockRejectedValue(new Error('connection refused'));
+
+      await expect(normalizationService.compareScore('jetpack', 100)).resolves.toBeNull();
+    });
+
+    test('should log a failing database once until a refresh succeeds again', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockQuery.mockRejectedValue(new Error('connection refused'));
+
+      await expect(normalizationService.refresh('jetpack')).rejects.toThrow('Failed to refresh score distribution');
+      await expect(normalizationService.refresh('jetpack')).rejects.toThrow('Failed to refresh score distribution');
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toContain('connection refused');
+
+      mockQuery.mockReset();
+      mockQuery.mockResolvedValue(rows([]));
+      await normalizationService.refresh('jetpack');
+      expect(normalizationService.unavailable).toBe(false);
+
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,348 @@
+import { query } from '../database.js';
+
+// Tournament fields that live in their own tables rather than in tournaments.state
+const OWN_TABLES = ['players', 'rounds'];
+
+/**
+ * JSON has no Maps or Sets; tag them so they come back as the same types
+ */
+function replacer(key, value) {
+  if (value instanceof Map) return { $map: Array.from(value.entries()) };
+  if (value instanceof Set) return { $set: Array.from(value) };
+  return value;
+}
+
+/**
+ * Turn tagged Maps and Sets in a parsed JSONB value back into real ones
+ */
+export function revive(value) {
+  if (Array.isArray(value)) return value.map(revive);
+  if (!value || typeof value !== 'object') return value;
+  if (Array.isArray(value.$map)) return new Map(value.$map.map(([key, entry]) => [key, revive(entry)]));
+  if (Array.isArray(value.$set)) return new Set(value.$set.map(revive));
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, revive(entry)]));
+}
+
+function toJson(value) {
+  return JSON.stringify(value, replacer);
+}
+
+/**
+ * Event log entry from a tournament_events row
+ */
+function toEvent(row) {
+  return { seq: row.seq, type: row.type, at: new Date(row.at).toISOString(), data: revive(row.data) };
+}
+
+/**
+ * Persistence Service - Writes tournaments and their rooms through to PostgreSQL
+ * and reads them back on boot
+ *
+ * Rows are built when a write is requested, so they capture the tournament as it
+ * was at that lifecycle step. Writes for one tournament run one after another, in
+ * the order they were requested. A failed write is logged and never thrown: the
+ * in-memory tournament stays the source of truth while the server runs. Nothing
+ * is written until enable() is called, once the database is known to be up.
+ */
+export class PersistenceService {
+  constructor() {
+    this.enabled = false;
+    this.queues = new Map(); // tournament or room id -> last pending write
+  }
+
+  /**
+   * Start writing through (called once the schema is in place)
+   */
+  enable() {
+    this.enabled = true;
+  }
+
+  /**
+   * Stop writing through
+   */
+  disable() {
+    this.enabled = false;
+  }
+
+  /**
+   * Run a write after the earlier ones for the same tournament (or room)
+   */
+  enqueue(id, write) {
+    if (!this.enabled) return Promise.resolve();
+
+    const previous = this.queues.get(id) || Promise.resolve();
+    const next = previous
+      .then(write)
+      .catch(error => console.error(`[Persistence] Failed to save ${id}:`, error.message))
+      .finally(() => {
+        if (this.queues.get(id) === next) this.queues.delete(id);
+      });
+
+    this.queues.set(id, next);
+    return next;
+  }
+
+  /**
+   * Wait for every pending write
+   */
+  async flush() {
+    await Promise.all(Array.from(this.queues.values()));
+  }
+
+  /**
+   * Insert or update the tournament row
+   */
+  saveTournament(tournament) {
+    const state = Object.fromEntries(
+      Object.entries(tournament).filter(([key]) => !OWN_TABLES.includes(key))
+    );
+    const params = [
+      tournament.id,
+      tournament.roomId,
+      tournament.status,
+      tournament.settings.format,
+      tournament.currentRound,
+      tournament.maxRounds,
+      tournament.seed,
+      toJson(tournament.settings),
+      toJson(state),
+      tournament.createdAt,
+      tournament.startedAt || null,
+      tournament.completedAt || tournament.abortedAt || null
+    ];
+
+    return this.enqueue(tournament.id, () => query(`
+      INSERT INTO tournaments (id, room_id, status, format, current_round, max_rounds, seed, settings, state, created_at, started_at, completed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        format = EXCLUDED.format,
+        current_round = EXCLUDED.current_round,
+        max_rounds = EXCLUDED.max_rounds,
+        seed = EXCLUDED.seed,
+        settings = EXCLUDED.settings,
+        state = EXCLUDED.state,
+        started_at = EXCLUDED.started_at,
+        completed_at = EXCLUDED.completed_at,
+        updated_at = CURRENT_TIMESTAMP
+    `, params));
+  }
+
+  /**
+   * Insert or update player rows; the session token is left alone
+   */
+  savePlayers(tournament, players = Array.from(tournament.players.values())) {
+    const rows = players.map(player => [
+      tournament.id,
+      player.id,
+      player.name,
+      Boolean(player.isBot),
+      player.teamId,
+      player.totalScore,
+      player.totalPoints,
+      toJson(player),
+      player.joinedAt,
+      player.playerKey || null
+    ]);
+
+    return this.enqueue(tournament.id, async () => {
+      for (const params of rows) {
+        await query(`
+          INSERT INTO tournament_players (tournament_id, player_id, name, is_bot, team_id, total_score, total_points, data, joined_at, player_key)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          ON CONFLICT (tournament_id, player_id) DO UPDATE SET
+            name = EXCLUDED.name,
+            team_id = EXCLUDED.team_id,
+            total_score = EXCLUDED.total_score,
+            total_points = EXCLUDED.total_points,
+            data = EXCLUDED.data
+        `, params);
+      }
+    });
+  }
+
+  /**
+   * Remember the session token a player can resume with after a restart
+   */
+  saveSessionToken(tournamentId, playerId, token) {
+    return this.enqueue(tournamentId, () => query(
+      'UPDATE tournament_players SET session_token = $3 WHERE tournament_id = $1 AND player_id = $2',
+      [tournamentId, playerId, token]
+    ));
+  }
+
+  /**
+   * Delete a player row
+   */
+  deletePlayer(tournamentId, playerId) {
+    return this.enqueue(tournamentId, () => query(
+      'DELETE FROM tournament_players WHERE tournament_id = $1 AND player_id = $2',
+      [tournamentId, playerId]
+    ));
+  }
+
+  /**
+   * Insert or update a round row and the score rows of the given players
+   * (every player with a score when none are given)
+   */
+  saveRound(tournament, round, playerIds = Array.from(round.scores.keys())) {
+    const { scores, points, ...data } = round;
+    const roundParams = [
+      tournament.id,
+      round.number,
+      round.game,
+      round.status,
+      Boolean(round.suddenDeath),
+      round.startedAt,
+      round.endsAt,
+      toJson(data)
+    ];
+    const scoreRows = playerIds
+      .filter(playerId => scores.has(playerId))
+      .map(playerId => [
+        tournament.id,
+        round.number,
+        playerId,
+        scores.get(playerId),
+        points.has(playerId) ? points.get(playerId) : null,
+        round.playerStates.get(playerId)?.status || 'finished'
+      ]);
+
+    return this.enqueue(tournament.id, async () => {
+      await query(`
+        INSERT INTO tournament_rounds (tournament_id, round_number, game_type, status, sudden_death, started_at, ends_at, data)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (tournament_id, round_number) DO UPDATE SET
+          status = EXCLUDED.status,
+          ends_at = EXCLUDED.ends_at,
+          data = EXCLUDED.data
+      `, roundParams);
+
+      for (const params of scoreRows) {
+        await query(`
+          INSERT INTO round_scores (tournament_id, round_number, player_id, score, points, status)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (tournament_id, round_number, player_id) DO UPDATE SET
+            score = EXCLUDED.score,
+            points = EXCLUDED.points,
+            status = EXCLUDED.status
+        `, params);
+      }
+    });
+  }
+
+  /**
+   * Append an entry to a tournament's event log
+   */
+  saveEvent(tournamentId, event) {
+    const params = [tournamentId, event.seq, event.type, toJson(event.data), event.at];
+
+    return this.enqueue(tournamentId, () => query(`
+      INSERT INTO tournament_events (tournament_id, seq, type, data, at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (tournament_id, seq) DO NOTHING
+    `, params));
+  }
+
+  /**
+   * Event log of a tournament, oldest first
+   */
+  async loadEvents(tournamentId) {
+    const { rows } = await query(
+      'SELECT * FROM tournament_events WHERE tournament_id = $1 ORDER BY seq',
+      [tournamentId]
+    );
+    return rows.map(toEvent);
+  }
+
+  /**
+   * Delete a tournament with its players, rounds, scores and event log
+   */
+  deleteTournament(tournamentId) {
+    return this.enqueue(tournamentId, () => query('DELETE FROM tournaments WHERE id = $1', [tournamentId]));
+  }
+
+  /**
+   * Insert or update a room row; writes for a room run in order like a tournament's
+   */
+  saveRoom(room) {
+    const params = [room.id, room.hostId, room.isPrivate, toJson(room), room.createdAt];
+
+    return this.enqueue(room.id, () => query(`
+      INSERT INTO rooms (id, host_id, is_private, state, created_at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (id) DO UPDATE SET
+        host_id = EXCLUDED.host_id,
+        state = EXCLUDED.state,
+        updated_at = CURRENT_TIMESTAMP
+    `, params));
+  }
+
+  /**
+   * Delete a room row
+   */
+  deleteRoom(roomId) {
+    return this.enqueue(roomId, () => query('DELETE FROM rooms WHERE id = $1', [roomId]));
+  }
+
+  /**
+   * Read back the rooms with the given ids, as room records
+   */
+  async loadRooms(roomIds) {
+    if (roomIds.length === 0) return [];
+
+    const { rows } = await query('SELECT * FROM rooms WHERE id = ANY($1)', [roomIds]);
+    return rows.map(row => revive(row.state));
+  }
+
+  /**
+   * Read back the tournaments in the given statuses, as tournament records, with
+   * the session tokens of their players and their event logs ({tournament, sessions[], events[]})
+   */
+  async loadTournaments(statuses) {
+    const { rows: tournamentRows } = await query(
+      'SELECT * FROM tournaments WHERE status = ANY($1) ORDER BY created_at',
+      [statuses]
+    );
+    if (tournamentRows.length === 0) return [];
+
+    const ids = tournamentRows.map(row => row.id);
+    const [{ rows: playerRows }, { rows: roundRows }, { rows: scoreRows }, { rows: eventRows }] = await Promise.all([
+      query('SELECT * FROM tournament_players WHERE tournament_id = ANY($1) ORDER BY joined_at', [ids]),
+      query('SELECT * FROM tournament_rounds WHERE tournament_id = ANY($1) ORDER BY round_number', [ids]),
+      query('SELECT * FROM round_scores WHERE tournament_id = ANY($1) ORDER BY submitted_at', [ids]),
+      query('SELECT * FROM tournament_events WHERE tournament_id = ANY($1) ORDER BY seq', [ids])
+    ]);
+
+    return tournamentRows.map(row => {
+      const tournament = revive(row.state);
+      const players = playerRows.filter(player => player.tournament_id === row.id);
+
+      tournament.players = new Map(players.map(player => [player.player_id, revive(player.data)]));
+      tournament.rounds = roundRows
+        .filter(round => round.tournament_id === row.id)
+        .map(round => {
+          const roundScores = scoreRows.filter(score => score.tournament_id === row.id && score.round_number === round.round_number);
+          return {
+            ...revive(round.data),
+            scores: new Map(roundScores.map(score => [score.player_id, score.score])),
+            points: new Map(roundScores.filter(score => score.points !== null).map(score => [score.player_id, score.points]))
+          };
+        });
+
+      return {
+        tournament,
+        sessions: players
+          .filter(player => player.session_token)
+          .map(player => ({ playerId: player.player_id, token: player.session_token })),
+        events: eventRows.filter(event => event.tournament_id === row.id).map(toEvent)
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const persistenceService = new PersistenceService();
+
+export default persistenceService;
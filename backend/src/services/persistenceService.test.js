@@ -0,0 +1,227 @@
+/**
+ * Persistence Service Tests
+ */
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('../database.js', () => ({
+  query: mockQuery
+}));
+
+const { default: persistenceService, revive } = await import('./persistenceService.js');
+const { default: tournamentService } = await import('./tournamentService.js');
+const { default: roomService } = await import('./roomService.js');
+
+const rows = (list) => ({ rows: list, rowCount: list.length });
+
+/**
+ * Turn the writes made so far into the rows the tables would now hold
+ */
+function tableRows() {
+  const tables = { tournaments: new Map(), players: new Map(), rounds: new Map(), scores: new Map(), events: new Map(), rooms: new Map() };
+
+  mockQuery.mock.calls.forEach(([text, params]) => {
+    if (text.includes('INSERT INTO tournaments')) {
+      tables.tournaments.set(params[0], { id: params[0], status: params[2], state: JSON.parse(params[8]) });
+    } else if (text.includes('INSERT INTO tournament_players')) {
+      const sessionToken = tables.players.get(params[1])?.session_token || null; // upserts leave it alone
+      tables.players.set(params[1], {
+        tournament_id: params[0], player_id: params[1], data: JSON.parse(params[7]), session_token: sessionToken, player_key: params[9]
+      });
+    } else if (text.includes('UPDATE tournament_players')) {
+      tables.players.get(params[1]).session_token = params[2];
+    } else if (text.includes('INSERT INTO tournament_rounds')) {
+      tables.rounds.set(params[1], { tournament_id: params[0], round_number: params[1], data: JSON.parse(params[7]) });
+    } else if (text.includes('INSERT INTO rooms')) {
+      tables.rooms.set(params[0], { id: params[0], host_id: params[1], is_private: params[2], state: JSON.parse(params[3]) });
+    } else if (text.includes('INSERT INTO tournament_events')) {
+      tables.events.set(params[1], { tournament_id: params[0], seq: params[1], type: params[2], data: JSON.parse(params[3]), at: new Date(params[4]) });
+    } else if (text.includes('INSERT INTO round_scores')) {
+      tables.scores.set(`${params[1]}:${params[2]}`, {
+        tournament_id: params[0], round_number: params[1], player_id: params[2], score: params[3], points: params[4]
+      });
+    }
+  });
+
+  return Object.fromEntries(Object.entries(tables).map(([name, table]) => [name, Array.from(table.values())]));
+}
+
+describe('PersistenceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue(rows([]));
+    tournamentService.tournaments.clear();
+    tournamentService.players.clear();
+    roomService.rooms.clear();
+    roomService.playerRooms.clear();
+    roomService.joinCodes.clear();
+    persistenceService.enable();
+  });
+
+  afterEach(async () => {
+    await persistenceService.flush();
+    persistenceService.disable();
+  });
+
+  test('should not write anything until enabled', async () => {
+    persistenceService.disable();
+    const tournament = tournamentService.createTournament('room-123');
+    tournamentService.addPlayer(tournament.id, 'player-1');
+    await persistenceService.flush();
+
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('should write the tournament as it was when the write was asked for, in order', async () => {
+    const tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false });
+    tournamentService.addPlayer(tournament.id, 'player-1');
+    tournamentService.startTournament(tournament.id);
+    await persistenceService.flush();
+
+    const statuses = mockQuery.mock.calls
+      .filter(([text]) => text.includes('INSERT INTO tournaments'))
+      .map(([, params]) => params[2]);
+    expect(statuses[0]).toBe('waiting');
+    expect(statuses[statuses.length - 1]).toBe('active');
+    expect(tableRows().rounds).toHaveLength(1);
+
+    tournamentService.deleteTournament(tournament.id);
+  });
+
+  test('should log failed writes and carry on with the next ones', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockQuery.mockRejectedValueOnce(new Error('connection refused'));
+
+    const tournament = tournamentService.createTournament('room-123');
+    tournamentService.addPlayer(tournament.id, 'player-1');
+    await persistenceService.flush();
+
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining(tournament.id), 'connection refused');
+    expect(tableRows().players).toHaveLength(1);
+    errorSpy.mockRestore();
+  });
+
+  test('should only delete tournaments that never started', async () => {
+    const waiting = tournamentService.createTournament('room-123');
+    tournamentService.deleteTournament(waiting.id);
+    await persistenceService.flush();
+
+    expect(mockQuery).toHaveBeenLastCalledWith('DELETE FROM tournaments WHERE id = $1', [waiting.id]);
+  });
+
+  test('should bring back Maps and Sets from JSON', () => {
+    const value = revive({ votes: { $map: [['a', { $set: ['x'] }]] }, list: [{ $set: [1] }], plain: { a: 1 } });
+
+    expect(value.votes).toBeInstanceOf(Map);
+    expect(value.votes.get('a')).toEqual(new Set(['x']));
+    expect(value.list[0]).toEqual(new Set([1]));
+    expect(value.plain).toEqual({ a: 1 });
+  });
+
+  describe('restoring after a restart', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      Array.from(tournamentService.tournaments.keys()).forEach(id => tournamentService.deleteTournament(id));
+      jest.useRealTimers();
+    });
+
+    test('should resume a running tournament from its rows', async () => {
+      const original = tournamentService.createTournament('room-123', { autoFillWithBots: false, roundDuration: 30000, teamCount: 2 });
+      tournamentService.addPlayer(original.id, 'player-1', { name: 'Alice', playerKey: 'alice-key-1' });
+      tournamentService.addPlayer(original.id, 'player-2', { name: 'Bob' });
+      persistenceService.saveSessionToken(original.id, 'player-1', 'token-1');
+      tournamentService.startTournament(original.id);
+      tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+      await persistenceService.flush();
+
+      // The server goes down
+      const tables = tableRows();
+      expect(tables.players.map(player => player.player_key)).toEqual(['alice-key-1', null]);
+      tournamentService.clearRoundTimer(original.id);
+      tournamentService.tournaments.clear();
+      tournamentService.players.clear();
+
+      mockQuery.mockReset();
+      mockQuery
+        .mockResolvedValueOnce(rows(tables.tournaments))
+        .mockResolvedValueOnce(rows(tables.players))
+        .mockResolvedValueOnce(rows(tables.rounds))
+        .mockResolvedValueOnce(rows(tables.scores))
+        .mockResolvedValueOnce(rows(tables.events))
+        .mockResolvedValue(rows([]));
+
+      const [snapshot] = await persistenceService.loadTournaments(['waiting', 'active', 'paused']);
+      expect(mockQuery.mock.calls[0][1]).toEqual([['waiting', 'active', 'paused']]);
+      expect(snapshot.sessions).toEqual([{ playerId: 'player-1', token: 'token-1' }]);
+
+      const tournament = tournamentService.restoreTournament(snapshot.tournament, snapshot.events);
+      expect(tournament.status).toBe('active');
+      const log = tournamentService.getEventLog(tournament.id);
+      expect(log.slice(0, -1)).toEqual(tables.events.map(({ seq, type, data, at }) => ({ seq, type, data, at: at.toISOString() })));
+      expect(log[log.length - 1]).toMatchObject({ seq: log.length, type: 'tournament_restored', data: { round: 1 } });
+      expect(tournament.teams).toBeInstanceOf(Map);
+      expect(tournament.players.get('player-1')).toMatchObject({ name: 'Alice', totalScore: 500, connectionState: 'reconnecting' });
+      expect(tournament.rounds[0].scores.get('player-1')).toBe(500);
+      expect(tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' })).toMatchObject({ status: 'duplicate' });
+
+      // The interrupted round gets a fresh clock and plays on
+      jest.advanceTimersByTime(29000);
+      tournamentService.submitRoundScore('player-2', 300);
+      expect(tournament.rounds[0].status).toBe('completed');
+      expect(tournament.leaderboard[0]).toMatchObject({ playerId: 'player-1', totalScore: 500 });
+    });
+
+    test('should bring rooms back so hosts can carry on', async () => {
+      const room = roomService.createRoom('host-1', { roomName: 'Finals', isPrivate: true });
+      roomService.joinRoom(room.joinCode, 'player-2');
+      roomService.joinRoom(room.joinCode, 'player-3');
+      roomService.banPlayer(room.id, 'host-1', 'player-3');
+      const original = tournamentService.createTournament(room.id, { autoFillWithBots: false });
+      tournamentService.addPlayer(original.id, 'host-1');
+      tournamentService.addPlayer(original.id, 'player-2');
+      tournamentService.startTournament(original.id);
+      tournamentService.pauseTournament(original.id);
+      await persistenceService.flush();
+
+      // The server goes down
+      const tables = tableRows();
+      tournamentService.tournaments.clear();
+      tournamentService.players.clear();
+      roomService.rooms.clear();
+      roomService.playerRooms.clear();
+      roomService.joinCodes.clear();
+
+      mockQuery.mockReset();
+      mockQuery
+        .mockResolvedValueOnce(rows(tables.tournaments))
+        .mockResolvedValueOnce(rows(tables.players))
+        .mockResolvedValueOnce(rows(tables.rounds))
+        .mockResolvedValueOnce(rows(tables.scores))
+        .mockResolvedValueOnce(rows(tables.events))
+        .mockResolvedValueOnce(rows(tables.rooms))
+        .mockResolvedValue(rows([]));
+
+      const [snapshot] = await persistenceService.loadTournaments(['waiting', 'active', 'paused']);
+      const [saved] = await persistenceService.loadRooms([snapshot.tournament.roomId]);
+      expect(mockQuery.mock.calls[5][1]).toEqual([[room.id]]);
+      const restoredRoom = roomService.restoreRoom(saved);
+      const tournament = tournamentService.restoreTournament(snapshot.tournament, snapshot.events);
+
+      expect(restoredRoom.members).toBeInstanceOf(Map);
+      expect(roomService.resolveRoom(room.joinCode)).toBe(restoredRoom);
+      await expect(roomService.joinRoom(room.joinCode, 'player-3')).rejects.toThrow(
+        expect.objectContaining({ code: 'PLAYER_BANNED' })
+      );
+
+      // The host resumes and picks the paused tournament back up
+      roomService.rejoinRoom(room.id, 'host-1');
+      expect(roomService.isHost(room.id, 'host-1')).toBe(true);
+      tournamentService.resumeTournament(tournament.id);
+      expect(tournament.status).toBe('active');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+export const TIE_BREAKERS = ['bestRound', 'lastRound', 'fewerDnfs', 'earliestSubmission'];
+
+/**
+ * Ranking Service - Tie-break chains and competition ranking for leaderboards
+ *
+ * Players still level after every tie-breaker share a rank, and the ranks
+ * after them are skipped ("1, 2, 2, 4").
+ */
+export class RankingService {
+
+  /**
+   * Throw if a tie-break chain names an unknown tie-breaker
+   */
+  static assertTieBreakers(tieBreakers) {
+    if (!Array.isArray(tieBreakers)) {
+      throw new Error('Tie-breakers must be a list');
+    }
+    const unknown = tieBreakers.find(tieBreaker => !TIE_BREAKERS.includes(tieBreaker));
+    if (unknown) {
+      throw new Error(`Unsupported tie-breaker: ${unknown}`);
+    }
+  }
+
+  /**
+   * Compare two players by each tie-breaker in turn; negative when a ranks higher.
+   * rounds are the tournament's regular (not sudden-death) rounds.
+   */
+  static compareTieBreakers(tieBreakers, a, b, rounds) {
+    for (const tieBreaker of tieBreakers) {
+      const result = this.compareBy(tieBreaker, a, b, rounds);
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+
+  /**
+   * Compare two players by a single tie-breaker
+   */
+  static compareBy(tieBreaker, a, b, rounds) {
+    switch (tieBreaker) {
+      case 'bestRound':
+        return Math.max(0, ...b.roundPoints) - Math.max(0, ...a.roundPoints);
+      case 'lastRound':
+        // Count back from the most recent round until someone is ahead
+        for (let i = rounds.length - 1; i >= 0; i--) {
+          const difference = (rounds[i].points.get(b.id) || 0) - (rounds[i].points.get(a.id) || 0);
+          if (difference !== 0) return difference;
+        }
+        return 0;
+      case 'fewerDnfs':
+        return (a.dnfCount || 0) - (b.dnfCount || 0);
+      case 'earliestSubmission':
+        return (a.lastSubmittedAt ?? Infinity) - (b.lastSubmittedAt ?? Infinity) || 0;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Compare two players by their sudden-death scores, round by round
+   */
+  static compareSuddenDeath(a, b, suddenDeathRounds) {
+    for (const round of suddenDeathRounds) {
+      const difference = (round.scores.get(b.id) ?? -1) - (round.scores.get(a.id) ?? -1);
+      if (difference !== 0) return difference;
+    }
+    return 0;
+  }
+
+  /**
+   * Standard competition ranks for an already sorted list: entries the comparator
+   * can't separate share the rank of the first of them
+   */
+  static competitionRanks(sorted, compare) {
+    const ranks = [];
+    sorted.forEach((entry, index) => {
+      ranks.push(index > 0 && compare(sorted[index - 1], entry) === 0 ? ranks[index - 1] : index + 1);
+    });
+    return ranks;
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Ranking Service Tests
+ */
+import { RankingService } from './rankingService.js';
+
+const player = (id, overrides = {}) => ({ id, roundPoints: [], dnfCount: 0, ...overrides });
+const round = (points) => ({ points: new Map(Object.entries(points)), scores: new Map(Object.entries(points)) });
+
+describe('RankingService', () => {
+  describe('assertTieBreakers', () => {
+    test('should accept known tie-breakers only', () => {
+      expect(() => RankingService.assertTieBreakers(['lastRound', 'fewerDnfs'])).not.toThrow();
+      expect(() => RankingService.assertTieBreakers(['coinFlip'])).toThrow('Unsupported tie-breaker: coinFlip');
+      expect(() => RankingService.assertTieBreakers('bestRound')).toThrow('Tie-breakers must be a list');
+    });
+  });
+
+  describe('compareTieBreakers', () => {
+    const a = player('a', { roundPoints: [10, 2], dnfCount: 1, lastSubmittedAt: 2000 });
+    const b = player('b', { roundPoints: [6, 6], dnfCount: 0, lastSubmittedAt: 1000 });
+    const rounds = [round({ a: 10, b: 6 }), round({ a: 2, b: 6 })];
+
+    test('should apply each tie-breaker', () => {
+      expect(RankingService.compareTieBreakers(['bestRound'], a, b, rounds)).toBeLessThan(0);
+      expect(RankingService.compareTieBreakers(['lastRound'], a, b, rounds)).toBeGreaterThan(0);
+      expect(RankingService.compareTieBreakers(['fewerDnfs'], a, b, rounds)).toBeGreaterThan(0);
+      expect(RankingService.compareTieBreakers(['earliestSubmission'], a, b, rounds)).toBeGreaterThan(0);
+    });
+
+    test('should move down the chain only while players are level', () => {
+      const c = player('c', { roundPoints: [10, 2], dnfCount: 0 });
+
+      expect(RankingService.compareTieBreakers(['bestRound', 'fewerDnfs'], a, c, rounds)).toBeGreaterThan(0);
+      expect(RankingService.compareTieBreakers(['bestRound'], a, c, rounds)).toBe(0);
+      expect(RankingService.compareTieBreakers([], a, b, rounds)).toBe(0);
+    });
+
+    test('should count back through earlier rounds when the last one is level', () => {
+      const level = [round({ a: 8, b: 5 }), round({ a: 4, b: 4 })];
+
+      expect(RankingService.compareTieBreakers(['lastRound'], a, b, level)).toBeLessThan(0);
+    });
+  });
+
+  describe('competitionRanks', () => {
+    test('should share ranks and skip the places after a tie', () => {
+      const sorted = [30, 20, 20, 10, 10, 5];
+
+      expect(RankingService.competitionRanks(sorted, (x, y) => y - x)).toEqual([1, 2, 2, 4, 4, 6]);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import { isDeepStrictEqual } from 'util';
+import { TournamentService, LOG_EVENTS } from './tournamentService.js';
+import { PersistenceService } from './persistenceService.js';
+
+// JSON copy, so logs read from a file or the database compare like in-memory ones
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Bots as the log recorded them: the same ids and names in the order they were
+ * created, and each bot's round scores in the order they were played
+ */
+class LoggedBots {
+  constructor(events) {
+    this.created = events
+      .filter(event => event.type === LOG_EVENTS.BOT_ADDED || event.type === LOG_EVENTS.STAND_IN_ADDED)
+      .map(({ type, data }) => (type === LOG_EVENTS.BOT_ADDED
+        ? { id: data.playerId, name: data.name }
+        : { id: data.botId, name: null }));
+
+    this.scores = new Map(); // botId -> round scores, oldest first
+    events
+      .filter(event => event.type === LOG_EVENTS.BOT_SCORED)
+      .forEach(({ data }) => {
+        if (!this.scores.has(data.botId)) this.scores.set(data.botId, []);
+        this.scores.get(data.botId).push(data.score);
+      });
+  }
+
+  createBot(gameType, skillLevel, botName = null) {
+    const bot = this.created.shift();
+    if (!bot) {
+      throw new Error('The log has no more bots to create');
+    }
+    return { id: bot.id, name: botName || bot.name, gameType, skillLevel };
+  }
+
+  startBot() {
+    return true;
+  }
+
+  removeBot() {
+    return true;
+  }
+
+  simulateRoundScore(botId) {
+    const scores = this.scores.get(botId) || [];
+    return scores.length > 0 ? scores.shift() : 0;
+  }
+}
+
+/**
+ * Score histories as the log recorded them, per game in the order rounds used them
+ */
+class LoggedDistributions {
+  constructor(events) {
+    this.summaries = new Map(); // game -> distributions, oldest first
+    events
+      .filter(event => event.type === LOG_EVENTS.ROUND_COMPLETED && 'distribution' in event.data)
+      .forEach(({ data }) => {
+        if (!this.summaries.has(data.game)) this.summaries.set(data.game, []);
+        this.summaries.get(data.game).push(data.distribution);
+      });
+  }
+
+  getCachedSummary(gameType) {
+    const summaries = this.summaries.get(gameType) || [];
+    return summaries.length > 0 ? summaries.shift() : null;
+  }
+
+  refresh() {
+    return Promise.resolve(null);
+  }
+}
+
+/**
+ * Tournament service without timers: rounds time out, intermissions end and
+ * tournaments start when the log says they did
+ */
+class ReplayTournamentService extends TournamentService {
+  startRoundTimer() {
+    // round_timed_out entries end rounds
+  }
+
+  scheduleNextRound(tournament, delay) {
+    tournament.nextRoundAt = new Date(this.clock.now() + delay).toISOString();
+  }
+
+  scheduleAutoStart() {
+    return null;
+  }
+}
+
+/**
+ * Replay Service - Rebuilds a tournament from its event log
+ *
+ * The commands in the log (joins, starts, scores, votes, timeouts and so on) are
+ * applied in order to a fresh TournamentService that writes nothing. Whatever
+ * was left to chance live (bot ids, bot scores, score histories) comes from the
+ * log entries that recorded it, and the clock reads each entry's time, so the
+ * replay reaches the same leaderboard as the live tournament did.
+ */
+export class ReplayService {
+
+  /**
+   * Events from an exported log (the body of GET /api/tournaments/:id/log),
+   * a bare { events } object or a list of events
+   */
+  static readExport(exported) {
+    const events = Array.isArray(exported) ? exported : (exported?.data || exported)?.events;
+    if (!Array.isArray(events)) {
+      throw new Error('Not a tournament event log');
+    }
+    return events;
+  }
+
+  /**
+   * Play a log back and compare its final leaderboard with the last one the log
+   * recorded ({tournament, leaderboard, teamLeaderboard, expected, matches})
+   */
+  static replay(events) {
+    if (events.length === 0 || events[0].type !== LOG_EVENTS.TOURNAMENT_CREATED) {
+      throw new Error('The log does not start with tournament_created');
+    }
+
+    const clock = { time: 0, now() { return this.time; } };
+    const service = new ReplayTournamentService({
+      bots: new LoggedBots(events),
+      normalization: new LoggedDistributions(events),
+      persistence: new PersistenceService(), // never enabled, so nothing is written
+      clock
+    });
+
+    let tournament = null;
+    for (const event of events) {
+      clock.time = new Date(event.at).getTime();
+      try {
+        tournament = this.apply(service, tournament, event);
+      } catch (error) {
+        throw new Error(`Replay failed at event ${event.seq} (${event.type}): ${error.message}`);
+      }
+    }
+
+    const expected = this.expectedLeaderboard(events);
+    return {
+      tournament,
+      leaderboard: tournament.leaderboard,
+      teamLeaderboard: tournament.teams ? tournament.teamLeaderboard : null,
+      expected,
+      matches: expected ? isDeepStrictEqual(plain(tournament.leaderboard), plain(expected)) : null
+    };
+  }
+
+  /**
+   * Apply one log entry; entries that record the outcome of a command are skipped
+   */
+  static apply(service, tournament, { type, data }) {
+    switch (type) {
+      case LOG_EVENTS.TOURNAMENT_CREATED:
+        return service.createTournament(data.roomId, { ...data.settings, seed: data.seed });
+      case LOG_EVENTS.SETTINGS_UPDATED:
+        service.updateSettings(tournament.id, data.settings);
+        break;
+      case LOG_EVENTS.SERIES_CARRIED_OVER:
+        tournament.series = { ...data.series, wins: { ...data.series.wins } };
+        break;
+      case LOG_EVENTS.PLAYER_JOINED:
+        service.addPlayer(tournament.id, data.playerId, data.playerData);
+        break;
+      case LOG_EVENTS.PLAYER_LEFT:
+        service.removePlayer(tournament.id, data.playerId);
+        break;
+      case LOG_EVENTS.PLAYER_READY:
+        service.setPlayerReady(data.playerId, data.isReady);
+        break;
+      case LOG_EVENTS.TEAM_ASSIGNED:
+        service.setPlayerTeam(tournament, data.playerId, data.teamId);
+        break;
+      case LOG_EVENTS.CONNECTION_CHANGED:
+        service.setConnectionState(data.playerId, data.connectionState);
+        break;
+      case LOG_EVENTS.TOURNAMENT_STARTED:
+        service.startTournament(tournament.id);
+        break;
+      case LOG_EVENTS.SCORE_SUBMITTED:
+        try {
+          service.submitRoundScore(data.playerId, data.score, { submissionId: data.submissionId });
+        } catch (error) {
+          // Rejected resubmissions throw here just as they did live
+          if (data.status !== 'rejected') throw error;
+        }
+        break;
+      case LOG_EVENTS.ROUND_TIMED_OUT:
+        service.expireRound(tournament.id, data.round);
+        break;
+      case LOG_EVENTS.INTERMISSION_ENDED:
+        service.startNextRound(tournament.id);
+        break;
+      case LOG_EVENTS.GAME_VOTED:
+        service.voteGame(data.playerId, data.game);
+        break;
+      case LOG_EVENTS.STAND_IN_ADDED:
+        service.replaceWithBot(data.playerId, data.reason);
+        break;
+      case LOG_EVENTS.STAND_IN_REMOVED:
+        service.restoreFromBot(data.playerId);
+        break;
+      case LOG_EVENTS.TOURNAMENT_PAUSED:
+        service.pauseTournament(tournament.id);
+        break;
+      case LOG_EVENTS.TOURNAMENT_RESUMED:
+        service.resumeTournament(tournament.id);
+        break;
+      case LOG_EVENTS.TOURNAMENT_ABORTED:
+        service.abortTournament(tournament.id, data.reason);
+        break;
+      case LOG_EVENTS.REMATCH_VOTED:
+        service.requestRematch(data.playerId, data.wantsRematch);
+        break;
+      default:
+        break;
+    }
+    return tournament;
+  }
+
+  /**
+   * Last leaderboard the log recorded: the final standings, or the one after the
+   * latest round while the tournament was still running; null before any round
+   */
+  static expectedLeaderboard(events) {
+    for (let i = events.length - 1; i >= 0; i--) {
+      const { type, data } = events[i];
+      if (type === LOG_EVENTS.TOURNAMENT_COMPLETED || type === LOG_EVENTS.TOURNAMENT_ABORTED) return data.standings;
+      if (type === LOG_EVENTS.ROUND_COMPLETED) return data.leaderboard;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Replay Service Tests
+ */
+import { jest } from '@jest/globals';
+import { ReplayService } from './replayService.js';
+import tournamentService, { LOG_EVENTS } from './tournamentService.js';
+
+describe('ReplayService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    Array.from(tournamentService.tournaments.keys()).forEach(tournamentId => {
+      tournamentService.deleteTournament(tournamentId);
+    });
+    jest.useRealTimers();
+  });
+
+  /**
+   * Two humans and two bots over two rounds: the first ends once the humans are
+   * in, the second times out on a human who never finishes
+   */
+  function playTournament(settings = {}) {
+    const tournament = tournamentService.createTournament('room-123', {
+      maxRounds: 2,
+      maxPlayers: 4,
+      roundDuration: 30000,
+      intermissionDuration: 3000,
+      gameRotation: ['jetpack', 'dino'],
+      seed: 'replay-test',
+      ...settings
+    });
+    tournamentService.addPlayer(tournament.id, 'player-1', { name: 'Alice' });
+    tournamentService.addPlayer(tournament.id, 'player-2', { name: 'Bob' });
+    tournamentService.startTournament(tournament.id);
+
+    tournamentService.submitRoundScore('player-1', 1200, { submissionId: 'sub-1' });
+    tournamentService.submitRoundScore('player-1', 1200, { submissionId: 'sub-1' }); // retry
+    jest.advanceTimersByTime(2000);
+    tournamentService.submitRoundScore('player-2', 800);
+    jest.advanceTimersByTime(3000); // intermission
+
+    tournamentService.submitRoundScore('player-2', 950);
+    jest.advanceTimersByTime(30000); // player-1 never finishes round 2
+    return tournament;
+  }
+
+  test('should rebuild the final leaderboard from the log', () => {
+    const tournament = playTournament();
+    expect(tournament.status).toBe('completed');
+
+    const result = ReplayService.replay(tournamentService.getEventLog(tournament.id));
+
+    expect(result.matches).toBe(true);
+    expect(result.leaderboard).toEqual(tournament.leaderboard);
+    expect(result.tournament.rounds.map(round => round.game)).toEqual(tournament.rounds.map(round => round.game));
+    expect(result.tournament.players.get('player-1').dnfCount).toBe(1);
+  });
+
+  test('should replay an exported log read back from JSON', () => {
+    const tournament = playTournament({ scoringMode: 'placement', tieBreakers: ['earliestSubmission'] });
+    const exported = JSON.parse(JSON.stringify({
+      success: true,
+      data: { tournamentId: tournament.id, events: tournamentService.getEventLog(tournament.id) }
+    }));
+
+    const result = ReplayService.replay(ReplayService.readExport(exported));
+
+    expect(result.matches).toBe(true);
+    expect(result.leaderboard).toEqual(tournament.leaderboard);
+  });
+
+  test('should replay stand-ins, corrections, pauses and timed-out rounds', () => {
+    const tournament = tournamentService.createTournament('room-123', {
+      maxRounds: 2,
+      autoFillWithBots: false,
+      scoreCorrections: 'allow',
+      roundDuration: 30000
+    });
+    tournamentService.addPlayer(tournament.id, 'player-1', { name: 'Alice' });
+    tournamentService.addPlayer(tournament.id, 'player-2', { name: 'Bob' });
+    tournamentService.addPlayer(tournament.id, 'player-3', { name: 'Cara' });
+    tournamentService.startTournament(tournament.id);
+
+    tournamentService.submitRoundScore('player-1', 400);
+    tournamentService.submitRoundScore('player-1', 450);
+    tournamentService.replaceWithBot('player-2', 'disconnected');
+    tournamentService.pauseTournament(tournament.id);
+    jest.advanceTimersByTime(60000); // the clock is stopped
+    tournamentService.resumeTournament(tournament.id);
+    tournamentService.restoreFromBot('player-2');
+    jest.advanceTimersByTime(30000);
+
+    const result = ReplayService.replay(tournamentService.getEventLog(tournament.id));
+
+    expect(tournament.rounds[0].status).toBe('completed');
+    expect(result.matches).toBe(true);
+    expect(result.tournament.rounds[0].scores).toEqual(tournament.rounds[0].scores);
+  });
+
+  test('should tell when the log does not lead to its own leaderboard', () => {
+    const tournament = playTournament();
+    const events = JSON.parse(JSON.stringify(tournamentService.getEventLog(tournament.id)));
+    events.find(event => event.type === LOG_EVENTS.SCORE_SUBMITTED && event.data.playerId === 'player-2').data.score = 5000;
+
+    const result = ReplayService.replay(events);
+
+    expect(result.matches).toBe(false);
+    expect(result.leaderboard[0].playerId).toBe('player-2');
+  });
+
+  test('should report logs it cannot play', () => {
+    const tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false });
+    tournamentService.addPlayer(tournament.id, 'player-1');
+    const events = tournamentService.getEventLog(tournament.id);
+
+    expect(ReplayService.replay(events)).toMatchObject({ expected: null, matches: null });
+    expect(() => ReplayService.replay(events.slice(1))).toThrow('The log does not start with tournament_created');
+    expect(() => ReplayService.replay([events[0], { ...events[1], seq: 2, type: LOG_EVENTS.TOURNAMENT_STARTED }, events[1]]))
+      .toThrow('Replay failed at event 2 (tournament_started): Cannot start tournament with no players');
+    expect(() => ReplayService.readExport({ success: true })).toThrow('Not a tournament event log');
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Room Service - Keeps track of lobby rooms, their members and capacity
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+import persistenceService from './persistenceService.js';
+
+const DEFAULT_MAX_PLAYERS = 8;
+const MAX_ROOM_PLAYERS = 64; // large open events (Swiss tournaments)
+const JOIN_CODE_LENGTH = 6;
+// No 0/O, 1/I/L so codes can be read aloud and typed on a phone
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// scrypt is slow on purpose; run it off the event loop so password guesses don't stall the game
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Build an error carrying one of the room error codes from the networking doc
+ */
+function roomError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Hash a room password with a random salt, as a salt:hash pair
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, 32);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored salt:hash pair
+ */
+async function verifyPassword(password, storedHash) {
+  const [salt, hash] = storedHash.split(':');
+  const candidate = await scrypt(String(password), salt, 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+class RoomService {
+  constructor() {
+    this.rooms = new Map(); // roomId -> room data
+    this.playerRooms = new Map(); // playerId -> roomId
+    this.joinCodes = new Map(); // join code -> roomId (private rooms only)
+  }
+
+  /**
+   * Create a new room with the creator as its first member; a password comes
+   * already hashed (options.passwordHash, from hashPassword)
+   */
+  createRoom(hostId, options = {}) {
+    const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const maxPlayers = Math.min(Math.max(parseInt(options.maxPlayers) || DEFAULT_MAX_PLAYERS, 1), MAX_ROOM_PLAYERS);
+
+    const room = {
+      id: roomId,
+      name: options.roomName || 'New Room',
+      hostId,
+      gameType: options.gameType || 'jetpack',
+      maxPlayers,
+      isPrivate: Boolean(options.isPrivate),
+      joinCode: null,
+      passwordHash: options.passwordHash || null,
+      members: new Map(),
+      bannedIds: new Set(),
+      createdAt: new Date().toISOString()
+    };
+
+    if (room.isPrivate) {
+      room.joinCode = this.generateJoinCode();
+      this.joinCodes.set(room.joinCode, roomId);
+    }
+
+    this.rooms.set(roomId, room);
+    this.addMember(room, hostId, { name: options.playerName });
+
+    console.log(`[Room] Created room: ${roomId} hosted by ${hostId}`);
+    return room;
+  }
+
+  /**
+   * Generate a short join code that is not already in use
+   */
+  generateJoinCode() {
+    let code;
+    do {
+      code = Array.from({ length: JOIN_CODE_LENGTH }, () =>
+        JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+      ).join('');
+    } while (this.joinCodes.has(code));
+
+    return code;
+  }
+
+  /**
+   * Find a public room by its id or a private room by its join code; private
+   * rooms cannot be found by id, so the code is what lets people in
+   */
+  resolveRoom(roomIdOrCode) {
+    if (!roomIdOrCode) return null;
+
+    const codeRoomId = this.joinCodes.get(String(roomIdOrCode).trim().toUpperCase());
+    if (codeRoomId) {
+      return this.rooms.get(codeRoomId) || null;
+    }
+
+    const room = this.rooms.get(roomIdOrCode);
+    return room && !room.isPrivate ? room : null;
+  }
+
+  /**
+   * Join an existing room by id or join code
+   */
+  async joinRoom(roomIdOrCode, playerId, playerData = {}, options = {}) {
+    const room = this.resolveRoom(roomIdOrCode);
+    if (!room) {
+      throw roomError('ROOM_NOT_FOUND', 'Room does not exist');
+    }
+
+    if (room.members.has(playerId)) {
+      return room;
+    }
+
+    if (room.bannedIds.has(playerId)) {
+      throw roomError('PLAYER_BANNED', 'You have been banned from this room');
+    }
+
+    if (room.passwordHash) {
+      if (!(await verifyPassword(options.password || '', room.passwordHash))) {
+        throw roomError('INVALID_PASSWORD', 'Incorrect room password');
+      }
+      // The room may have closed while the password was checked
+      if (this.rooms.get(room.id) !== room) {
+        throw roomError('ROOM_NOT_FOUND', 'Room does not exist');
+      }
+    }
+
+    if (room.members.size >= room.maxPlayers) {
+      throw roomError('ROOM_FULL', 'Room is full');
+    }
+
+    this.addMember(room, playerId, playerData);
+
+    console.log(`[Room] Player ${playerId} joined room: ${room.id}`);
+    return room;
+  }
+
+  /**
+   * Put a returning player back into a room they were already seated in,
+   * without the password and capacity checks of a fresh join
+   */
+  rejoinRoom(roomId, playerId, playerData = {}) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw roomError('ROOM_NOT_FOUND', 'Room does not exist');
+    }
+
+    if (room.bannedIds.has(playerId)) {
+      throw roomError('PLAYER_BANNED', 'You have been banned from this room');
+    }
+
+    if (!room.members.has(playerId)) {
+      this.addMember(room, playerId, playerData);
+    }
+    return room;
+  }
+
+  /**
+   * Remove player from a room, handing host rights on if the host leaves
+   */
+  leaveRoom(roomId, playerId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !room.members.has(playerId)) return false;
+
+    room.members.delete(playerId);
+    this.playerRooms.delete(playerId);
+
+    if (room.hostId === playerId) {
+      this.migrateHost(room);
+    }
+    persistenceService.saveRoom(room);
+
+    console.log(`[Room] Player ${playerId} left room: ${roomId}`);
+    return true;
+  }
+
+  /**
+   * Delete a room and release its join code
+   */
+  deleteRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+
+    room.members.forEach((_member, playerId) => this.playerRooms.delete(playerId));
+    if (room.joinCode) {
+      this.joinCodes.delete(room.joinCode);
+    }
+
+    this.rooms.delete(roomId);
+    persistenceService.deleteRoom(roomId);
+    console.log(`[Room] Deleted room: ${roomId}`);
+    return true;
+  }
+
+  /**
+   * Pass host rights to the member who has been in the room the longest
+   */
+  migrateHost(room) {
+    // Members are kept in join order, so the first one is the longest present
+    const nextHost = room.members.values().next().value;
+    room.hostId = nextHost ? nextHost.id : null;
+
+    if (nextHost) {
+      console.log(`[Room] Host of room ${room.id} passed to ${nextHost.id}`);
+    }
+    return room.hostId;
+  }
+
+  /**
+   * Check whether a player is the host of a room
+   */
+  isHost(roomId, playerId) {
+    const room = this.rooms.get(roomId);
+    return Boolean(room && playerId && room.hostId === playerId);
+  }
+
+  /**
+   * Remove a player from a room on the host's behalf
+   */
+  kickPlayer(roomId, hostId, playerId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw roomError('ROOM_NOT_FOUND', 'Room does not exist');
+    }
+
+    if (room.hostId !== hostId) {
+      throw roomError('NOT_HOST', 'Only the host can do that');
+    }
+
+    if (playerId === hostId) {
+      throw roomError('INVALID_TARGET', 'The host cannot remove themselves');
+    }
+
+    if (!room.members.has(playerId)) {
+      throw roomError('PLAYER_NOT_FOUND', 'Player is not in this room');
+    }
+
+    return this.leaveRoom(roomId, playerId);
+  }
+
+  /**
+   * Kick a player and stop them from rejoining
+   */
+  banPlayer(roomId, hostId, playerId) {
+    const removed = this.kickPlayer(roomId, hostId, playerId);
+    const room = this.rooms.get(roomId);
+    room.bannedIds.add(playerId);
+    persistenceService.saveRoom(room);
+
+    console.log(`[Room] Player ${playerId} banned from room: ${roomId}`);
+    return removed;
+  }
+
+  /**
+   * Register a member on a room, moving them out of any previous room
+   */
+  addMember(room, playerId, playerData = {}) {
+    const previousRoomId = this.playerRooms.get(playerId);
+    if (previousRoomId && previousRoomId !== room.id) {
+      this.leaveRoom(previousRoomId, playerId);
+    }
+
+    room.members.set(playerId, {
+      id: playerId,
+      name: playerData.name || `Player_${playerId.substr(-4)}`,
+      joinedAt: new Date().toISOString()
+    });
+    this.playerRooms.set(playerId, room.id);
+    persistenceService.saveRoom(room);
+  }
+
+  /**
+   * Take back a room read from the database after a restart, with its host,
+   * members, bans and join code as they were
+   */
+  restoreRoom(room) {
+    this.rooms.set(room.id, room);
+    room.members.forEach((_member, playerId) => this.playerRooms.set(playerId, room.id));
+    if (room.joinCode) {
+      this.joinCodes.set(room.joinCode, room.id);
+    }
+
+    console.log(`[Room] Restored room: ${room.id} hosted by ${room.hostId}`);
+    return room;
+  }
+
+  /**
+   * Get room data
+   */
+  getRoom(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Get the room a player is currently in
+   */
+  getRoomForPlayer(playerId) {
+    const roomId = this.playerRooms.get(playerId);
+    return roomId ? this.rooms.get(roomId) : null;
+  }
+
+  /**
+   * List public rooms that still have free slots
+   */
+  listRooms({ includeFull = false } = {}) {
+    return Array.from(this.rooms.values())
+      .filter(room => !room.isPrivate)
+      .filter(room => includeFull || room.members.size < room.maxPlayers)
+      .map(room => this.getRoomSummary(room));
+  }
+
+  /**
+   * Serializable view of a room for clients
+   */
+  getRoomSummary(room) {
+    const host = room.members.get(room.hostId);
+
+    return {
+      roomId: room.id,
+      roomName: room.name,
+      gameType: room.gameType,
+      hostId: room.hostId,
+      hostName: host ? host.name : null,
+      playerCount: room.members.size,
+      maxPlayers: room.maxPlayers,
+      isPrivate: room.isPrivate,
+      hasPassword: Boolean(room.passwordHash),
+      createdAt: room.createdAt
+    };
+  }
+
+  /**
+   * Get room members as an array
+   */
+  getMembers(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? Array.from(room.members.values()) : [];
+  }
+}
+
+// Create singleton instance
+const roomService = new RoomService();
+
+export default roomService;
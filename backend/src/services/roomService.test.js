@@ -0,0 +1,268 @@
+import roomService, { hashPassword } from './roomService.js';
+
+describe('RoomService', () => {
+  beforeEach(() => {
+    // Clear all rooms before each test
+    roomService.rooms.clear();
+    roomService.playerRooms.clear();
+    roomService.joinCodes.clear();
+  });
+
+  describe('createRoom', () => {
+    test('should create a room with the creator as host and first member', () => {
+      const room = roomService.createRoom('host-1', { roomName: 'Office Party', playerName: 'Alice' });
+
+      expect(room).toMatchObject({
+        name: 'Office Party',
+        hostId: 'host-1',
+        gameType: 'jetpack',
+        maxPlayers: 8
+      });
+      expect(room.id).toMatch(/^room_\d+_[a-z0-9]+$/);
+      expect(room.members.size).toBe(1);
+      expect(room.members.get('host-1').name).toBe('Alice');
+      expect(roomService.getRoomForPlayer('host-1')).toBe(room);
+    });
+
+    test('should clamp max players to the supported range', () => {
+      expect(roomService.createRoom('host-1', { maxPlayers: 100 }).maxPlayers).toBe(64);
+      expect(roomService.createRoom('host-2', { maxPlayers: 0 }).maxPlayers).toBe(8);
+      expect(roomService.createRoom('host-3', { maxPlayers: 4 }).maxPlayers).toBe(4);
+    });
+  });
+
+  describe('joinRoom', () => {
+    test('should add player to room', () => {
+      const room = roomService.createRoom('host-1');
+
+      roomService.joinRoom(room.id, 'player-2', { name: 'Bob' });
+
+      expect(room.members.size).toBe(2);
+      expect(roomService.getMembers(room.id).map(member => member.name)).toContain('Bob');
+    });
+
+    test('should reject unknown rooms with ROOM_NOT_FOUND', async () => {
+      await expect(roomService.joinRoom('missing-room', 'player-1')).rejects.toThrow(
+        expect.objectContaining({ code: 'ROOM_NOT_FOUND' })
+      );
+    });
+
+    test('should reject full rooms with ROOM_FULL', async () => {
+      const room = roomService.createRoom('host-1', { maxPlayers: 2 });
+      roomService.joinRoom(room.id, 'player-2');
+
+      await expect(roomService.joinRoom(room.id, 'player-3')).rejects.toThrow(
+        expect.objectContaining({ code: 'ROOM_FULL' })
+      );
+    });
+
+    test('should move player out of their previous room', () => {
+      const first = roomService.createRoom('host-1');
+      const second = roomService.createRoom('host-2');
+      roomService.joinRoom(first.id, 'player-3');
+
+      roomService.joinRoom(second.id, 'player-3');
+
+      expect(first.members.has('player-3')).toBe(false);
+      expect(second.members.has('player-3')).toBe(true);
+    });
+  });
+
+  describe('rejoinRoom', () => {
+    test('should seat a returning player without password or capacity checks', async () => {
+      const room = roomService.createRoom('host-1', { isPrivate: true, passwordHash: await hashPassword('secret'), maxPlayers: 1 });
+
+      roomService.rejoinRoom(room.id, 'player-2', { name: 'Bob' });
+
+      expect(room.members.get('player-2').name).toBe('Bob');
+    });
+
+    test('should still keep banned players out', () => {
+      const room = roomService.createRoom('host-1');
+      roomService.joinRoom(room.id, 'player-2');
+      roomService.banPlayer(room.id, 'host-1', 'player-2');
+
+      expect(() => roomService.rejoinRoom(room.id, 'player-2')).toThrow(
+        expect.objectContaining({ code: 'PLAYER_BANNED' })
+      );
+    });
+  });
+
+  describe('leaveRoom', () => {
+    test('should remove player from room', () => {
+      const room = roomService.createRoom('host-1');
+      roomService.joinRoom(room.id, 'player-2');
+
+      expect(roomService.leaveRoom(room.id, 'player-2')).toBe(true);
+      expect(room.members.has('player-2')).toBe(false);
+      expect(roomService.getRoomForPlayer('player-2')).toBeNull();
+    });
+
+    test('should delete a room and release its join code', () => {
+      const room = roomService.createRoom('host-1', { isPrivate: true });
+
+      expect(roomService.deleteRoom(room.id)).toBe(true);
+      expect(roomService.getRoom(room.id)).toBeUndefined();
+      expect(roomService.resolveRoom(room.joinCode)).toBeNull();
+      expect(roomService.getRoomForPlayer('host-1')).toBeNull();
+    });
+
+    test('should return false when player is not a member', () => {
+      const room = roomService.createRoom('host-1');
+      expect(roomService.leaveRoom(room.id, 'stranger')).toBe(false);
+    });
+  });
+
+  describe('listRooms', () => {
+    test('should list only rooms with free slots by default', () => {
+      const open = roomService.createRoom('host-1', { roomName: 'Open' });
+      const full = roomService.createRoom('host-2', { roomName: 'Full', maxPlayers: 1 });
+
+      const rooms = roomService.listRooms();
+
+      expect(rooms).toHaveLength(1);
+      expect(rooms[0]).toMatchObject({
+        roomId: open.id,
+        roomName: 'Open',
+        hostId: 'host-1',
+        playerCount: 1,
+        maxPlayers: 8
+      });
+      expect(roomService.listRooms({ includeFull: true }).map(room => room.roomId)).toContain(full.id);
+    });
+  });
+
+  describe('private rooms', () => {
+    test('should give private rooms a short unambiguous join code', () => {
+      const room = roomService.createRoom('host-1', { isPrivate: true });
+
+      expect(room.isPrivate).toBe(true);
+      expect(room.joinCode).toMatch(/^[A-HJKMNP-Z2-9]{6}$/);
+      expect(roomService.resolveRoom(room.joinCode.toLowerCase())).toBe(room);
+    });
+
+    test('should not give public rooms a join code', () => {
+      const room = roomService.createRoom('host-1');
+      expect(room.joinCode).toBeNull();
+    });
+
+    test('should join a private room by code', async () => {
+      const room = roomService.createRoom('host-1', { isPrivate: true });
+
+      const joined = await roomService.joinRoom(room.joinCode, 'player-2');
+
+      expect(joined).toBe(room);
+      expect(room.members.has('player-2')).toBe(true);
+    });
+
+    test('should not let players join a private room by its id', async () => {
+      const room = roomService.createRoom('host-1', { isPrivate: true });
+
+      expect(roomService.resolveRoom(room.id)).toBeNull();
+      await expect(roomService.joinRoom(room.id, 'player-2')).rejects.toThrow(
+        expect.objectContaining({ code: 'ROOM_NOT_FOUND' })
+      );
+      expect(room.members.has('player-2')).toBe(false);
+    });
+
+    test('should check the room password before joining', async () => {
+      const room = roomService.createRoom('host-1', { isPrivate: true, passwordHash: await hashPassword('hunter2') });
+
+      expect(room.passwordHash).not.toContain('hunter2');
+      await expect(roomService.joinRoom(room.joinCode, 'player-2')).rejects.toThrow(
+        expect.objectContaining({ code: 'INVALID_PASSWORD' })
+      );
+      await expect(roomService.joinRoom(room.joinCode, 'player-2', {}, { password: 'wrong' })).rejects.toThrow(
+        expect.objectContaining({ code: 'INVALID_PASSWORD' })
+      );
+
+      await roomService.joinRoom(room.joinCode, 'player-2', {}, { password: 'hunter2' });
+      expect(room.members.has('player-2')).toBe(true);
+    });
+
+    test('should hide private rooms from the room list', () => {
+      roomService.createRoom('host-1', { isPrivate: true });
+      const open = roomService.createRoom('host-2');
+
+      expect(roomService.listRooms().map(room => room.roomId)).toEqual([open.id]);
+    });
+  });
+
+  describe('host role', () => {
+    test('should make the creator the host', () => {
+      const room = roomService.createRoom('host-1');
+
+      expect(roomService.isHost(room.id, 'host-1')).toBe(true);
+      expect(roomService.isHost(room.id, 'player-2')).toBe(false);
+    });
+
+    test('should pass host rights to the longest-present member', () => {
+      const room = roomService.createRoom('host-1');
+      roomService.joinRoom(room.id, 'player-2');
+      roomService.joinRoom(room.id, 'player-3');
+
+      roomService.leaveRoom(room.id, 'host-1');
+
+      expect(room.hostId).toBe('player-2');
+    });
+
+    test('should leave the room without a host when the last member leaves', () => {
+      const room = roomService.createRoom('host-1');
+
+      roomService.leaveRoom(room.id, 'host-1');
+
+      expect(room.hostId).toBeNull();
+    });
+
+    test('should only let the host kick players', () => {
+      const room = roomService.createRoom('host-1');
+      roomService.joinRoom(room.id, 'player-2');
+      roomService.joinRoom(room.id, 'player-3');
+
+      expect(() => roomService.kickPlayer(room.id, 'player-2', 'player-3')).toThrow(
+        expect.objectContaining({ code: 'NOT_HOST' })
+      );
+      expect(roomService.kickPlayer(room.id, 'host-1', 'player-3')).toBe(true);
+      expect(room.members.has('player-3')).toBe(false);
+
+      // Kicked players may come back
+      roomService.joinRoom(room.id, 'player-3');
+      expect(room.members.has('player-3')).toBe(true);
+    });
+
+    test('should stop banned players from rejoining', async () => {
+      const room = roomService.createRoom('host-1');
+      roomService.joinRoom(room.id, 'player-2');
+
+      roomService.banPlayer(room.id, 'host-1', 'player-2');
+
+      expect(room.members.has('player-2')).toBe(false);
+      await expect(roomService.joinRoom(room.id, 'player-2')).rejects.toThrow(
+        expect.objectContaining({ code: 'PLAYER_BANNED' })
+      );
+    });
+
+    test('should only let the host remove members of their own room', () => {
+      const room = roomService.createRoom('host-1');
+      const other = roomService.createRoom('host-2');
+      roomService.joinRoom(other.id, 'player-2');
+
+      expect(() => roomService.kickPlayer(room.id, 'host-1', 'player-2')).toThrow(
+        expect.objectContaining({ code: 'PLAYER_NOT_FOUND' })
+      );
+      expect(() => roomService.banPlayer(room.id, 'host-1', 'player-2')).toThrow(
+        expect.objectContaining({ code: 'PLAYER_NOT_FOUND' })
+      );
+      expect(other.members.has('player-2')).toBe(true);
+      expect(room.bannedIds.has('player-2')).toBe(false);
+    });
+
+    test('should not let the host kick themselves', () => {
+      const room = roomService.createRoom('host-1');
+
+      expect(() => roomService.kickPlayer(room.id, 'host-1', 'host-1')).toThrow(
+        expect.objectContaining({ code: 'INVALID_TARGET' })
+      );
+    });
+  });
+});
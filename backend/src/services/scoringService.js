@@ -0,0 +1,101 @@
+import { NormalizationService } from './normalizationService.js';
+
+export const SCORING_MODES = ['raw', 'placement', 'normalized', 'percentile'];
+export const DEFAULT_POINTS_TABLE = [10, 8, 6, 5, 4, 3, 2, 1];
+
+// A normalized round is worth up to this many points, whatever the game's score scale
+const NORMALIZED_MAX_POINTS = 100;
+
+/**
+ * Scoring Service - Turns a round's raw game scores into tournament points
+ *
+ * raw:        points are the game score itself
+ * placement:  points come from a table by round rank (10/8/6/5/4/3/2/1 by default)
+ * normalized: the round's best score is worth 100 points, the rest in proportion
+ * percentile: points are the share of the game's recorded runs a score beats (0-100)
+ */
+export class ScoringService {
+
+  /**
+   * Throw if scoring settings are not supported
+   */
+  static assertOptions({ scoringMode, pointsTable }) {
+    if (!SCORING_MODES.includes(scoringMode)) {
+      throw new Error(`Unsupported scoring mode: ${scoringMode}`);
+    }
+    if (!Array.isArray(pointsTable) || pointsTable.length === 0 ||
+      !pointsTable.every(points => typeof points === 'number' && points >= 0)) {
+      throw new Error('Points table must be a list of non-negative numbers');
+    }
+  }
+
+  /**
+   * Whether points can be awarded as each score comes in, without the rest of the round
+   */
+  static isImmediate(scoringMode) {
+    return scoringMode === 'raw';
+  }
+
+  /**
+   * Points for every score of a round (playerId -> points). The percentile mode
+   * needs the game's distribution summary and falls back to normalized without one.
+   */
+  static scoreRound(scores, { scoringMode, pointsTable }, distribution = null) {
+    switch (scoringMode) {
+      case 'placement':
+        return this.placementPoints(scores, pointsTable);
+      case 'percentile':
+        return distribution && distribution.count > 0
+          ? this.percentilePoints(scores, distribution)
+          : this.normalizedPoints(scores);
+      case 'normalized':
+        return this.normalizedPoints(scores);
+      case 'raw':
+      default:
+        return new Map(scores);
+    }
+  }
+
+  /**
+   * Points from the table by round rank; tied scores all get the points of their
+   * shared place, and places past the end of the table get nothing
+   */
+  static placementPoints(scores, pointsTable) {
+    const ranked = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+    const points = new Map();
+
+    ranked.forEach(([playerId, score]) => {
+      const place = ranked.findIndex(([, other]) => other === score);
+      points.set(playerId, pointsTable[place] || 0);
+    });
+
+    return points;
+  }
+
+  /**
+   * Points as a share of the round's best score
+   */
+  static normalizedPoints(scores) {
+    const best = Math.max(0, ...scores.values());
+    const points = new Map();
+
+    scores.forEach((score, playerId) => {
+      points.set(playerId, best > 0 ? Math.round(Math.max(0, score) / best * NORMALIZED_MAX_POINTS) : 0);
+    });
+
+    return points;
+  }
+
+  /**
+   * Points as the percentile of each score in the game's history
+   */
+  static percentilePoints(scores, distribution) {
+    const points = new Map();
+
+    scores.forEach((score, playerId) => {
+      points.set(playerId, Math.round(NormalizationService.percentile(distribution, score)));
+    });
+
+    return points;
+  }
+}
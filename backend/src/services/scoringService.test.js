@@ -0,0 +1,62 @@
+/**
+ * Scoring Service Tests
+ */
+import { ScoringService, DEFAULT_POINTS_TABLE } from './scoringService.js';
+import { NormalizationService } from './normalizationService.js';
+
+describe('ScoringService', () => {
+  describe('assertOptions', () => {
+    test('should accept supported settings', () => {
+      expect(() => ScoringService.assertOptions({ scoringMode: 'placement', pointsTable: DEFAULT_POINTS_TABLE })).not.toThrow();
+      expect(() => ScoringService.assertOptions({ scoringMode: 'raw', pointsTable: [3, 1] })).not.toThrow();
+    });
+
+    test('should reject unknown modes and bad points tables', () => {
+      expect(() => ScoringService.assertOptions({ scoringMode: 'elo', pointsTable: [1] })).toThrow('Unsupported scoring mode');
+      expect(() => ScoringService.assertOptions({ scoringMode: 'placement', pointsTable: [] })).toThrow('Points table');
+      expect(() => ScoringService.assertOptions({ scoringMode: 'placement', pointsTable: [5, -1] })).toThrow('Points table');
+    });
+  });
+
+  describe('scoreRound', () => {
+    const scores = new Map([['a', 300], ['b', 1200], ['c', 600], ['d', 0]]);
+
+    test('should keep raw scores as points', () => {
+      expect(ScoringService.scoreRound(scores, { scoringMode: 'raw' })).toEqual(scores);
+    });
+
+    test('should give placement points by round rank', () => {
+      const points = ScoringService.scoreRound(scores, { scoringMode: 'placement', pointsTable: [10, 8, 6] });
+
+      expect(Object.fromEntries(points)).toEqual({ b: 10, c: 8, a: 6, d: 0 });
+    });
+
+    test('should give tied scores the points of their shared place', () => {
+      const tied = new Map([['a', 500], ['b', 500], ['c', 100]]);
+      const points = ScoringService.scoreRound(tied, { scoringMode: 'placement', pointsTable: DEFAULT_POINTS_TABLE });
+
+      expect(Object.fromEntries(points)).toEqual({ a: 10, b: 10, c: 6 });
+    });
+
+    test('should scale normalized points to the round best', () => {
+      const points = ScoringService.scoreRound(scores, { scoringMode: 'normalized' });
+
+      expect(Object.fromEntries(points)).toEqual({ a: 25, b: 100, c: 50, d: 0 });
+      expect(Object.fromEntries(ScoringService.normalizedPoints(new Map([['a', 0]])))).toEqual({ a: 0 });
+    });
+
+    test('should score percentiles from the game history, or normalize without one', () => {
+      const history = [100, 200, 300, 400].reduce(
+        (summary, score) => NormalizationService.addScore(summary, score),
+        NormalizationService.createSummary('jetpack')
+      );
+
+      const points = ScoringService.scoreRound(scores, { scoringMode: 'percentile' }, history);
+      expect(Object.fromEntries(points)).toEqual({ a: 63, b: 100, c: 100, d: 0 });
+
+      const fallback = ScoringService.scoreRound(scores, { scoringMode: 'percentile' }, null);
+      expect(fallback.get('b')).toBe(100);
+      expect(fallback.get('a')).toBe(25);
+    });
+  });
+});
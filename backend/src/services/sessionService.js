@@ -0,0 +1,172 @@
+/**
+ * Session Service - Resumable player sessions that survive socket reconnects
+ *
+ * A player keeps the id of the socket they joined with for the whole
+ * tournament. When they reconnect on a new socket, the session token
+ * binds the new socket id back to that original player id.
+ */
+import crypto from 'crypto';
+
+/**
+ * Build an error carrying a session error code
+ */
+function sessionError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+class SessionService {
+  constructor() {
+    this.sessions = new Map(); // token -> session data
+    this.playerTokens = new Map(); // playerId -> token
+    this.socketPlayers = new Map(); // socketId -> playerId (only for resumed sockets)
+    this.playerSockets = new Map(); // playerId -> socketId (only for resumed sockets)
+    this.graceTimers = new Map(); // playerId -> grace period timeout
+  }
+
+  /**
+   * Issue a session token for a player, replacing any previous one
+   */
+  createSession(playerId) {
+    this.endSession(playerId);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    this.sessions.set(token, {
+      token,
+      playerId,
+      createdAt: new Date().toISOString()
+    });
+    this.playerTokens.set(playerId, token);
+
+    console.log(`[Session] Created session for player ${playerId}`);
+    return token;
+  }
+
+  /**
+   * Take back a session token issued before a server restart
+   */
+  restoreSession(playerId, token) {
+    this.sessions.set(token, {
+      token,
+      playerId,
+      createdAt: new Date().toISOString()
+    });
+    this.playerTokens.set(playerId, token);
+  }
+
+  /**
+   * The session token currently issued to a player
+   */
+  getToken(playerId) {
+    return this.playerTokens.get(playerId) || null;
+  }
+
+  /**
+   * Bind a new socket to the player behind a session token
+   */
+  resumeSession(token, socketId) {
+    const session = this.sessions.get(token);
+    if (!session) {
+      throw sessionError('SESSION_NOT_FOUND', 'Session has expired or does not exist');
+    }
+
+    const previousSocketId = this.playerSockets.get(session.playerId);
+    if (previousSocketId) {
+      this.socketPlayers.delete(previousSocketId);
+    }
+
+    if (socketId !== session.playerId) {
+      this.socketPlayers.set(socketId, session.playerId);
+      this.playerSockets.set(session.playerId, socketId);
+    } else {
+      this.playerSockets.delete(session.playerId);
+    }
+
+    this.clearGracePeriod(session.playerId);
+    session.resumedAt = new Date().toISOString();
+
+    console.log(`[Session] Player ${session.playerId} resumed on socket ${socketId}`);
+    return session;
+  }
+
+  /**
+   * Map a socket id to the player id it acts for
+   */
+  resolvePlayerId(socketId) {
+    return this.socketPlayers.get(socketId) || socketId;
+  }
+
+  /**
+   * Map a player id to the socket it is currently connected on
+   */
+  getSocketId(playerId) {
+    return this.playerSockets.get(playerId) || playerId;
+  }
+
+  /**
+   * Whether a socket is the one its player is connected on now; the socket a
+   * player joined with stops being current once they resume on another
+   */
+  isCurrentSocket(socketId) {
+    return this.getSocketId(this.resolvePlayerId(socketId)) === socketId;
+  }
+
+  /**
+   * Forget a closed socket's binding
+   */
+  unbindSocket(socketId) {
+    const playerId = this.socketPlayers.get(socketId);
+    if (!playerId) return;
+
+    this.socketPlayers.delete(socketId);
+    if (this.playerSockets.get(playerId) === socketId) {
+      this.playerSockets.delete(playerId);
+    }
+  }
+
+  /**
+   * Give a disconnected player time to resume before onExpire runs
+   */
+  startGracePeriod(playerId, delay, onExpire) {
+    this.clearGracePeriod(playerId);
+
+    this.graceTimers.set(playerId, setTimeout(() => {
+      this.graceTimers.delete(playerId);
+      onExpire(playerId);
+    }, delay));
+  }
+
+  /**
+   * Stop a pending grace period
+   */
+  clearGracePeriod(playerId) {
+    const timer = this.graceTimers.get(playerId);
+    if (!timer) return false;
+
+    clearTimeout(timer);
+    this.graceTimers.delete(playerId);
+    return true;
+  }
+
+  /**
+   * Drop a player's session so its token can no longer be resumed
+   */
+  endSession(playerId) {
+    const token = this.playerTokens.get(playerId);
+    if (token) {
+      this.sessions.delete(token);
+      this.playerTokens.delete(playerId);
+    }
+
+    this.clearGracePeriod(playerId);
+    const socketId = this.playerSockets.get(playerId);
+    if (socketId) {
+      this.socketPlayers.delete(socketId);
+      this.playerSockets.delete(playerId);
+    }
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
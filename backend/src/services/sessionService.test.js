@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import sessionService from './sessionService.js';
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    // Clear all sessions before each test
+    sessionService.graceTimers.forEach(timer => clearTimeout(timer));
+    sessionService.sessions.clear();
+    sessionService.playerTokens.clear();
+    sessionService.socketPlayers.clear();
+    sessionService.playerSockets.clear();
+    sessionService.graceTimers.clear();
+  });
+
+  describe('createSession', () => {
+    test('should issue an opaque token for the player', () => {
+      const token = sessionService.createSession('player-1');
+
+      expect(token).toMatch(/^[a-f0-9]{48}$/);
+      expect(sessionService.sessions.get(token)).toMatchObject({ playerId: 'player-1' });
+    });
+
+    test('should replace an older token for the same player', () => {
+      const oldToken = sessionService.createSession('player-1');
+      const newToken = sessionService.createSession('player-1');
+
+      expect(newToken).not.toBe(oldToken);
+      expect(sessionService.sessions.has(oldToken)).toBe(false);
+    });
+  });
+
+  describe('resumeSession', () => {
+    test('should bind the new socket to the original player id', () => {
+      const token = sessionService.createSession('player-1');
+
+      const session = sessionService.resumeSession(token, 'socket-2');
+
+      expect(session.playerId).toBe('player-1');
+      expect(sessionService.resolvePlayerId('socket-2')).toBe('player-1');
+      expect(sessionService.getSocketId('player-1')).toBe('socket-2');
+    });
+
+    test('should drop the binding of an earlier resumed socket', () => {
+      const token = sessionService.createSession('player-1');
+      sessionService.resumeSession(token, 'socket-2');
+
+      sessionService.resumeSession(token, 'socket-3');
+
+      expect(sessionService.resolvePlayerId('socket-2')).toBe('socket-2');
+      expect(sessionService.resolvePlayerId('socket-3')).toBe('player-1');
+    });
+
+    test('should stop treating the original socket as current once resumed', () => {
+      const token = sessionService.createSession('player-1');
+      expect(sessionService.isCurrentSocket('player-1')).toBe(true);
+
+      sessionService.resumeSession(token, 'socket-2');
+
+      // The socket the player joined with closes after the resume
+      expect(sessionService.isCurrentSocket('player-1')).toBe(false);
+      sessionService.unbindSocket('player-1');
+      expect(sessionService.getSocketId('player-1')).toBe('socket-2');
+      expect(sessionService.isCurrentSocket('socket-2')).toBe(true);
+    });
+
+    test('should reject unknown tokens', () => {
+      expect(() => sessionService.resumeSession('bogus', 'socket-2')).toThrow(
+        expect.objectContaining({ code: 'SESSION_NOT_FOUND' })
+      );
+    });
+
+    test('should resolve unbound sockets to themselves', () => {
+      expect(sessionService.resolvePlayerId('socket-9')).toBe('socket-9');
+      expect(sessionService.getSocketId('player-9')).toBe('player-9');
+    });
+  });
+
+  describe('grace period', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should expire after the configured delay', () => {
+      const onExpire = jest.fn();
+
+      sessionService.startGracePeriod('player-1', 10000, onExpire);
+      jest.advanceTimersByTime(9999);
+      expect(onExpire).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+
+      expect(onExpire).toHaveBeenCalledWith('player-1');
+    });
+
+    test('should be cancelled when the player resumes', () => {
+      const token = sessionService.createSession('player-1');
+      const onExpire = jest.fn();
+      sessionService.startGracePeriod('player-1', 10000, onExpire);
+
+      sessionService.resumeSession(token, 'socket-2');
+      jest.advanceTimersByTime(20000);
+
+      expect(onExpire).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('endSession', () => {
+    test('should make the token unusable', () => {
+      const token = sessionService.createSession('player-1');
+      sessionService.resumeSession(token, 'socket-2');
+
+      sessionService.endSession('player-1');
+
+      expect(() => sessionService.resumeSession(token, 'socket-3')).toThrow(
+        expect.objectContaining({ code: 'SESSION_NOT_FOUND' })
+      );
+      expect(sessionService.resolvePlayerId('socket-2')).toBe('socket-2');
+    });
+  });
+});
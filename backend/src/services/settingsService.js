@@ -0,0 +1,196 @@
+import { TOURNAMENT_FORMATS, SCORE_CORRECTION_POLICIES, MAX_PLAYERS, SWISS_MAX_PLAYERS } from './tournamentService.js';
+import { SELECTION_STRATEGIES } from './gameSelectionService.js';
+import { BRACKET_TYPES, SEEDING_MODES } from './bracketService.js';
+import { TEAM_ASSIGNMENT_MODES, TEAM_SCORING_RULES } from './teamService.js';
+import { SCORING_MODES } from './scoringService.js';
+import { TIE_BREAKERS } from './rankingService.js';
+
+// Mini-games a rotation may name (see docs/mini-games.md)
+export const GAME_CATALOGUE = ['jetpack', 'subway', 'geometry', 'dino', 'space-dodger', 'bubble-shooter'];
+
+// Tournament lengths offered to hosts
+export const ROUND_OPTIONS = [5, 10, 15, 20];
+
+export const BOT_SKILL_LEVELS = ['easy', 'medium', 'hard'];
+
+const DEFAULT_MAX_PLAYERS = 8; // what tournamentService seats when maxPlayers is not set
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const integer = (min, max) => ({ type: 'number', integer: true, min, max });
+const oneOf = (values) => ({ type: 'enum', values });
+const flag = { type: 'boolean' };
+const share = { type: 'number', min: 0.1, max: 1 };
+
+/**
+ * Every setting a client may send, with its allowed values
+ */
+export const TOURNAMENT_SETTINGS_SCHEMA = Object.freeze({
+  format: oneOf(TOURNAMENT_FORMATS),
+  maxRounds: oneOf(ROUND_OPTIONS),
+  maxPlayers: integer(1, SWISS_MAX_PLAYERS), // MAX_PLAYERS outside the Swiss format, checked below
+  bracketType: oneOf(BRACKET_TYPES),
+  seeding: oneOf(SEEDING_MODES),
+  eliminationCount: integer(1, MAX_PLAYERS - 1),
+  eliminationPercent: { type: 'number', min: 0, max: 90 },
+  swissGroupSize: integer(2, MAX_PLAYERS),
+  teamCount: integer(0, MAX_PLAYERS), // 0 or at least 2, and no more than maxPlayers, checked below
+  teamAssignment: oneOf(TEAM_ASSIGNMENT_MODES),
+  teamScoring: oneOf(TEAM_SCORING_RULES),
+  teamBestOf: integer(1, MAX_PLAYERS),
+  teamNames: { type: 'list', maxLength: MAX_PLAYERS, item: { type: 'string', minLength: 1, maxLength: 32 } },
+  scoringMode: oneOf(SCORING_MODES),
+  pointsTable: { type: 'list', minLength: 1, maxLength: SWISS_MAX_PLAYERS, item: { type: 'number', min: 0, max: 1000 } },
+  tieBreakers: { type: 'list', unique: true, item: oneOf(TIE_BREAKERS) },
+  suddenDeath: flag,
+  autoStartDelay: integer(SECOND, MINUTE),
+  readyThreshold: share,
+  rematchThreshold: share,
+  reconnectGracePeriod: integer(5 * SECOND, 5 * MINUTE),
+  roundDuration: integer(10 * SECOND, 10 * MINUTE),
+  intermissionDuration: integer(SECOND, MINUTE),
+  dnfScore: { type: 'number', min: 0, max: 1000000 },
+  scoreCorrections: oneOf(SCORE_CORRECTION_POLICIES),
+  gameRotation: { type: 'list', minLength: 1, maxLength: 20, item: oneOf(GAME_CATALOGUE) },
+  gameSelection: oneOf(SELECTION_STRATEGIES),
+  gameWeights: { type: 'map', keys: GAME_CATALOGUE, value: { type: 'number', min: 0, max: 100 } },
+  noBackToBack: flag,
+  gameVoting: flag,
+  gameVoteCandidates: integer(2, 3),
+  gameVoteDuration: integer(5 * SECOND, MINUTE),
+  autoFillWithBots: flag,
+  replaceWithBots: flag,
+  idleTimeout: integer(5 * SECOND, 5 * MINUTE),
+  botSkillLevels: { type: 'list', minLength: 1, unique: true, item: oneOf(BOT_SKILL_LEVELS) },
+  seed: { type: 'seed', maxLength: 64 }
+});
+
+/**
+ * Settings Service - Validates tournament settings sent by clients
+ *
+ * Errors are collected per field ({field: message}) so a client can point at
+ * every bad input at once instead of fixing them one by one.
+ */
+export class SettingsService {
+
+  /**
+   * Field errors for a settings object; empty when everything is valid.
+   * current holds the tournament's settings so far, for checks across fields.
+   */
+  static validate(settings, current = {}) {
+    if (settings === undefined || settings === null) return {};
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+      return { settings: 'must be an object' };
+    }
+
+    const fields = {};
+    Object.entries(settings).forEach(([field, value]) => {
+      const rule = TOURNAMENT_SETTINGS_SCHEMA[field];
+      const error = rule ? this.checkValue(rule, value) : 'is not a known setting';
+      if (error) fields[field] = error;
+    });
+
+    const merged = { ...current, ...settings };
+    if (!fields.maxPlayers && !fields.format && merged.format !== 'swiss' && merged.maxPlayers > MAX_PLAYERS) {
+      fields.maxPlayers = `must be at most ${MAX_PLAYERS} outside the swiss format`;
+    }
+
+    const maxPlayers = merged.maxPlayers || DEFAULT_MAX_PLAYERS;
+    if (settings.teamCount !== undefined && !fields.teamCount && !fields.maxPlayers &&
+        settings.teamCount !== 0 && (settings.teamCount < 2 || settings.teamCount > maxPlayers)) {
+      fields.teamCount = `must be 0 (no teams) or between 2 and ${maxPlayers}`;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Throw an INVALID_SETTINGS error carrying the field errors, if there are any
+   */
+  static assertValid(settings, current = {}) {
+    const fields = this.validate(settings, current);
+    const names = Object.keys(fields);
+    if (names.length > 0) {
+      throw Object.assign(new Error(`Invalid tournament settings: ${names.join(', ')}`), {
+        code: 'INVALID_SETTINGS',
+        fields
+      });
+    }
+  }
+
+  /**
+   * Error message for a value that breaks its rule, or null
+   */
+  static checkValue(rule, value) {
+    switch (rule.type) {
+      case 'enum':
+        return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+      case 'number':
+        return this.checkNumber(rule, value);
+      case 'string':
+        if (typeof value !== 'string') return 'must be text';
+        return value.length >= (rule.minLength || 0) && value.length <= rule.maxLength
+          ? null
+          : `must be ${rule.minLength || 0} to ${rule.maxLength} characters`;
+      case 'seed':
+        if (typeof value === 'number') return Number.isFinite(value) ? null : 'must be a finite number';
+        return typeof value === 'string' && value.length <= rule.maxLength
+          ? null
+          : `must be a number or text of at most ${rule.maxLength} characters`;
+      case 'list':
+        return this.checkList(rule, value);
+      case 'map':
+        return this.checkMap(rule, value);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Numbers within [min, max], whole numbers only where the rule says so
+   */
+  static checkNumber(rule, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+    if (rule.integer && !Number.isInteger(value)) return 'must be a whole number';
+    if (value < rule.min || value > rule.max) return `must be between ${rule.min} and ${rule.max}`;
+    return null;
+  }
+
+  /**
+   * Lists of allowed length whose entries all pass the item rule
+   */
+  static checkList(rule, value) {
+    if (!Array.isArray(value)) return 'must be a list';
+
+    const minLength = rule.minLength || 0;
+    const maxLength = rule.maxLength || Infinity;
+    if (value.length < minLength || value.length > maxLength) {
+      return maxLength === Infinity
+        ? `must have at least ${minLength} entries`
+        : `must have ${minLength} to ${maxLength} entries`;
+    }
+    if (rule.unique && new Set(value).size !== value.length) return 'must not repeat entries';
+
+    for (let i = 0; i < value.length; i++) {
+      const error = this.checkValue(rule.item, value[i]);
+      if (error) return `entry ${i + 1} ${error}`;
+    }
+    return null;
+  }
+
+  /**
+   * Objects with known keys whose values all pass the value rule
+   */
+  static checkMap(rule, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+
+    for (const [key, entry] of Object.entries(value)) {
+      if (!rule.keys.includes(key)) return `${key} must be one of ${rule.keys.join(', ')}`;
+      const error = this.checkValue(rule.value, entry);
+      if (error) return `${key} ${error}`;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Settings Service Tests
+ */
+import { SettingsService } from './settingsService.js';
+
+describe('SettingsService', () => {
+  describe('validate', () => {
+    test('should accept supported settings', () => {
+      expect(SettingsService.validate({
+        maxRounds: 15,
+        maxPlayers: 6,
+        gameRotation: ['jetpack', 'dino'],
+        gameWeights: { jetpack: 3 },
+        roundDuration: 45000,
+        botSkillLevels: ['easy', 'hard'],
+        tieBreakers: ['bestRound'],
+        suddenDeath: true,
+        seed: 'friday-night'
+      })).toEqual({});
+      expect(SettingsService.validate(undefined)).toEqual({});
+    });
+
+    test('should report every bad field', () => {
+      expect(SettingsService.validate({
+        maxRounds: 100000,
+        maxPlayers: -1,
+        gameRotation: ['jetpack', 'pong'],
+        botSkillLevels: ['expert'],
+        roundDuration: 500,
+        autoFillWithBots: 'yes'
+      })).toEqual({
+        maxRounds: 'must be one of 5, 10, 15, 20',
+        maxPlayers: 'must be between 1 and 64',
+        gameRotation: 'entry 2 must be one of jetpack, subway, geometry, dino, space-dodger, bubble-shooter',
+        botSkillLevels: 'entry 1 must be one of easy, medium, hard',
+        roundDuration: 'must be between 10000 and 600000',
+        autoFillWithBots: 'must be true or false'
+      });
+    });
+
+    test('should reject unknown settings and non-objects', () => {
+      expect(SettingsService.validate({ status: 'completed' })).toEqual({ status: 'is not a known setting' });
+      expect(SettingsService.validate([1, 2])).toEqual({ settings: 'must be an object' });
+    });
+
+    test('should check list and map shapes', () => {
+      const fields = SettingsService.validate({
+        gameRotation: [],
+        tieBreakers: ['bestRound', 'bestRound'],
+        gameWeights: { pong: 1 },
+        gameVoteCandidates: 2.5
+      });
+
+      expect(fields.gameRotation).toBe('must have 1 to 20 entries');
+      expect(fields.tieBreakers).toBe('must not repeat entries');
+      expect(fields.gameWeights).toMatch(/^pong must be one of/);
+      expect(fields.gameVoteCandidates).toBe('must be a whole number');
+    });
+
+    test('should only allow more than 8 players in the swiss format', () => {
+      expect(SettingsService.validate({ maxPlayers: 32 })).toEqual({ maxPlayers: 'must be at most 8 outside the swiss format' });
+      expect(SettingsService.validate({ maxPlayers: 32, format: 'swiss' })).toEqual({});
+      expect(SettingsService.validate({ maxPlayers: 32 }, { format: 'swiss' })).toEqual({});
+      expect(SettingsService.validate({ format: 'standard' }, { format: 'swiss', maxPlayers: 32 }))
+        .toEqual({ maxPlayers: 'must be at most 8 outside the swiss format' });
+    });
+
+    test('should check the team count against the seats', () => {
+      expect(SettingsService.validate({ teamCount: 1 })).toEqual({ teamCount: 'must be 0 (no teams) or between 2 and 8' });
+      expect(SettingsService.validate({ teamCount: 4, maxPlayers: 3 })).toEqual({ teamCount: 'must be 0 (no teams) or between 2 and 3' });
+      expect(SettingsService.validate({ teamCount: 6 }, { maxPlayers: 4 })).toEqual({ teamCount: 'must be 0 (no teams) or between 2 and 4' });
+      expect(SettingsService.validate({ teamCount: 2 }, { maxPlayers: 4 })).toEqual({});
+      expect(SettingsService.validate({ teamCount: 0 })).toEqual({});
+    });
+  });
+
+  describe('assertValid', () => {
+    test('should throw a coded error with the field errors', () => {
+      expect(() => SettingsService.assertValid({ maxRounds: 7, idleTimeout: 0 })).toThrow(expect.objectContaining({
+        message: 'Invalid tournament settings: maxRounds, idleTimeout',
+        code: 'INVALID_SETTINGS',
+        fields: {
+          maxRounds: 'must be one of 5, 10, 15, 20',
+          idleTimeout: 'must be between 5000 and 300000'
+        }
+      }));
+      expect(() => SettingsService.assertValid({ maxRounds: 20 })).not.toThrow();
+    });
+  });
+});
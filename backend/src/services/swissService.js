@@ -0,0 +1,156 @@
+/**
+ * Swiss Service - Pairings, match points and Buchholz tie-breaks for Swiss tournaments
+ *
+ * Every round, players with similar running totals are grouped into
+ * sub-matches (pairs by default) that are played in parallel. Finishing
+ * first in a match is worth 1 point and last 0; places in between share the
+ * difference and tied scores split their points. A bye is worth 1 point.
+ */
+export class SwissService {
+
+  /**
+   * Empty Swiss state for a tournament about to start
+   */
+  static createState(groupSize = 2) {
+    return {
+      groupSize,
+      matches: [],
+      points: {}, // playerId -> match points
+      opponents: {}, // playerId -> ids of everyone they have been grouped with
+      byes: [] // playerIds that have had a bye
+    };
+  }
+
+  /**
+   * Strength of schedule: the sum of the points of everyone a player has faced
+   */
+  static buchholz(state, playerId) {
+    return (state.opponents[playerId] || [])
+      .reduce((sum, opponentId) => sum + (state.points[opponentId] || 0), 0);
+  }
+
+  /**
+   * Order players by points, then Buchholz, keeping the given order on a tie
+   */
+  static rank(state, playerIds) {
+    return [...playerIds].sort((a, b) =>
+      (state.points[b] || 0) - (state.points[a] || 0) || this.buchholz(state, b) - this.buchholz(state, a)
+    );
+  }
+
+  /**
+   * Group players with similar running totals for a round, avoiding rematches where possible.
+   * playerIds should already be in seed order; returns the new matches.
+   */
+  static pairRound(state, playerIds, roundNumber) {
+    const remaining = this.rank(state, playerIds);
+    const { groupSize } = state;
+    const matches = [];
+
+    // A single leftover player sits out; give the bye to the lowest-ranked player without one
+    if (remaining.length % groupSize === 1 && remaining.length > 1) {
+      const byeIndex = this.findByeIndex(state, remaining);
+      const [byePlayer] = remaining.splice(byeIndex, 1);
+      state.byes.push(byePlayer);
+      state.points[byePlayer] = (state.points[byePlayer] || 0) + 1;
+      matches.push(this.createMatch(roundNumber, matches.length + 1, [byePlayer], true));
+    }
+
+    while (remaining.length > 0) {
+      const group = [remaining.shift()];
+
+      // Prefer the next-ranked players nobody in the group has met yet
+      for (const candidate of [...remaining]) {
+        if (group.length >= groupSize) break;
+        if (group.every(member => !this.havePlayed(state, member, candidate))) {
+          group.push(candidate);
+        }
+      }
+      // Otherwise accept a rematch rather than a short group
+      for (const candidate of [...remaining]) {
+        if (group.length >= groupSize) break;
+        if (!group.includes(candidate)) group.push(candidate);
+      }
+
+      group.slice(1).forEach(member => remaining.splice(remaining.indexOf(member), 1));
+      matches.push(this.createMatch(roundNumber, matches.length + 1, group, false));
+    }
+
+    state.matches.push(...matches);
+    return matches.filter(match => !match.bye);
+  }
+
+  /**
+   * Index of the player who should get the bye
+   */
+  static findByeIndex(state, ranked) {
+    for (let i = ranked.length - 1; i >= 0; i--) {
+      if (!state.byes.includes(ranked[i])) return i;
+    }
+    return ranked.length - 1;
+  }
+
+  /**
+   * Whether two players have already been grouped together
+   */
+  static havePlayed(state, a, b) {
+    return (state.opponents[a] || []).includes(b);
+  }
+
+  /**
+   * A sub-match for one round
+   */
+  static createMatch(roundNumber, index, players, bye) {
+    return {
+      id: `R${roundNumber}-M${index}`,
+      round: roundNumber,
+      players,
+      bye,
+      status: bye ? 'completed' : 'active',
+      scores: {},
+      points: bye ? { [players[0]]: 1 } : {}
+    };
+  }
+
+  /**
+   * Award match points for a finished round and remember who met whom
+   */
+  static recordRound(state, roundNumber, scores) {
+    const matches = state.matches.filter(match => match.round === roundNumber && !match.bye);
+
+    matches.forEach(match => {
+      match.players.forEach(playerId => {
+        match.scores[playerId] = scores.get(playerId) || 0;
+        const opponents = match.players.filter(id => id !== playerId);
+        state.opponents[playerId] = [...(state.opponents[playerId] || []), ...opponents];
+      });
+
+      this.placementPoints(match.scores).forEach((points, playerId) => {
+        match.points[playerId] = points;
+        state.points[playerId] = (state.points[playerId] || 0) + points;
+      });
+      match.status = 'completed';
+    });
+
+    return matches;
+  }
+
+  /**
+   * Points by place within a match: 1 for first down to 0 for last, ties share
+   */
+  static placementPoints(scores) {
+    const entries = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const steps = entries.length - 1;
+    const points = new Map();
+
+    let place = 0;
+    while (place < entries.length) {
+      const tied = entries.filter(([, score]) => score === entries[place][1]);
+      const shared = tied.reduce((sum, _entry, i) => sum + (steps - place - i) / steps, 0) / tied.length;
+      tied.forEach(([playerId]) => points.set(playerId, steps > 0 ? shared : 1));
+      place += tied.length;
+    }
+
+    return points;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Swiss Service Tests
+ */
+import { SwissService } from './swissService.js';
+
+const players = (count) => Array.from({ length: count }, (_value, i) => `p${i + 1}`);
+
+/**
+ * Pair a round and let the listed players (or else the first of each match) win
+ */
+function playRound(state, playerIds, roundNumber, winners = []) {
+  const matches = SwissService.pairRound(state, playerIds, roundNumber);
+  const scores = new Map();
+  matches.forEach(match => {
+    const winner = match.players.find(id => winners.includes(id)) || match.players[0];
+    match.players.forEach(id => scores.set(id, id === winner ? 100 : 10));
+  });
+  SwissService.recordRound(state, roundNumber, scores);
+  return matches;
+}
+
+describe('SwissService', () => {
+  describe('pairRound', () => {
+    test('should pair neighbours in seed order in the first round', () => {
+      const state = SwissService.createState();
+
+      const matches = SwissService.pairRound(state, players(4), 1);
+
+      expect(matches.map(match => match.players)).toEqual([['p1', 'p2'], ['p3', 'p4']]);
+      expect(matches[0].id).toBe('R1-M1');
+    });
+
+    test('should pair players on equal points and avoid rematches', () => {
+      const state = SwissService.createState();
+      playRound(state, players(4), 1);
+
+      // p1 and p3 won; p1 has already met p2
+      const matches = SwissService.pairRound(state, players(4), 2);
+
+      expect(matches.map(match => match.players)).toEqual([['p1', 'p3'], ['p2', 'p4']]);
+    });
+
+    test('should give the bye to the lowest-ranked player without one', () => {
+      const state = SwissService.createState();
+
+      SwissService.pairRound(state, players(5), 1);
+      expect(state.byes).toEqual(['p5']);
+      expect(state.points.p5).toBe(1);
+
+      SwissService.recordRound(state, 1, new Map([['p1', 50], ['p2', 40], ['p3', 50], ['p4', 40]]));
+      SwissService.pairRound(state, players(5), 2);
+      expect(state.byes).toEqual(['p5', 'p4']);
+    });
+
+    test('should group players when the group size is larger than two', () => {
+      const state = SwissService.createState(3);
+
+      const matches = SwissService.pairRound(state, players(8), 1);
+
+      expect(matches.map(match => match.players.length)).toEqual([3, 3, 2]);
+    });
+  });
+
+  describe('placementPoints', () => {
+    test('should give 1 to the winner and 0 to the last place', () => {
+      const points = SwissService.placementPoints({ a: 300, b: 100, c: 200 });
+
+      expect(Object.fromEntries(points)).toEqual({ a: 1, c: 0.5, b: 0 });
+    });
+
+    test('should split points on a tie', () => {
+      const points = SwissService.placementPoints({ a: 100, b: 100 });
+
+      expect(Object.fromEntries(points)).toEqual({ a: 0.5, b: 0.5 });
+    });
+  });
+
+  describe('buchholz', () => {
+    test('should add up the points of every opponent faced', () => {
+      const state = SwissService.createState();
+      playRound(state, players(4), 1);
+      playRound(state, players(4), 2);
+
+      // p1 beat p2 and then p3, who both finished on 1 point
+      expect(state.points).toEqual({ p1: 2, p2: 1, p3: 1, p4: 0 });
+      expect(SwissService.buchholz(state, 'p1')).toBe(2);
+      expect(SwissService.buchholz(state, 'p4')).toBe(2);
+      expect(SwissService.rank(state, players(4))).toEqual(['p1', 'p2', 'p3', 'p4']);
+    });
+  });
+});
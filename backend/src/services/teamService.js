@@ -0,0 +1,105 @@
+import { RankingService } from './rankingService.js';
+
+export const TEAM_ASSIGNMENT_MODES = ['manual', 'balanced'];
+export const TEAM_SCORING_RULES = ['sum', 'average', 'best'];
+
+/**
+ * Team Service - Team rosters, team round scores and team leaderboards
+ *
+ * Teams live on the tournament as a Map of teamId -> { id, name, playerIds }.
+ * Team scores are derived from the players' round points whenever the
+ * leaderboard is rebuilt, so they never drift from the individual standings.
+ */
+export class TeamService {
+
+  /**
+   * Throw if team settings are not supported
+   */
+  static assertOptions({ teamCount, teamAssignment, teamScoring, maxPlayers }) {
+    if (teamCount !== 0 && (teamCount < 2 || teamCount > maxPlayers)) {
+      throw new Error(`Team count must be between 2 and ${maxPlayers}`);
+    }
+    if (!TEAM_ASSIGNMENT_MODES.includes(teamAssignment)) {
+      throw new Error(`Unsupported team assignment: ${teamAssignment}`);
+    }
+    if (!TEAM_SCORING_RULES.includes(teamScoring)) {
+      throw new Error(`Unsupported team scoring rule: ${teamScoring}`);
+    }
+  }
+
+  /**
+   * Empty teams, named from teamNames where given
+   */
+  static createTeams(teamCount, teamNames = []) {
+    const teams = new Map();
+    for (let i = 1; i <= teamCount; i++) {
+      const teamId = `team-${i}`;
+      teams.set(teamId, { id: teamId, name: teamNames[i - 1] || `Team ${i}`, playerIds: [] });
+    }
+    return teams;
+  }
+
+  /**
+   * The team with the fewest players (the first one on a tie)
+   */
+  static smallestTeam(teams) {
+    return Array.from(teams.values()).reduce((smallest, team) =>
+      team.playerIds.length < smallest.playerIds.length ? team : smallest
+    );
+  }
+
+  /**
+   * Team order for a snake draft: 1, 2, 3, 3, 2, 1, 1, 2, ...
+   */
+  static snakeOrder(teamIds, picks) {
+    return Array.from({ length: picks }, (_value, pick) => {
+      const lap = Math.floor(pick / teamIds.length);
+      const index = pick % teamIds.length;
+      return teamIds[lap % 2 === 0 ? index : teamIds.length - 1 - index];
+    });
+  }
+
+  /**
+   * Combine the round points of a team's players with the team scoring rule
+   */
+  static scoreRound(scores, rule, bestOf = 2) {
+    if (scores.length === 0) return 0;
+
+    switch (rule) {
+      case 'average':
+        return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+      case 'best':
+        return [...scores].sort((a, b) => b - a).slice(0, bestOf).reduce((sum, score) => sum + score, 0);
+      case 'sum':
+      default:
+        return scores.reduce((sum, score) => sum + score, 0);
+    }
+  }
+
+  /**
+   * Rank teams by the total of their per-round team scores; level teams share a rank
+   */
+  static buildLeaderboard(teams, rounds, { teamScoring, teamBestOf }) {
+    const entries = Array.from(teams.values())
+      .map(team => {
+        const roundScores = rounds.map(round => this.scoreRound(
+          team.playerIds.filter(playerId => round.points.has(playerId)).map(playerId => round.points.get(playerId)),
+          teamScoring,
+          teamBestOf
+        ));
+
+        return {
+          teamId: team.id,
+          teamName: team.name,
+          playerIds: [...team.playerIds],
+          totalScore: roundScores.reduce((sum, score) => sum + score, 0),
+          roundScores,
+          lastRoundScore: roundScores[roundScores.length - 1] || 0
+        };
+      })
+      .sort((a, b) => b.totalScore - a.totalScore);
+
+    const ranks = RankingService.competitionRanks(entries, (a, b) => b.totalScore - a.totalScore);
+    return entries.map((entry, index) => ({ rank: ranks[index], ...entry }));
+  }
+}
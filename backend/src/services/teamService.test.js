@@ -0,0 +1,77 @@
+/**
+ * Team Service Tests
+ */
+import { TeamService } from './teamService.js';
+
+describe('TeamService', () => {
+  describe('assertOptions', () => {
+    const valid = { teamCount: 4, teamAssignment: 'manual', teamScoring: 'best', maxPlayers: 8 };
+
+    test('should accept supported settings', () => {
+      expect(() => TeamService.assertOptions(valid)).not.toThrow();
+      expect(() => TeamService.assertOptions({ ...valid, teamCount: 0 })).not.toThrow();
+    });
+
+    test('should reject bad team counts and unknown rules', () => {
+      expect(() => TeamService.assertOptions({ ...valid, teamCount: 1 })).toThrow('Team count must be between 2 and 8');
+      expect(() => TeamService.assertOptions({ ...valid, teamCount: 9 })).toThrow('Team count');
+      expect(() => TeamService.assertOptions({ ...valid, teamAssignment: 'random' })).toThrow('Unsupported team assignment');
+      expect(() => TeamService.assertOptions({ ...valid, teamScoring: 'median' })).toThrow('Unsupported team scoring rule');
+    });
+  });
+
+  describe('createTeams', () => {
+    test('should name teams from the list and number the rest', () => {
+      const teams = TeamService.createTeams(3, ['Red', 'Blue']);
+
+      expect(Array.from(teams.values()).map(team => team.name)).toEqual(['Red', 'Blue', 'Team 3']);
+      expect(teams.get('team-1').playerIds).toEqual([]);
+    });
+  });
+
+  describe('smallestTeam', () => {
+    test('should pick the team with the fewest players', () => {
+      const teams = TeamService.createTeams(3);
+      teams.get('team-1').playerIds.push('a');
+      teams.get('team-3').playerIds.push('b');
+
+      expect(TeamService.smallestTeam(teams).id).toBe('team-2');
+    });
+  });
+
+  describe('snakeOrder', () => {
+    test('should reverse direction every lap', () => {
+      expect(TeamService.snakeOrder(['A', 'B', 'C'], 7)).toEqual(['A', 'B', 'C', 'C', 'B', 'A', 'A']);
+    });
+  });
+
+  describe('scoreRound', () => {
+    test('should apply each scoring rule', () => {
+      const scores = [100, 400, 250];
+
+      expect(TeamService.scoreRound(scores, 'sum')).toBe(750);
+      expect(TeamService.scoreRound(scores, 'average')).toBe(250);
+      expect(TeamService.scoreRound(scores, 'best', 2)).toBe(650);
+      expect(TeamService.scoreRound([], 'average')).toBe(0);
+    });
+  });
+
+  describe('buildLeaderboard', () => {
+    test('should rank teams by their per-round team scores', () => {
+      const teams = TeamService.createTeams(2, ['Red', 'Blue']);
+      teams.get('team-1').playerIds.push('a', 'b');
+      teams.get('team-2').playerIds.push('c', 'd');
+      const rounds = [
+        { points: new Map([['a', 100], ['b', 300], ['c', 250], ['d', 250]]) },
+        { points: new Map([['a', 500], ['c', 100]]) }
+      ];
+
+      const leaderboard = TeamService.buildLeaderboard(teams, rounds, { teamScoring: 'average', teamBestOf: 2 });
+
+      expect(leaderboard).toEqual([
+        { rank: 1, teamId: 'team-1', teamName: 'Red', playerIds: ['a', 'b'], totalScore: 700, roundScores: [200, 500], lastRoundScore: 500 },
+        { rank: 2, teamId: 'team-2', teamName: 'Blue', playerIds: ['c', 'd'], totalScore: 350, roundScores: [250, 100], lastRoundScore: 100 }
+      ]);
+    });
+  });
+});
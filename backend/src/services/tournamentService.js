@@ -1,12 +1,136 @@
 /**
  * Tournament Service - Manages tournament rounds, scoring, and leaderboards
+ *
+ * Lifecycle changes are emitted as events so the socket layer can relay them:
+ * round_started, round_completed, players_eliminated, bracket_updated,
+ * swiss_pairings, intermission, game_vote_update, tournament_paused, tournament_resumed,
+ * tournament_aborted and tournament_completed.
  */
+import { EventEmitter } from 'events';
 import botService from './botService.js';
-
-class TournamentService {
-  constructor() {
+import { GameSelectionService } from './gameSelectionService.js';
+import { BracketService } from './bracketService.js';
+import { TeamService } from './teamService.js';
+import { SwissService } from './swissService.js';
+import { ScoringService, DEFAULT_POINTS_TABLE } from './scoringService.js';
+import normalizationService from './normalizationService.js';
+import roomService from './roomService.js';
+import persistenceService from './persistenceService.js';
+import { RankingService } from './rankingService.js';
+
+export const TOURNAMENT_EVENTS = Object.freeze({
+  ROUND_STARTED: 'round_started',
+  ROUND_COMPLETED: 'round_completed',
+  PLAYERS_ELIMINATED: 'players_eliminated',
+  BRACKET_UPDATED: 'bracket_updated',
+  SWISS_PAIRINGS: 'swiss_pairings',
+  INTERMISSION: 'intermission',
+  GAME_VOTE_UPDATE: 'game_vote_update',
+  TOURNAMENT_PAUSED: 'tournament_paused',
+  TOURNAMENT_RESUMED: 'tournament_resumed',
+  TOURNAMENT_ABORTED: 'tournament_aborted',
+  TOURNAMENT_COMPLETED: 'tournament_completed'
+});
+
+// Entries of a tournament's event log. The replayer applies the commands again and
+// reads bots, bot scores and score distributions from the entries that record them.
+export const LOG_EVENTS = Object.freeze({
+  TOURNAMENT_CREATED: 'tournament_created',
+  SETTINGS_UPDATED: 'settings_updated',
+  SERIES_CARRIED_OVER: 'series_carried_over',
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  PLAYER_READY: 'player_ready',
+  TEAM_ASSIGNED: 'team_assigned',
+  CONNECTION_CHANGED: 'connection_changed',
+  TOURNAMENT_STARTED: 'tournament_started',
+  BOT_ADDED: 'bot_added',
+  ROUND_STARTED: 'round_started',
+  SCORE_SUBMITTED: 'score_submitted',
+  BOT_SCORED: 'bot_scored',
+  ROUND_TIMED_OUT: 'round_timed_out',
+  ROUND_COMPLETED: 'round_completed',
+  INTERMISSION_ENDED: 'intermission_ended',
+  GAME_VOTED: 'game_voted',
+  STAND_IN_ADDED: 'stand_in_added',
+  STAND_IN_REMOVED: 'stand_in_removed',
+  TOURNAMENT_PAUSED: 'tournament_paused',
+  TOURNAMENT_RESUMED: 'tournament_resumed',
+  TOURNAMENT_ABORTED: 'tournament_aborted',
+  TOURNAMENT_COMPLETED: 'tournament_completed',
+  REMATCH_VOTED: 'rematch_voted',
+  TOURNAMENT_RESTORED: 'tournament_restored',
+  PLAYER_KICKED: 'player_kicked', // recorded by the socket layer
+  PLAYER_BANNED: 'player_banned' // recorded by the socket layer
+});
+
+export const TOURNAMENT_FORMATS = ['standard', 'elimination', 'bracket', 'swiss'];
+
+export const TOURNAMENT_STATUSES = ['waiting', 'active', 'paused', 'completed', 'aborted'];
+
+// Player ids are socket ids and change every session; a player key is an id the
+// client keeps for the player (in local storage, say) so history can follow them
+export const PLAYER_KEY_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// What happens when a player submits a second score in the same round
+export const SCORE_CORRECTION_POLICIES = ['reject', 'allow'];
+
+// Everyone plays together in the other formats; Swiss splits the field into sub-matches
+export const MAX_PLAYERS = 8;
+export const SWISS_MAX_PLAYERS = 64;
+
+// Sudden-death rounds played at most before tied leaders share first place
+const MAX_SUDDEN_DEATH_ROUNDS = 3;
+
+// Seeding ratings for players that don't send one with join_tournament
+const DEFAULT_RATING = 1000;
+// Range a client-reported rating has to fall in
+const MIN_RATING = 0;
+const MAX_RATING = 5000;
+const BOT_RATINGS = { easy: 800, medium: 1000, hard: 1200 };
+
+export class TournamentService extends EventEmitter {
+  /**
+   * Collaborators default to the shared services; the replayer passes ones that
+   * play a logged tournament back instead (see replayService.js)
+   *
+   * @param {{bots?: any, normalization?: any, persistence?: any, rooms?: any, clock?: {now(): number}}} [collaborators]
+   */
+  constructor({ bots = botService, normalization = normalizationService, persistence = persistenceService, rooms = roomService, clock = Date } = {}) {
+    super();
+    this.bots = bots;
+    this.normalization = normalization;
+    this.persistence = persistence;
+    this.rooms = rooms; // a tournament lives only as long as its room
+    this.clock = clock; // times that decide standings and stamp the event log
     this.tournaments = new Map(); // tournamentId -> tournament data
     this.players = new Map(); // playerId -> player data
+    this.autoStartTimers = new Map(); // tournamentId -> countdown timeout
+    this.roundTimers = new Map(); // tournamentId -> round clock or intermission timeout
+    this.logs = new Map(); // tournamentId -> event log, oldest first
+  }
+
+  /**
+   * Append an entry to a tournament's event log and write it through
+   */
+  recordEvent(tournament, type, data = {}) {
+    if (!this.logs.has(tournament.id)) {
+      this.logs.set(tournament.id, []);
+    }
+
+    const log = this.logs.get(tournament.id);
+    const event = { seq: log.length + 1, type, at: new Date(this.clock.now()).toISOString(), data };
+    log.push(event);
+    this.persistence.saveEvent(tournament.id, event);
+    return event;
+  }
+
+  /**
+   * Event log of a tournament still in memory, oldest first
+   */
+  getEventLog(tournamentId) {
+    const log = this.logs.get(tournamentId);
+    return log ? [...log] : null;
   }
 
   /**
@@ -14,34 +138,193 @@ class TournamentService {
    */
   createTournament(roomId, settings = {}) {
     const tournamentId = `tournament_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    GameSelectionService.assertStrategy(settings.gameSelection || 'sequential');
+    this.assertFormat(settings.format || 'standard');
+    this.assertPlayerCap(settings.format || 'standard', settings.maxPlayers || 8);
+    this.assertCorrectionPolicy(settings.scoreCorrections || 'reject');
+    BracketService.assertOptions({
+      bracketType: settings.bracketType || 'single',
+      seeding: settings.seeding || 'random'
+    });
+    TeamService.assertOptions({
+      teamCount: settings.teamCount || 0,
+      teamAssignment: settings.teamAssignment || 'balanced',
+      teamScoring: settings.teamScoring || 'sum',
+      maxPlayers: settings.maxPlayers || 8
+    });
+    ScoringService.assertOptions({
+      scoringMode: settings.scoringMode || 'raw',
+      pointsTable: settings.pointsTable || DEFAULT_POINTS_TABLE
+    });
+    RankingService.assertTieBreakers(settings.tieBreakers || []);
+    GameSelectionService.assertVoteCandidates(settings.gameVoteCandidates || 3);
     
     const tournament = {
       id: tournamentId,
       roomId,
-      status: 'waiting', // waiting, active, completed
+      status: 'waiting', // waiting, active, paused, completed, aborted
       currentRound: 0,
       maxRounds: settings.maxRounds || 10,
       players: new Map(),
       rounds: [],
       leaderboard: [],
+      teams: settings.teamCount ? TeamService.createTeams(settings.teamCount, settings.teamNames) : null,
+      teamLeaderboard: [],
+      seed: GameSelectionService.normalizeSeed(settings.seed), // reproduces the game order
+      gameSelection: null, // selection RNG state, set up when the tournament starts
+      bracket: null, // bracket format: match tree, built when the tournament starts
+      swiss: null, // swiss format: pairings and match points, set up when the tournament starts
+      suddenDeath: null, // ids of tied leaders due to play a sudden-death round
+      nextRoundAt: null, // end of the current intermission
+      gameVote: null, // { round, candidates, votes } while players vote on the next game
+      pause: null, // { pausedAt, phase, remaining } while paused
+      series: { id: tournamentId, number: 1, wins: {}, previousTournamentId: null }, // carried over by rematches
+      rematchVotes: new Set(), // humans who want a rematch once this tournament is over
+      rematchTournamentId: null,
       createdAt: new Date().toISOString(),
       settings: {
+        format: settings.format || 'standard', // standard, elimination, bracket
+        bracketType: settings.bracketType || 'single', // bracket format: single, double
+        seeding: settings.seeding || 'random', // bracket format: random, rating
+        eliminationCount: settings.eliminationCount || 1, // bottom N out after each round
+        eliminationPercent: settings.eliminationPercent || 0, // bottom X% out instead, when set
+        swissGroupSize: settings.swissGroupSize || 2, // swiss format: players per sub-match
+        teamCount: settings.teamCount || 0, // 0 = every player for themselves
+        teamAssignment: settings.teamAssignment || 'balanced', // manual, balanced (by join_tournament rating at start)
+        teamScoring: settings.teamScoring || 'sum', // sum, average, best (top teamBestOf scores)
+        teamBestOf: settings.teamBestOf || 2,
+        scoringMode: settings.scoringMode || 'raw', // raw, placement, normalized, percentile
+        pointsTable: settings.pointsTable || DEFAULT_POINTS_TABLE, // placement points by round rank
+        tieBreakers: settings.tieBreakers || [], // bestRound, lastRound, fewerDnfs, earliestSubmission
+        suddenDeath: Boolean(settings.suddenDeath), // extra rounds while first place is tied after maxRounds
         autoStartDelay: settings.autoStartDelay || 5000, // 5 seconds
+        readyThreshold: settings.readyThreshold || 1, // share of humans that must be ready
+        rematchThreshold: settings.rematchThreshold || 0.5, // share of humans that must vote for a rematch
+        reconnectGracePeriod: settings.reconnectGracePeriod || 30000, // 30 seconds to resume
         roundDuration: settings.roundDuration || 60000, // 60 seconds
+        intermissionDuration: settings.intermissionDuration || 3000, // pause between rounds
+        dnfScore: settings.dnfScore || 0, // score for players who don't finish in time
+        scoreCorrections: settings.scoreCorrections || 'reject', // reject, allow (replace a score until the round closes)
         gameRotation: settings.gameRotation || ['jetpack'], // available mini-games
+        gameSelection: settings.gameSelection || 'sequential', // sequential, random, weighted, shuffle-bag
+        gameWeights: settings.gameWeights || {}, // game -> weight for 'weighted' selection
+        noBackToBack: Boolean(settings.noBackToBack), // never pick the previous round's game again
+        gameVoting: Boolean(settings.gameVoting), // players vote on the next game between rounds
+        gameVoteCandidates: settings.gameVoteCandidates || 3, // games offered in each vote (2-3)
+        gameVoteDuration: settings.gameVoteDuration || 10000, // intermission length while voting
         maxPlayers: settings.maxPlayers || 8,
         autoFillWithBots: settings.autoFillWithBots !== false, // Default true
+        replaceWithBots: Boolean(settings.replaceWithBots), // bots take over dropped/idle slots (opt-in)
+        idleTimeout: settings.idleTimeout || 30000, // no position updates for 30s = idle
         botSkillLevels: settings.botSkillLevels || ['easy', 'medium', 'hard'],
         ...settings
       }
     };
 
     this.tournaments.set(tournamentId, tournament);
+    this.persistence.saveTournament(tournament);
+    this.recordEvent(tournament, LOG_EVENTS.TOURNAMENT_CREATED, { roomId, settings: { ...settings }, seed: tournament.seed });
     console.log(`[Tournament] Created tournament: ${tournamentId} for room: ${roomId}`);
     
     return tournament;
   }
 
+  /**
+   * Change settings of a tournament that has not started yet
+   */
+  updateSettings(tournamentId, settings = {}) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    if (tournament.status !== 'waiting') {
+      throw new Error('Cannot change settings of a tournament in progress');
+    }
+
+    if (settings.gameSelection) {
+      GameSelectionService.assertStrategy(settings.gameSelection);
+    }
+    if (settings.format) {
+      this.assertFormat(settings.format);
+    }
+    if (settings.scoreCorrections) {
+      this.assertCorrectionPolicy(settings.scoreCorrections);
+    }
+    if (settings.format || settings.maxPlayers) {
+      this.assertPlayerCap(settings.format || tournament.settings.format, settings.maxPlayers || tournament.settings.maxPlayers);
+    }
+    if (settings.bracketType || settings.seeding) {
+      BracketService.assertOptions({ ...tournament.settings, ...settings });
+    }
+    const teamsChanged = settings.teamCount !== undefined && settings.teamCount !== tournament.settings.teamCount;
+    if (teamsChanged || settings.teamAssignment || settings.teamScoring) {
+      TeamService.assertOptions({ ...tournament.settings, ...settings, teamCount: settings.teamCount ?? tournament.settings.teamCount });
+    }
+    if (settings.scoringMode || settings.pointsTable) {
+      ScoringService.assertOptions({ ...tournament.settings, ...settings });
+    }
+    if (settings.tieBreakers) {
+      RankingService.assertTieBreakers(settings.tieBreakers);
+    }
+    if (settings.gameVoteCandidates) {
+      GameSelectionService.assertVoteCandidates(settings.gameVoteCandidates);
+    }
+
+    if (settings.maxRounds) {
+      tournament.maxRounds = settings.maxRounds;
+    }
+    if (settings.seed !== undefined) {
+      tournament.seed = GameSelectionService.normalizeSeed(settings.seed);
+    }
+    tournament.settings = { ...tournament.settings, ...settings };
+
+    // A new team count starts the rosters over
+    if (teamsChanged) {
+      tournament.teams = settings.teamCount
+        ? TeamService.createTeams(settings.teamCount, tournament.settings.teamNames)
+        : null;
+      tournament.players.forEach(player => {
+        player.teamId = null;
+        this.joinSmallestTeam(tournament, player.id);
+      });
+      this.persistence.savePlayers(tournament);
+    }
+
+    this.persistence.saveTournament(tournament);
+    this.recordEvent(tournament, LOG_EVENTS.SETTINGS_UPDATED, { settings: { ...settings } });
+    console.log(`[Tournament] Updated settings for tournament: ${tournamentId}`);
+    return tournament;
+  }
+
+  /**
+   * Throw if a tournament format is not supported
+   */
+  assertFormat(format) {
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported tournament format: ${format}`);
+    }
+  }
+
+  /**
+   * Throw if a score correction policy is not supported
+   */
+  assertCorrectionPolicy(policy) {
+    if (!SCORE_CORRECTION_POLICIES.includes(policy)) {
+      throw new Error(`Unsupported score correction policy: ${policy}`);
+    }
+  }
+
+  /**
+   * Throw if a format can't seat that many players
+   */
+  assertPlayerCap(format, maxPlayers) {
+    const cap = format === 'swiss' ? SWISS_MAX_PLAYERS : MAX_PLAYERS;
+    if (maxPlayers > cap) {
+      throw new Error(`The ${format} format supports at most ${cap} players`);
+    }
+  }
+
   /**
    * Add player to tournament
    */
@@ -55,19 +338,49 @@ class TournamentService {
       throw new Error('Cannot join tournament in progress');
     }
 
+    if (playerData.playerKey !== undefined && !PLAYER_KEY_PATTERN.test(playerData.playerKey)) {
+      throw Object.assign(new Error('Player key must be 8 to 64 letters, digits, - or _'), { code: 'INVALID_PLAYER_KEY' });
+    }
+
+    const { rating } = playerData;
+    if (rating !== undefined && !(Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING)) {
+      throw Object.assign(new Error(`Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`), { code: 'INVALID_RATING' });
+    }
+
     const player = {
       id: playerId,
-      name: playerData.name || `Player_${playerId.substr(-4)}`,
       totalScore: 0,
       roundScores: [],
+      totalPoints: 0,
+      roundPoints: [],
       position: { x: 0, y: 0 },
       gameState: 'idle', // idle, playing, finished, eliminated
+      dnfCount: 0,
+      eliminatedInRound: null, // elimination format: round the player was knocked out in
+      teamId: null,
+      isReady: false,
+      connectionState: 'connected', // connected, reconnecting, disconnected
+      standIn: null, // bot playing this slot while the human is away
+      lastActivityAt: Date.now(),
       joinedAt: new Date().toISOString(),
-      ...playerData
+      ...playerData,
+      // Joins without a name pass { name: undefined }, which must not wipe the default
+      name: playerData.name || `Player_${playerId.substr(-4)}`
     };
 
     tournament.players.set(playerId, player);
     this.players.set(playerId, { ...player, tournamentId });
+    this.joinSmallestTeam(tournament, playerId);
+    this.persistence.savePlayers(tournament, [player]);
+    if (tournament.teams) {
+      this.persistence.saveTournament(tournament);
+    }
+    // Bots that fill empty seats are logged as bot_added. The player key stays
+    // out of the log, which can be exported by anyone who knows the tournament id.
+    if (!playerData.isBot) {
+      const loggedData = Object.fromEntries(Object.entries(playerData).filter(([key]) => key !== 'playerKey'));
+      this.recordEvent(tournament, LOG_EVENTS.PLAYER_JOINED, { playerId, playerData: loggedData });
+    }
 
     console.log(`[Tournament] Player ${playerId} joined tournament: ${tournamentId}`);
     return player;
@@ -80,10 +393,124 @@ class TournamentService {
     const tournament = this.tournaments.get(tournamentId);
     if (!tournament) return false;
 
+    this.leaveTeam(tournament, playerId);
     tournament.players.delete(playerId);
     this.players.delete(playerId);
+    this.cancelAutoStart(tournamentId);
+    this.persistence.deletePlayer(tournamentId, playerId);
+    if (tournament.teams) {
+      this.persistence.saveTournament(tournament);
+    }
+    this.recordEvent(tournament, LOG_EVENTS.PLAYER_LEFT, { playerId });
 
     console.log(`[Tournament] Player ${playerId} left tournament: ${tournamentId}`);
+
+    // The round may only have been waiting on the player who left
+    if (tournament.status === 'active' && tournament.players.size > 0) {
+      this.checkRoundCompletion(tournamentId);
+    }
+    return true;
+  }
+
+  /**
+   * Delete a tournament along with its players and bots
+   */
+  deleteTournament(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return false;
+
+    this.cancelAutoStart(tournamentId);
+    this.clearRoundTimer(tournamentId);
+    tournament.players.forEach((player, playerId) => {
+      if (player.isBot) {
+        this.bots.removeBot(playerId);
+      }
+      if (player.standIn) {
+        this.bots.removeBot(player.standIn.botId);
+      }
+      // Players who moved on to a rematch keep their new record
+      if (this.players.get(playerId)?.tournamentId === tournamentId) {
+        this.players.delete(playerId);
+      }
+    });
+
+    this.tournaments.delete(tournamentId);
+    this.logs.delete(tournamentId);
+    // Tournaments that got going stay in the database as history
+    if (tournament.status === 'waiting') {
+      this.persistence.deleteTournament(tournamentId);
+    }
+    console.log(`[Tournament] Deleted tournament: ${tournamentId}`);
+    return true;
+  }
+
+  /**
+   * Bring back a tournament read from the database after a restart. Bots are
+   * recreated, humans are marked as reconnecting until they resume their session,
+   * and a round or intermission that was cut short starts its clock over.
+   * The event log read back with it carries on where it stopped.
+   */
+  restoreTournament(tournament, events = []) {
+    const gameType = tournament.settings.gameRotation[0] || 'jetpack';
+    const now = Date.now();
+
+    tournament.autoStartAt = null;
+    // A round row that never made it to the database can't be resumed
+    tournament.currentRound = Math.min(tournament.currentRound, tournament.rounds.length);
+    this.tournaments.set(tournament.id, tournament);
+    this.logs.set(tournament.id, [...events]);
+
+    tournament.players.forEach((player, playerId) => {
+      try {
+        if (player.isBot) {
+          this.bots.createBot(gameType, player.botSkillLevel, player.name, playerId);
+        }
+        if (player.standIn) {
+          this.bots.createBot(gameType, player.standIn.skillLevel, `${player.name} (Bot)`, player.standIn.botId);
+        }
+      } catch (error) {
+        console.error(`[Tournament] Failed to recreate bot for tournament ${tournament.id}:`, error.message);
+      }
+      if (!player.isBot) {
+        player.connectionState = 'reconnecting';
+        player.isReady = false;
+      }
+      player.lastActivityAt = now;
+      this.players.set(playerId, { ...player, tournamentId: tournament.id });
+    });
+
+    if (tournament.status === 'active') {
+      const currentRound = tournament.rounds[tournament.currentRound - 1];
+      if (currentRound && currentRound.status === 'active') {
+        currentRound.endsAt = new Date(now + tournament.settings.roundDuration).toISOString();
+        this.startRoundTimer(tournament.id, currentRound);
+      } else {
+        this.scheduleNextRound(tournament, tournament.settings.intermissionDuration);
+      }
+    }
+
+    this.updateLeaderboard(tournament.id);
+    this.recordEvent(tournament, LOG_EVENTS.TOURNAMENT_RESTORED, { round: tournament.currentRound });
+    console.log(`[Tournament] Restored ${tournament.status} tournament: ${tournament.id}`);
+    return tournament;
+  }
+
+  /**
+   * Record whether a player's client is connected, reconnecting or gone
+   */
+  setConnectionState(playerId, connectionState) {
+    const playerData = this.players.get(playerId);
+    if (!playerData) return false;
+
+    const tournament = this.tournaments.get(playerData.tournamentId);
+    const player = tournament && tournament.players.get(playerId);
+    if (!player) return false;
+
+    player.connectionState = connectionState;
+    playerData.connectionState = connectionState;
+    this.recordEvent(tournament, LOG_EVENTS.CONNECTION_CHANGED, { playerId, connectionState });
+
+    console.log(`[Tournament] Player ${playerId} is ${connectionState} in tournament: ${tournament.id}`);
     return true;
   }
 
@@ -96,18 +523,52 @@ class TournamentService {
       throw new Error('Tournament not found');
     }
 
+    if (tournament.status !== 'waiting') {
+      throw new Error('Tournament has already started');
+    }
+
     if (tournament.players.size === 0) {
       throw new Error('Cannot start tournament with no players');
     }
+    this.recordEvent(tournament, LOG_EVENTS.TOURNAMENT_STARTED);
 
-    // Auto-fill with bots if enabled and tournament isn't full
+    const { format, swissGroupSize } = tournament.settings;
+    const isBracket = format === 'bracket';
+
+    // Balance humans first so that bots only fill the gaps left over
+    if (tournament.teams && tournament.settings.teamAssignment === 'balanced') {
+      this.balanceTeams(tournament);
+    }
+
+    // Auto-fill with bots if enabled and tournament isn't full; brackets and Swiss only fill their byes
     if (tournament.settings.autoFillWithBots) {
-      this.autoFillWithBots(tournamentId);
+      let targetSize = null;
+      if (isBracket) {
+        targetSize = BracketService.bracketSize(tournament.players.size);
+      } else if (format === 'swiss') {
+        targetSize = Math.ceil(tournament.players.size / swissGroupSize) * swissGroupSize;
+      }
+      this.autoFillWithBots(tournamentId, targetSize);
     }
 
+    this.cancelAutoStart(tournamentId);
     tournament.status = 'active';
     tournament.startedAt = new Date().toISOString();
+    tournament.gameSelection = GameSelectionService.createState(tournament.seed);
+
+    if (isBracket) {
+      this.setupBracket(tournament);
+    } else if (format === 'swiss') {
+      tournament.swiss = SwissService.createState(swissGroupSize);
+      // Without an explicit round count, play enough rounds to separate the field
+      if (!tournament.settings.maxRounds) {
+        tournament.maxRounds = Math.max(1, Math.ceil(Math.log2(tournament.players.size)));
+      }
+    }
     
+    // Bots, teams and seeds are settled now
+    this.persistence.savePlayers(tournament);
+
     // Start first round
     this.startNextRound(tournamentId);
     
@@ -115,6 +576,239 @@ class TournamentService {
     return tournament;
   }
 
+  /**
+   * Seed the players and build the bracket for a bracket-format tournament
+   */
+  setupBracket(tournament) {
+    const { bracketType, seeding } = tournament.settings;
+    const players = Array.from(tournament.players.values());
+
+    const seeded = seeding === 'rating'
+      ? players.sort((a, b) => this.getRating(b) - this.getRating(a))
+      : GameSelectionService.shuffle(tournament.gameSelection, players);
+
+    tournament.bracket = BracketService.createBracket(seeded.map(player => player.id), {
+      type: bracketType,
+      seeding
+    });
+    tournament.maxRounds = BracketService.countStages(tournament.bracket.size, bracketType);
+
+    console.log(`[Tournament] Seeded ${bracketType}-elimination bracket of ${tournament.bracket.size} for tournament: ${tournament.id}`);
+    return tournament.bracket;
+  }
+
+  /**
+   * Move a player onto a team while the tournament is waiting to start
+   */
+  assignTeam(playerId, teamId) {
+    const playerData = this.players.get(playerId);
+    if (!playerData) {
+      throw new Error('Player not in a tournament');
+    }
+
+    const tournament = this.tournaments.get(playerData.tournamentId);
+    if (!tournament.teams) {
+      throw new Error('Tournament has no teams');
+    }
+    if (tournament.settings.teamAssignment !== 'manual') {
+      throw new Error('Teams are balanced automatically in this tournament');
+    }
+    if (tournament.status !== 'waiting') {
+      throw new Error('Cannot change teams of a tournament in progress');
+    }
+
+    const team = tournament.teams.get(teamId);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+
+    const capacity = Math.ceil(tournament.settings.maxPlayers / tournament.teams.size);
+    if (!team.playerIds.includes(playerId) && team.playerIds.length >= capacity) {
+      throw new Error('Team is full');
+    }
+
+    this.setPlayerTeam(tournament, playerId, teamId);
+    this.persistence.saveTournament(tournament);
+    this.persistence.savePlayers(tournament, [tournament.players.get(playerId)]);
+    this.recordEvent(tournament, LOG_EVENTS.TEAM_ASSIGNED, { playerId, teamId });
+    console.log(`[Tournament] Player ${playerId} moved to ${teamId} in tournament: ${tournament.id}`);
+    return team;
+  }
+
+  /**
+   * Spread the humans over the teams by the rating they joined with (see
+   * getRating) with a snake draft
+   */
+  balanceTeams(tournament) {
+    const humans = Array.from(tournament.players.values())
+      .filter(player => !player.isBot)
+      .sort((a, b) => this.getRating(b) - this.getRating(a));
+    const order = TeamService.snakeOrder(Array.from(tournament.teams.keys()), humans.length);
+
+    humans.forEach(player => this.leaveTeam(tournament, player.id));
+    humans.forEach((player, pick) => this.setPlayerTeam(tournament, player.id, order[pick]));
+  }
+
+  /**
+   * Put a player on the team with the fewest players
+   */
+  joinSmallestTeam(tournament, playerId) {
+    if (!tournament.teams) return null;
+
+    const team = TeamService.smallestTeam(tournament.teams);
+    this.setPlayerTeam(tournament, playerId, team.id);
+    return team;
+  }
+
+  /**
+   * Record a player's team on the roster and on both player records
+   */
+  setPlayerTeam(tournament, playerId, teamId) {
+    this.leaveTeam(tournament, playerId);
+    tournament.teams.get(teamId).playerIds.push(playerId);
+    tournament.players.get(playerId).teamId = teamId;
+
+    const playerData = this.players.get(playerId);
+    if (playerData) {
+      playerData.teamId = teamId;
+    }
+  }
+
+  /**
+   * Take a player off their team's roster
+   */
+  leaveTeam(tournament, playerId) {
+    if (!tournament.teams) return;
+
+    tournament.teams.forEach(team => {
+      team.playerIds = team.playerIds.filter(id => id !== playerId);
+    });
+  }
+
+  /**
+   * Teams with their players, for clients
+   */
+  getTeams(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament || !tournament.teams) return null;
+
+    return Array.from(tournament.teams.values()).map(team => ({
+      teamId: team.id,
+      name: team.name,
+      players: team.playerIds.map(playerId => {
+        const player = tournament.players.get(playerId);
+        return { playerId, playerName: player.name, isBot: Boolean(player.isBot) };
+      })
+    }));
+  }
+
+  /**
+   * Rating used for seeding: the player's own, or one matching a bot's tier
+   */
+  getRating(player) {
+    if (typeof player.rating === 'number') return player.rating;
+    if (player.isBot) return BOT_RATINGS[player.botSkillLevel] || DEFAULT_RATING;
+    return DEFAULT_RATING;
+  }
+
+  /**
+   * Toggle a player's ready state in the lobby
+   */
+  setPlayerReady(playerId, isReady) {
+    const playerData = this.players.get(playerId);
+    if (!playerData) {
+      throw new Error('Player not in a tournament');
+    }
+
+    const tournament = this.tournaments.get(playerData.tournamentId);
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    if (tournament.status !== 'waiting') {
+      throw new Error('Tournament already started');
+    }
+
+    const player = tournament.players.get(playerId);
+    player.isReady = Boolean(isReady);
+    playerData.isReady = player.isReady;
+    this.recordEvent(tournament, LOG_EVENTS.PLAYER_READY, { playerId, isReady: player.isReady });
+
+    console.log(`[Tournament] Player ${playerId} is ${player.isReady ? 'ready' : 'not ready'} in tournament: ${tournament.id}`);
+    return this.getReadyState(tournament.id);
+  }
+
+  /**
+   * Count ready humans and check them against the ready threshold
+   */
+  getReadyState(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return null;
+
+    const humans = Array.from(tournament.players.values()).filter(player => !player.isBot);
+    const readyCount = humans.filter(player => player.isReady).length;
+    const requiredCount = Math.ceil(humans.length * Math.min(tournament.settings.readyThreshold, 1));
+
+    return {
+      tournamentId,
+      readyCount,
+      playerCount: humans.length,
+      requiredCount,
+      thresholdMet: humans.length > 0 && readyCount >= requiredCount
+    };
+  }
+
+  /**
+   * Start the auto-start countdown; onStart runs with the started tournament
+   */
+  scheduleAutoStart(tournamentId, onStart = null) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'waiting') return null;
+
+    if (this.autoStartTimers.has(tournamentId)) {
+      return tournament.autoStartAt;
+    }
+
+    const delay = tournament.settings.autoStartDelay;
+    tournament.autoStartAt = new Date(Date.now() + delay).toISOString();
+
+    this.autoStartTimers.set(tournamentId, setTimeout(() => {
+      this.autoStartTimers.delete(tournamentId);
+      tournament.autoStartAt = null;
+
+      try {
+        const started = this.startTournament(tournamentId);
+        if (onStart) {
+          onStart(started);
+        }
+      } catch (error) {
+        console.error(`[Tournament] Auto-start failed for tournament ${tournamentId}:`, error.message);
+      }
+    }, delay));
+
+    console.log(`[Tournament] Auto-start in ${delay}ms for tournament: ${tournamentId}`);
+    return tournament.autoStartAt;
+  }
+
+  /**
+   * Cancel a pending auto-start countdown
+   */
+  cancelAutoStart(tournamentId) {
+    const timer = this.autoStartTimers.get(tournamentId);
+    if (!timer) return false;
+
+    clearTimeout(timer);
+    this.autoStartTimers.delete(tournamentId);
+
+    const tournament = this.tournaments.get(tournamentId);
+    if (tournament) {
+      tournament.autoStartAt = null;
+    }
+
+    console.log(`[Tournament] Auto-start cancelled for tournament: ${tournamentId}`);
+    return true;
+  }
+
   /**
    * Start next round
    */
@@ -123,27 +817,57 @@ class TournamentService {
     if (!tournament) return null;
 
     tournament.currentRound++;
+    tournament.nextRoundAt = null;
     
-    if (tournament.currentRound > tournament.maxRounds) {
+    const suddenDeath = tournament.suddenDeath;
+    tournament.suddenDeath = null;
+    if (tournament.currentRound > tournament.maxRounds && !suddenDeath) {
       return this.completeTournament(tournamentId);
     }
 
-    // Select mini-game for this round (rotate through available games)
-    const gameIndex = (tournament.currentRound - 1) % tournament.settings.gameRotation.length;
-    const selectedGame = tournament.settings.gameRotation[gameIndex];
+    // Bracket rounds play every match whose players are known and Swiss rounds group
+    // players with similar totals; other formats play everyone still in.
+    // Only the tied leaders play a sudden-death round.
+    let matches = null;
+    if (suddenDeath) {
+      matches = [{ players: suddenDeath }];
+    } else if (tournament.bracket) {
+      matches = BracketService.startMatches(tournament.bracket, tournament.currentRound);
+      if (matches.length === 0) {
+        return this.completeTournament(tournamentId);
+      }
+    } else if (tournament.swiss) {
+      const seedOrder = this.getContenders(tournament).sort((a, b) => this.getRating(b) - this.getRating(a));
+      matches = SwissService.pairRound(tournament.swiss, seedOrder.map(player => player.id), tournament.currentRound);
+    }
+    const participants = matches
+      ? matches.flatMap(match => match.players).map(playerId => tournament.players.get(playerId)).filter(Boolean)
+      : this.getContenders(tournament);
+
+    // Select mini-game for this round: the intermission vote's winner, or the configured strategy
+    const gameVote = this.closeGameVote(tournament);
+    const selectedGame = gameVote ? gameVote.game : GameSelectionService.selectGame(tournament);
 
+    const startedAt = Date.now();
     const round = {
       number: tournament.currentRound,
       game: selectedGame,
       status: 'active',
-      startedAt: new Date().toISOString(),
+      startedAt: new Date(startedAt).toISOString(),
+      endsAt: new Date(startedAt + tournament.settings.roundDuration).toISOString(),
       playerStates: new Map(),
-      scores: new Map()
+      scores: new Map(),
+      points: new Map(), // tournament points, per settings.scoringMode
+      submissions: new Map(), // client submissionId -> accepted submission, to spot retries
+      audit: [], // every score submission, duplicate, rejection and correction
+      suddenDeath: Boolean(suddenDeath) // decides a tie only, adds nothing to the totals
     };
 
-    // Initialize player states for this round
-    tournament.players.forEach((player, playerId) => {
+    // Initialize player states for this round; eliminated players only spectate
+    participants.forEach(player => {
+      const playerId = player.id;
       player.gameState = 'playing';
+      player.lastActivityAt = Date.now();
       round.playerStates.set(playerId, {
         position: { x: 0, y: 0 },
         score: 0,
@@ -152,8 +876,46 @@ class TournamentService {
     });
 
     tournament.rounds.push(round);
+    this.recordEvent(tournament, LOG_EVENTS.ROUND_STARTED, {
+      round: round.number,
+      game: round.game,
+      players: participants.map(player => player.id),
+      suddenDeath: round.suddenDeath
+    });
+    this.startRoundTimer(tournamentId, round);
+    this.persistence.saveTournament(tournament);
+    this.persistence.saveRound(tournament, round);
+
+    // Percentile scoring reads the game's history when the round ends; catch it up now
+    if (tournament.settings.scoringMode === 'percentile' && !round.suddenDeath) {
+      this.normalization.refresh(selectedGame).catch(() => null);
+    }
     
     console.log(`[Tournament] Started round ${tournament.currentRound}/${tournament.maxRounds} (${selectedGame}) for tournament: ${tournamentId}`);
+    this.emit(TOURNAMENT_EVENTS.ROUND_STARTED, {
+      tournamentId,
+      roomId: tournament.roomId,
+      round: round.number,
+      maxRounds: tournament.maxRounds,
+      game: round.game,
+      startedAt: round.startedAt,
+      endsAt: round.endsAt,
+      suddenDeath: round.suddenDeath ? suddenDeath : null,
+      gameVote
+    });
+    if (round.suddenDeath) {
+      return round;
+    }
+    if (tournament.bracket) {
+      this.emitBracketUpdate(tournament);
+    } else if (tournament.swiss) {
+      this.emit(TOURNAMENT_EVENTS.SWISS_PAIRINGS, {
+        tournamentId,
+        roomId: tournament.roomId,
+        round: round.number,
+        matches: this.getSwissMatches(tournamentId, round.number)
+      });
+    }
     return round;
   }
 
@@ -165,11 +927,14 @@ class TournamentService {
     if (!playerData) return false;
 
     const tournament = this.tournaments.get(playerData.tournamentId);
-    if (!tournament) return false;
+    if (!tournament || tournament.status === 'paused') return false;
 
     const player = tournament.players.get(playerId);
+    if (player && player.gameState === 'eliminated') return false;
+
     if (player) {
       player.position = { ...position, timestamp: Date.now() };
+      player.lastActivityAt = player.position.timestamp;
       
       // Update current round state if active
       const currentRound = tournament.rounds[tournament.currentRound - 1];
@@ -185,42 +950,174 @@ class TournamentService {
   }
 
   /**
-   * Submit player score for current round
+   * Submit player score for current round. Returns false when there is nothing to
+   * score, otherwise the submission with its status: accepted, corrected, or
+   * duplicate for a retry carrying a known submissionId.
    */
-  submitRoundScore(playerId, score) {
+  submitRoundScore(playerId, score, { submissionId = null } = {}) {
     const playerData = this.players.get(playerId);
     if (!playerData) return false;
 
     const tournament = this.tournaments.get(playerData.tournamentId);
     if (!tournament) return false;
 
+    // A retry of a submission that already went through gets the same answer again,
+    // even when it arrives after the round has closed
+    const previous = submissionId ? this.findSubmission(tournament, playerId, submissionId) : null;
+    if (previous) {
+      this.auditScore(previous.round, 'duplicate', playerId, submissionId, previous.submission.score);
+      this.persistence.saveRound(tournament, previous.round, []);
+      this.recordEvent(tournament, LOG_EVENTS.SCORE_SUBMITTED, { playerId, score, submissionId, status: 'duplicate' });
+      return { ...previous.submission, status: 'duplicate' };
+    }
+
+    if (tournament.status === 'paused') {
+      throw Object.assign(new Error('Tournament is paused'), { code: 'TOURNAMENT_PAUSED' });
+    }
+    if (tournament.status !== 'active') return false;
+
     const currentRound = tournament.rounds[tournament.currentRound - 1];
     if (!currentRound || currentRound.status !== 'active') return false;
+    if (!currentRound.playerStates.has(playerId)) return false; // spectating
+
+    let submission;
+    if (currentRound.scores.has(playerId)) {
+      const previousScore = currentRound.scores.get(playerId);
+      if (tournament.settings.scoreCorrections !== 'allow') {
+        this.auditScore(currentRound, 'rejected', playerId, submissionId, score, previousScore);
+        this.persistence.saveRound(tournament, currentRound, []);
+        this.recordEvent(tournament, LOG_EVENTS.SCORE_SUBMITTED, { playerId, score, submissionId, status: 'rejected' });
+        throw Object.assign(new Error('Score already submitted for this round'), { code: 'SCORE_ALREADY_SUBMITTED' });
+      }
+      this.correctRoundScore(tournament, currentRound, playerId, score);
+      submission = { playerId, submissionId, round: currentRound.number, score, previousScore, status: 'corrected' };
+      console.log(`[Tournament] Player ${playerId} corrected score: ${previousScore} -> ${score} for round ${tournament.currentRound}`);
+    } else {
+      this.recordRoundScore(tournament, currentRound, playerId, score);
+      submission = { playerId, submissionId, round: currentRound.number, score, previousScore: null, status: 'accepted' };
+      console.log(`[Tournament] Player ${playerId} submitted score: ${score} for round ${tournament.currentRound}`);
+    }
 
-    // Update round score
-    currentRound.scores.set(playerId, score);
+    if (submissionId) {
+      currentRound.submissions.set(submissionId, submission);
+    }
+    this.auditScore(currentRound, submission.status, playerId, submissionId, score, submission.previousScore);
+    this.persistence.saveRound(tournament, currentRound, [playerId]);
+    this.persistence.savePlayers(tournament, [tournament.players.get(playerId)]);
+    this.recordEvent(tournament, LOG_EVENTS.SCORE_SUBMITTED, { playerId, score, submissionId, status: submission.status });
+    
+    // Check if all players finished
+    this.checkRoundCompletion(playerData.tournamentId);
+    
+    return submission;
+  }
+
+  /**
+   * Earlier submission of this player with the same client submission id, newest round first
+   */
+  findSubmission(tournament, playerId, submissionId) {
+    for (let i = tournament.rounds.length - 1; i >= 0; i--) {
+      const submission = tournament.rounds[i].submissions.get(submissionId);
+      if (submission && submission.playerId === playerId) {
+        return { round: tournament.rounds[i], submission };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replace a score already submitted in a round that is still open
+   */
+  correctRoundScore(tournament, round, playerId, score) {
+    const difference = score - round.scores.get(playerId);
+    round.scores.set(playerId, score);
+
+    const playerState = round.playerStates.get(playerId);
+    if (playerState) {
+      playerState.score = score;
+    }
+
+    const player = tournament.players.get(playerId);
+    if (!player || round.suddenDeath) return;
+
+    player.roundScores[player.roundScores.length - 1] = score;
+    player.totalScore += difference;
+    player.lastSubmittedAt = this.clock.now();
+
+    // Only raw scoring has awarded points before the round closes
+    if (round.points.has(playerId)) {
+      player.roundPoints[player.roundPoints.length - 1] = score;
+      player.totalPoints += score - round.points.get(playerId);
+      round.points.set(playerId, score);
+    }
+  }
+
+  /**
+   * Add an entry to a round's score audit trail
+   */
+  auditScore(round, action, playerId, submissionId, score, previousScore = null) {
+    round.audit.push({ action, playerId, submissionId, score, previousScore, at: new Date(this.clock.now()).toISOString() });
+  }
+
+  /**
+   * Score audit trail of a tournament, round by round
+   */
+  getScoreAudit(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return null;
+
+    return tournament.rounds.map(round => ({ round: round.number, game: round.game, entries: [...round.audit] }));
+  }
+
+  /**
+   * Store a player's score for a round and add it to their total
+   */
+  recordRoundScore(tournament, round, playerId, score, status = 'finished') {
+    // Update round score
+    round.scores.set(playerId, score);
     
     // Update player state
-    const playerState = currentRound.playerStates.get(playerId);
+    const playerState = round.playerStates.get(playerId);
     if (playerState) {
       playerState.score = score;
-      playerState.status = 'finished';
+      playerState.status = status;
     }
 
     // Update player total
     const player = tournament.players.get(playerId);
     if (player) {
       player.gameState = 'finished';
+      player.lastActivityAt = Date.now();
+    }
+    if (round.suddenDeath) return;
+
+    if (player) {
       player.roundScores.push(score);
       player.totalScore += score;
+      if (status === 'finished') {
+        player.lastSubmittedAt = this.clock.now();
+      }
     }
 
-    console.log(`[Tournament] Player ${playerId} submitted score: ${score} for round ${tournament.currentRound}`);
-    
-    // Check if all players finished
-    this.checkRoundCompletion(playerData.tournamentId);
-    
-    return true;
+    // Raw scores count as points straight away; other modes wait for the whole round
+    if (ScoringService.isImmediate(tournament.settings.scoringMode)) {
+      this.awardRoundPoints(tournament, round, new Map([[playerId, score]]));
+    }
+  }
+
+  /**
+   * Add round points to the round and to the players' point totals
+   */
+  awardRoundPoints(tournament, round, points) {
+    points.forEach((playerPoints, playerId) => {
+      round.points.set(playerId, playerPoints);
+
+      const player = tournament.players.get(playerId);
+      if (player) {
+        player.roundPoints.push(playerPoints);
+        player.totalPoints += playerPoints;
+      }
+    });
   }
 
   /**
@@ -228,31 +1125,677 @@ class TournamentService {
    */
   checkRoundCompletion(tournamentId) {
     const tournament = this.tournaments.get(tournamentId);
-    if (!tournament) return;
+    if (!tournament || tournament.status !== 'active') return;
 
     const currentRound = tournament.rounds[tournament.currentRound - 1];
     if (!currentRound || currentRound.status !== 'active') return;
 
-    // Check if all players have finished
-    const allFinished = Array.from(tournament.players.keys()).every(playerId => {
-      const playerState = currentRound.playerStates.get(playerId);
-      return playerState && playerState.status === 'finished';
-    });
+    // Bots finish once every human in the round has
+    this.finishBots(tournament, currentRound);
+
+    // Check if everyone playing this round has finished (or been marked DNF)
+    const allFinished = Array.from(currentRound.playerStates.entries())
+      .filter(([playerId]) => tournament.players.has(playerId))
+      .every(([, playerState]) => playerState.status !== 'playing');
 
     if (allFinished) {
-      currentRound.status = 'completed';
-      currentRound.completedAt = new Date().toISOString();
-      
-      // Update leaderboard
-      this.updateLeaderboard(tournamentId);
-      
-      console.log(`[Tournament] Round ${tournament.currentRound} completed for tournament: ${tournamentId}`);
-      
-      // Auto-start next round after delay
-      setTimeout(() => {
+      this.completeRound(tournamentId);
+    }
+  }
+
+  /**
+   * Close the current round, update the leaderboard and queue the next round
+   */
+  completeRound(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return null;
+
+    const currentRound = tournament.rounds[tournament.currentRound - 1];
+    if (!currentRound || currentRound.status !== 'active') return null;
+
+    this.clearRoundTimer(tournamentId);
+    currentRound.status = 'completed';
+    currentRound.completedAt = new Date().toISOString();
+
+    const scoredAtEnd = !ScoringService.isImmediate(tournament.settings.scoringMode) && !currentRound.suddenDeath;
+    const distribution = scoredAtEnd ? this.normalization.getCachedSummary(currentRound.game) : null;
+    if (scoredAtEnd) {
+      this.awardRoundPoints(tournament, currentRound, ScoringService.scoreRound(currentRound.scores, tournament.settings, distribution));
+    }
+
+    let eliminated = [];
+    if (currentRound.suddenDeath) {
+      // Sudden death only separates the tied leaders
+    } else if (tournament.settings.format === 'elimination') {
+      eliminated = this.eliminatePlayers(tournament, currentRound);
+    } else if (tournament.bracket) {
+      eliminated = this.advanceBracket(tournament, currentRound);
+    } else if (tournament.swiss) {
+      SwissService.recordRound(tournament.swiss, currentRound.number, currentRound.scores);
+    }
+    
+    // Update leaderboard
+    const leaderboard = this.updateLeaderboard(tournamentId);
+    this.persistence.saveRound(tournament, currentRound);
+    this.persistence.savePlayers(tournament);
+    this.recordEvent(tournament, LOG_EVENTS.ROUND_COMPLETED, {
+      round: currentRound.number,
+      game: currentRound.game,
+      scores: Object.fromEntries(currentRound.scores),
+      points: Object.fromEntries(currentRound.points),
+      leaderboard,
+      ...(scoredAtEnd ? { distribution } : {}) // the game's score history the points were worked out against
+    });
+    
+    console.log(`[Tournament] Round ${tournament.currentRound} completed for tournament: ${tournamentId}`);
+    this.emit(TOURNAMENT_EVENTS.ROUND_COMPLETED, {
+      tournamentId,
+      roomId: tournament.roomId,
+      round: currentRound.number,
+      game: currentRound.game,
+      scores: Object.fromEntries(currentRound.scores),
+      points: Object.fromEntries(currentRound.points),
+      leaderboard,
+      teamLeaderboard: tournament.teams ? tournament.teamLeaderboard : null
+    });
+
+    if (eliminated.length > 0) {
+      this.emit(TOURNAMENT_EVENTS.PLAYERS_ELIMINATED, {
+        tournamentId,
+        roomId: tournament.roomId,
+        round: currentRound.number,
+        eliminated: eliminated.map(player => ({
+          playerId: player.id,
+          playerName: player.name,
+          roundScore: currentRound.scores.get(player.id) || 0
+        })),
+        remaining: this.getContenders(tournament).length
+      });
+    }
+
+    if (currentRound.number >= tournament.maxRounds) {
+      tournament.suddenDeath = this.getSuddenDeathPlayers(tournament);
+      if (!tournament.suddenDeath) {
         this.startNextRound(tournamentId);
-      }, 3000); // 3 second delay between rounds
+        return currentRound;
+      }
+    }
+
+    // Last one standing wins an elimination tournament early
+    if (tournament.settings.format === 'elimination' && this.getContenders(tournament).length <= 1) {
+      this.completeTournament(tournamentId);
+      return currentRound;
+    }
+
+    if (tournament.bracket && tournament.bracket.status === 'completed') {
+      this.completeTournament(tournamentId);
+      return currentRound;
+    }
+
+    // Auto-start next round after the intermission, which is longer while players vote on the game
+    const gameVote = this.openGameVote(tournament, currentRound.number + 1);
+    const duration = gameVote ? tournament.settings.gameVoteDuration : tournament.settings.intermissionDuration;
+    this.scheduleNextRound(tournament, duration);
+    this.persistence.saveTournament(tournament);
+
+    this.emit(TOURNAMENT_EVENTS.INTERMISSION, {
+      tournamentId,
+      roomId: tournament.roomId,
+      nextRound: currentRound.number + 1,
+      suddenDeath: tournament.suddenDeath,
+      duration,
+      nextRoundAt: tournament.nextRoundAt,
+      gameVote: gameVote ? this.getGameVoteState(tournament) : null
+    });
+
+    return currentRound;
+  }
+
+  /**
+   * Offer a few games from the rotation for the next round. Bots (and stand-ins)
+   * cast their votes straight away; humans have until the intermission ends.
+   */
+  openGameVote(tournament, nextRound) {
+    tournament.gameVote = null;
+    if (!tournament.settings.gameVoting) return null;
+
+    const candidates = GameSelectionService.pickCandidates(tournament, tournament.settings.gameVoteCandidates);
+    if (candidates.length < 2) return null;
+
+    const votes = new Map();
+    this.getContenders(tournament)
+      .filter(player => player.isBot || player.standIn)
+      .forEach(player => {
+        votes.set(player.id, GameSelectionService.pickUniform(tournament.gameSelection, candidates));
+      });
+
+    tournament.gameVote = { round: nextRound, candidates, votes };
+    return tournament.gameVote;
+  }
+
+  /**
+   * Vote for one of the offered games; a player may change their vote until the round starts
+   */
+  voteGame(playerId, game) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      throw new Error('Player not in tournament');
+    }
+
+    const tournament = this.tournaments.get(player.tournamentId);
+    if (tournament && tournament.status === 'paused') {
+      throw Object.assign(new Error('Tournament is paused'), { code: 'TOURNAMENT_PAUSED' });
+    }
+    const gameVote = tournament && tournament.gameVote;
+    if (!gameVote) {
+      throw new Error('No game vote is open');
+    }
+    if (!gameVote.candidates.includes(game)) {
+      throw new Error(`${game} is not one of the offered games`);
+    }
+    if (tournament.players.get(playerId).gameState === 'eliminated') {
+      throw new Error('Eliminated players cannot vote');
+    }
+
+    gameVote.votes.set(playerId, game);
+    this.persistence.saveTournament(tournament);
+    this.recordEvent(tournament, LOG_EVENTS.GAME_VOTED, { playerId, game });
+
+    const state = this.getGameVoteState(tournament);
+    this.emit(TOURNAMENT_EVENTS.GAME_VOTE_UPDATE, {
+      tournamentId: tournament.id,
+      roomId: tournament.roomId,
+      playerId,
+      game,
+      ...state
+    });
+    return state;
+  }
+
+  /**
+   * Candidates and live tallies of the open game vote
+   */
+  getGameVoteState(tournament) {
+    const { gameVote } = tournament;
+    if (!gameVote) return null;
+
+    return {
+      round: gameVote.round,
+      candidates: gameVote.candidates,
+      tallies: GameSelectionService.tallyVotes(gameVote.candidates, gameVote.votes),
+      voteCount: gameVote.votes.size
+    };
+  }
+
+  /**
+   * Close the vote for the round about to start and pick the winner; ties are drawn at random
+   */
+  closeGameVote(tournament) {
+    const { gameVote } = tournament;
+    if (!gameVote || gameVote.round !== tournament.currentRound) {
+      tournament.gameVote = null;
+      return null;
+    }
+
+    const state = this.getGameVoteState(tournament);
+    tournament.gameVote = null;
+    return {
+      ...state,
+      game: GameSelectionService.resolveVote(tournament.gameSelection, gameVote.candidates, gameVote.votes)
+    };
+  }
+
+  /**
+   * Start the next round once the intermission is over
+   */
+  scheduleNextRound(tournament, delay) {
+    this.clearRoundTimer(tournament.id);
+    tournament.nextRoundAt = new Date(Date.now() + delay).toISOString();
+    this.roundTimers.set(tournament.id, setTimeout(() => {
+      this.roundTimers.delete(tournament.id);
+      this.recordEvent(tournament, LOG_EVENTS.INTERMISSION_ENDED, { nextRound: tournament.currentRound + 1 });
+      this.startNextRound(tournament.id);
+    }, delay));
+  }
+
+  /**
+   * Freeze an active tournament: the round clock or intermission stops where it is,
+   * and scores, positions and bot decisions are ignored until it resumes
+   */
+  pauseTournament(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    if (tournament.status !== 'active') {
+      throw new Error('Only an active tournament can be paused');
+    }
+
+    const now = Date.now();
+    const currentRound = tournament.rounds[tournament.currentRound - 1];
+    const inRound = Boolean(currentRound && currentRound.status === 'active');
+    const deadline = inRound ? currentRound.endsAt : tournament.nextRoundAt;
+
+    this.clearRoundTimer(tournamentId);
+    tournament.status = 'paused';
+    tournament.pause = {
+      pausedAt: new Date(now).toISOString(),
+      phase: inRound ? 'round' : 'intermission',
+      remaining: deadline ? Math.max(0, new Date(deadline).getTime() - now) : tournament.settings.intermissionDuration
+    };
+    this.persistence.saveTournament(tournament);
+    this.recordEvent(tournament, LOG_EVENTS.TOURNAMENT_PAUSED, { ...tournament.pause });
+
+    console.log(`[Tournament] Paused tournament: ${tournamentId}`);
+    this.emit(TOURNAMENT_EVENTS.TOURNAMENT_PAUSED, {
+      tournamentId,
+      roomId: tournament.roomId,
+      round: tournament.currentRound,
+      ...tournament.pause
+    });
+    return tournament;
+  }
+
+  /**
+   * Pick a paused tournament up with the time that was left on the clock
+   */
+  resumeTournament(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    if (tournament.status !== 'paused') {
+      throw new Error('Only a paused tournament can be resumed');
+    }
+
+    const { phase, remaining } = tournament.pause;
+    const now = Date.now();
+    const currentRound = tournament.rounds[tournament.currentRound - 1];
+    tournament.status = 'active';
+    tournament.pause = null;
+
+    if (phase === 'round') {
+      currentRound.endsAt = new Date(now + remaining).toISOString();
+      // Nobody went idle while the game was frozen
+      tournament.players.forEach(player => {
+        if (currentRound.playerStates.has(player.id)) player.lastActivityAt = now;
+      });
+      this.startRoundTimer(tournamentId, currentRound);
+    } else {
+      this.scheduleNextRound(tournament, remaining);
+    }
+    this.persistence.saveTournament(tournament);
+    this.recordEvent(tournament, LOG_EVENTS.TOURNAMENT_RESUMED, { phase });
+
+    console.log(`[Tournament] Resumed tournament: ${tournamentId}`);
+    this.emit(TOURNAMENT_EVENTS.TOURNAMENT_RESUMED, {
+      tournamentId,
+      roomId: tournament.roomId,
+      round: tournament.currentRound,
+      phase,
+      endsAt: phase === 'round' ? currentRound.endsAt : null,
+      nextRoundAt: phase === 'intermission' ? tournament.nextRoundAt : null
+    });
+
+    // Players may have left during the pause, leaving nobody to wait for
+    if (phase === 'round') {
+      this.checkRoundCompletion(tournamentId);
+    }
+    return tournament;
+  }
+
+  /**
+   * Stop a tournament for good; the standings so far are kept but nobody wins
+   */
+  abortTournament(tournamentId, reason = 'host') {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    if (tournament.status === 'completed' || tournament.status === 'aborted') {
+      throw new Error('Tournament has already ended');
+    }
+
+    this.cancelAutoStart(tournamentId);
+    this.clearRoundTimer(tournamentId);
+
+    const currentRound = tournament.rounds[tournament.currentRound - 1];
+    if (currentRound && currentRound.status === 'active') {
+      currentRound.status = 'aborted';
+    }
+    tournament.status = 'aborted';
+    tournament.abortedAt = new Date().toISOString();
+    tournament.pause = null;
+    tournament.nextRoundAt = null;
+    tournament.gameVote = null;
+
+    const standings = this.updateLeaderboard(tournamentId);
+    this.persistence.saveTournament(tournament);
+    if (currentRound) {
+      this.persistence.saveRound(tournament, currentRound);
     }
+    this.recordEvent(tournament, LOG_EVENTS.TOURNAMENT_ABORTED, { reason, standings });
+
+    console.log(`[Tournament] Aborted tournament: ${tournamentId} (${reason})`);
+    this.emit(TOURNAMENT_EVENTS.TOURNAMENT_ABORTED, {
+      tournamentId,
+      roomId: tournament.roomId,
+      round: tournament.currentRound,
+      reason,
+      abortedAt: tournament.abortedAt,
+      standings
+    });
+    return tournament;
+  }
+
+  /**
+   * Knock out the bottom of a round: settings.eliminationPercent of the
+   * remaining players when set, otherwise settings.eliminationCount.
+   * At least one player always survives.
+   */
+  eliminatePlayers(tournament, round) {
+    const { eliminationCount, eliminationPercent } = tournament.settings;
+    const contenders = this.getContenders(tournament);
+
+    // Lowest round score first; the lower running total goes first on a tie
+    const ranked = contenders.sort((a, b) =>
+      (round.scores.get(a.id) || 0) - (round.scores.get(b.id) || 0) || a.totalScore - b.totalScore
+    );
+    const requested = eliminationPercent > 0
+      ? Math.ceil(contenders.length * eliminationPercent / 100)
+      : eliminationCount;
+    const eliminated = ranked.slice(0, Math.max(0, Math.min(requested, contenders.length - 1)));
+
+    eliminated.forEach(player => {
+      player.gameState = 'eliminated';
+      player.eliminatedInRound = round.number;
+      console.log(`[Tournament] Player ${player.id} eliminated in round ${round.number} of tournament: ${tournament.id}`);
+    });
+    round.eliminated = eliminated.map(player => player.id);
+
+    return eliminated;
+  }
+
+  /**
+   * Settle the round's bracket matches; players who lost their last life are eliminated
+   */
+  advanceBracket(tournament, round) {
+    const knockedOut = BracketService.recordRound(tournament.bracket, round.scores);
+
+    const eliminated = knockedOut.map(playerId => tournament.players.get(playerId)).filter(Boolean);
+    eliminated.forEach(player => {
+      player.gameState = 'eliminated';
+      player.eliminatedInRound = round.number;
+    });
+    round.eliminated = eliminated.map(player => player.id);
+
+    this.emitBracketUpdate(tournament);
+    return eliminated;
+  }
+
+  /**
+   * Broadcast the current bracket
+   */
+  emitBracketUpdate(tournament) {
+    this.emit(TOURNAMENT_EVENTS.BRACKET_UPDATED, {
+      tournamentId: tournament.id,
+      roomId: tournament.roomId,
+      bracket: this.getBracketView(tournament.id)
+    });
+  }
+
+  /**
+   * Bracket with player names and seeds filled in, for drawing on clients
+   */
+  getBracketView(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament || !tournament.bracket) return null;
+
+    const { bracket } = tournament;
+    const toEntry = (playerId) => {
+      if (!playerId) return null;
+      const player = tournament.players.get(playerId);
+      return {
+        playerId,
+        playerName: player ? player.name : null,
+        seed: bracket.seeds[playerId],
+        isBot: Boolean(player && player.isBot)
+      };
+    };
+
+    return {
+      type: bracket.type,
+      seeding: bracket.seeding,
+      size: bracket.size,
+      status: bracket.status,
+      champion: toEntry(bracket.championId),
+      matches: bracket.matches.map(match => ({
+        id: match.id,
+        section: match.section,
+        stage: match.stage,
+        status: match.status,
+        round: match.round,
+        players: match.players.map(toEntry),
+        byes: [...match.byes],
+        scores: { ...match.scores },
+        winnerId: match.winnerId,
+        winnerTo: match.winnerTo,
+        loserTo: match.loserTo
+      }))
+    };
+  }
+
+  /**
+   * Swiss sub-matches of a round with player names, for clients
+   */
+  getSwissMatches(tournamentId, roundNumber = null) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament || !tournament.swiss) return null;
+
+    const round = roundNumber || tournament.currentRound;
+    return tournament.swiss.matches
+      .filter(match => match.round === round)
+      .map(match => ({
+        matchId: match.id,
+        round: match.round,
+        bye: match.bye,
+        status: match.status,
+        players: match.players.map(playerId => {
+          const player = tournament.players.get(playerId);
+          return { playerId, playerName: player ? player.name : null };
+        }),
+        scores: { ...match.scores },
+        points: { ...match.points }
+      }));
+  }
+
+  /**
+   * Players who have not been eliminated
+   */
+  getContenders(tournament) {
+    return Array.from(tournament.players.values()).filter(player => player.gameState !== 'eliminated');
+  }
+
+  /**
+   * Start the server-side clock that ends a round after settings.roundDuration
+   */
+  startRoundTimer(tournamentId, round) {
+    this.clearRoundTimer(tournamentId);
+
+    const remaining = Math.max(0, new Date(round.endsAt).getTime() - Date.now());
+    this.roundTimers.set(tournamentId, setTimeout(() => {
+      this.roundTimers.delete(tournamentId);
+      this.expireRound(tournamentId, round.number);
+    }, remaining));
+  }
+
+  /**
+   * Stop the round clock
+   */
+  clearRoundTimer(tournamentId) {
+    const timer = this.roundTimers.get(tournamentId);
+    if (!timer) return false;
+
+    clearTimeout(timer);
+    this.roundTimers.delete(tournamentId);
+    return true;
+  }
+
+  /**
+   * End a round whose time ran out; anyone still playing gets a DNF
+   */
+  expireRound(tournamentId, roundNumber) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament || tournament.currentRound !== roundNumber) return null;
+
+    const currentRound = tournament.rounds[roundNumber - 1];
+    if (!currentRound || currentRound.status !== 'active') return null;
+
+    this.recordEvent(tournament, LOG_EVENTS.ROUND_TIMED_OUT, { round: roundNumber });
+    const finishedScores = Array.from(currentRound.scores.values());
+    const dnfScore = tournament.settings.dnfScore;
+
+    tournament.players.forEach((player, playerId) => {
+      const playerState = currentRound.playerStates.get(playerId);
+      if (!playerState || playerState.status !== 'playing') return;
+
+      if (player.isBot || player.standIn) {
+        this.recordBotScore(tournament, currentRound, player, finishedScores);
+      } else {
+        this.recordRoundScore(tournament, currentRound, playerId, dnfScore, 'dnf');
+        player.dnfCount = (player.dnfCount || 0) + 1;
+        console.log(`[Tournament] Player ${playerId} did not finish round ${roundNumber} in tournament: ${tournamentId}`);
+      }
+    });
+
+    console.log(`[Tournament] Round ${roundNumber} timed out for tournament: ${tournamentId}`);
+    return this.completeRound(tournamentId);
+  }
+
+  /**
+   * Record simulated scores for bot and stand-in slots when they are all the round waits on
+   */
+  finishBots(tournament, round) {
+    const unfinished = Array.from(tournament.players.values()).filter(player => {
+      const playerState = round.playerStates.get(player.id);
+      return playerState && playerState.status === 'playing';
+    });
+
+    if (unfinished.length === 0 || !unfinished.every(player => player.isBot || player.standIn)) return;
+
+    const finishedScores = Array.from(round.scores.values());
+    unfinished.forEach(player => this.recordBotScore(tournament, round, player, finishedScores));
+  }
+
+  /**
+   * Simulate and record the round score of a bot or stand-in slot
+   */
+  recordBotScore(tournament, round, player, finishedScores) {
+    const botId = player.standIn ? player.standIn.botId : player.id;
+    const score = this.bots.simulateRoundScore(botId, finishedScores);
+    this.recordRoundScore(tournament, round, player.id, score);
+    this.recordEvent(tournament, LOG_EVENTS.BOT_SCORED, { round: round.number, playerId: player.id, botId, score });
+    console.log(`[Tournament] Bot ${botId} scored ${score} for player ${player.id}`);
+    return score;
+  }
+
+  /**
+   * Hand a dropped or idle human's slot to a bot, keeping their scores
+   */
+  replaceWithBot(playerId, reason = 'disconnected') {
+    const playerData = this.players.get(playerId);
+    if (!playerData) return null;
+
+    const tournament = this.tournaments.get(playerData.tournamentId);
+    const player = tournament && tournament.players.get(playerId);
+    if (!player || player.isBot || player.standIn || tournament.status !== 'active') return null;
+
+    const skillLevel = this.estimateSkillTier(tournament, playerId);
+    const gameType = tournament.settings.gameRotation[0] || 'jetpack';
+    const bot = this.bots.createBot(gameType, skillLevel, `${player.name} (Bot)`);
+    this.bots.startBot(bot.id, {});
+
+    player.standIn = {
+      botId: bot.id,
+      skillLevel,
+      reason,
+      since: new Date().toISOString()
+    };
+    playerData.standIn = player.standIn;
+    this.persistence.savePlayers(tournament, [player]);
+    this.recordEvent(tournament, LOG_EVENTS.STAND_IN_ADDED, { playerId, botId: bot.id, skillLevel, reason });
+
+    console.log(`[Tournament] ${skillLevel} bot ${bot.id} took over ${reason} player ${playerId} in tournament: ${tournament.id}`);
+
+    // The round may now only be waiting on stand-ins
+    this.checkRoundCompletion(tournament.id);
+    return { player, bot };
+  }
+
+  /**
+   * Give a returning human their slot back from the stand-in bot
+   */
+  restoreFromBot(playerId) {
+    const playerData = this.players.get(playerId);
+    if (!playerData) return false;
+
+    const tournament = this.tournaments.get(playerData.tournamentId);
+    const player = tournament && tournament.players.get(playerId);
+    if (!player || !player.standIn) return false;
+
+    this.bots.removeBot(player.standIn.botId);
+    player.standIn = null;
+    player.lastActivityAt = Date.now();
+    playerData.standIn = null;
+    this.persistence.savePlayers(tournament, [player]);
+    this.recordEvent(tournament, LOG_EVENTS.STAND_IN_REMOVED, { playerId });
+
+    console.log(`[Tournament] Player ${playerId} took their slot back in tournament: ${tournament.id}`);
+    return true;
+  }
+
+  /**
+   * Pick a bot skill level matching the player's standing so far
+   */
+  estimateSkillTier(tournament, playerId) {
+    const player = tournament.players.get(playerId);
+    if (!player || player.roundScores.length === 0 || tournament.players.size < 2) return 'medium';
+
+    // 0 for the leader, 1 for last place
+    const ranked = Array.from(tournament.players.values()).sort((a, b) => b.totalScore - a.totalScore);
+    const position = ranked.findIndex(entry => entry.id === playerId) / (ranked.length - 1);
+
+    if (position < 1 / 3) return 'hard';
+    if (position >= 2 / 3) return 'easy';
+    return 'medium';
+  }
+
+  /**
+   * Find humans still playing the current round who have not sent updates for idleTimeout
+   */
+  findIdlePlayers(now = Date.now()) {
+    const idle = [];
+
+    for (const tournament of this.tournaments.values()) {
+      if (tournament.status !== 'active') continue;
+
+      const currentRound = tournament.rounds[tournament.currentRound - 1];
+      if (!currentRound || currentRound.status !== 'active') continue;
+
+      tournament.players.forEach(player => {
+        const playerState = currentRound.playerStates.get(player.id);
+        if (player.isBot || player.standIn || !playerState || playerState.status !== 'playing') return;
+
+        if (now - player.lastActivityAt >= tournament.settings.idleTimeout) {
+          idle.push({ tournamentId: tournament.id, playerId: player.id });
+        }
+      });
+    }
+
+    return idle;
   }
 
   /**
@@ -262,21 +1805,62 @@ class TournamentService {
     const tournament = this.tournaments.get(tournamentId);
     if (!tournament) return null;
 
-    const leaderboard = Array.from(tournament.players.values())
-      .sort((a, b) => b.totalScore - a.totalScore)
+    // In elimination tournaments, outlasting the others counts before points;
+    // Swiss standings go by match points, then Buchholz. Tournament points
+    // (settings.scoringMode) come next, then the raw scores behind them, then
+    // the settings.tieBreakers chain and finally any sudden-death rounds
+    const { swiss } = tournament;
+    const regularRounds = tournament.rounds.filter(round => !round.suddenDeath);
+    const suddenDeathRounds = tournament.rounds.filter(round => round.suddenDeath && round.status === 'completed');
+    const survival = player => player.eliminatedInRound || Number.MAX_SAFE_INTEGER;
+    const swissPoints = player => (swiss ? swiss.points[player.id] || 0 : 0);
+    const buchholz = player => (swiss ? SwissService.buchholz(swiss, player.id) : 0);
+    const compare = (a, b) =>
+      survival(b) - survival(a) ||
+      swissPoints(b) - swissPoints(a) ||
+      buchholz(b) - buchholz(a) ||
+      b.totalPoints - a.totalPoints ||
+      b.totalScore - a.totalScore ||
+      RankingService.compareTieBreakers(tournament.settings.tieBreakers, a, b, regularRounds) ||
+      RankingService.compareSuddenDeath(a, b, suddenDeathRounds);
+
+    const ranked = Array.from(tournament.players.values()).sort(compare);
+    const ranks = RankingService.competitionRanks(ranked, compare);
+    const leaderboard = ranked
       .map((player, index) => ({
-        rank: index + 1,
+        rank: ranks[index],
         playerId: player.id,
         playerName: player.name,
+        points: player.totalPoints,
+        roundPoints: [...player.roundPoints],
         totalScore: player.totalScore,
         roundScores: [...player.roundScores],
-        lastRoundScore: player.roundScores[player.roundScores.length - 1] || 0
+        lastRoundScore: player.roundScores[player.roundScores.length - 1] || 0,
+        eliminatedInRound: player.eliminatedInRound,
+        ...(swiss ? { swissPoints: swissPoints(player), buchholz: buchholz(player) } : {}),
+        ...(tournament.series.number > 1 ? { seriesWins: tournament.series.wins[player.id] || 0 } : {})
       }));
 
     tournament.leaderboard = leaderboard;
+
+    if (tournament.teams) {
+      tournament.teamLeaderboard = TeamService.buildLeaderboard(tournament.teams, regularRounds, tournament.settings);
+    }
     return leaderboard;
   }
 
+  /**
+   * Leaders still sharing first place once the regular rounds are over, when
+   * settings.suddenDeath is on and another sudden-death round is allowed
+   */
+  getSuddenDeathPlayers(tournament) {
+    const played = tournament.rounds.filter(round => round.suddenDeath).length;
+    if (!tournament.settings.suddenDeath || tournament.bracket || played >= MAX_SUDDEN_DEATH_ROUNDS) return null;
+
+    const leaders = tournament.leaderboard.filter(entry => entry.rank === 1).map(entry => entry.playerId);
+    return leaders.length > 1 ? leaders : null;
+  }
+
   /**
    * Complete tournament
    */
@@ -284,16 +1868,138 @@ class TournamentService {
     const tournament = this.tournaments.get(tournamentId);
     if (!tournament) return null;
 
+    if (tournament.status === 'completed' || tournament.status === 'aborted') return tournament;
+
+    this.clearRoundTimer(tournamentId);
     tournament.status = 'completed';
     tournament.completedAt = new Date().toISOString();
     
-    // Final leaderboard update
-    this.updateLeaderboard(tournamentId);
+    // Everyone sharing first place gets a series win, then the final leaderboard update
+    this.updateLeaderboard(tournamentId)
+      .filter(entry => entry.rank === 1 && !tournament.players.get(entry.playerId).isBot)
+      .forEach(({ playerId }) => {
+        tournament.series.wins[playerId] = (tournament.series.wins[playerId] || 0) + 1;
+      });
+    const standings = this.updateLeaderboard(tournamentId);
+    this.persistence.saveTournament(tournament);
+    this.persistence.savePlayers(tournament);
+    this.recordEvent(tournament, LOG_EVENTS.TOURNAMENT_COMPLETED, {
+      standings,
+      teamStandings: tournament.teams ? tournament.teamLeaderboard : null
+    });
     
     console.log(`[Tournament] Completed tournament: ${tournamentId}`);
+    this.emit(TOURNAMENT_EVENTS.TOURNAMENT_COMPLETED, {
+      tournamentId,
+      roomId: tournament.roomId,
+      rounds: tournament.rounds.length,
+      completedAt: tournament.completedAt,
+      standings,
+      teamStandings: tournament.teams ? tournament.teamLeaderboard : null,
+      series: tournament.series
+    });
     return tournament;
   }
 
+  /**
+   * Vote for (or take back a vote for) a rematch of a finished tournament.
+   * Once enough humans agree, the rematch is created and returned as `rematch`.
+   */
+  requestRematch(playerId, wantsRematch = true) {
+    const playerData = this.players.get(playerId);
+    const tournament = playerData ? this.tournaments.get(playerData.tournamentId) : null;
+    if (!tournament) {
+      throw new Error('Player not in a tournament');
+    }
+
+    if (tournament.status !== 'completed') {
+      throw new Error('Rematch is only possible once the tournament has finished');
+    }
+
+    if (tournament.rematchTournamentId) {
+      throw new Error('A rematch has already started');
+    }
+
+    if (wantsRematch) {
+      tournament.rematchVotes.add(playerId);
+    } else {
+      tournament.rematchVotes.delete(playerId);
+    }
+    this.recordEvent(tournament, LOG_EVENTS.REMATCH_VOTED, { playerId, wantsRematch });
+
+    const rematchState = this.getRematchState(tournament.id);
+    const rematch = rematchState.thresholdMet ? this.createRematch(tournament.id) : null;
+    return { ...rematchState, rematch };
+  }
+
+  /**
+   * Count rematch votes and check them against the rematch threshold
+   */
+  getRematchState(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return null;
+
+    const humans = this.getRematchPlayers(tournament);
+    const voteCount = humans.filter(player => tournament.rematchVotes.has(player.id)).length;
+    const requiredCount = Math.ceil(humans.length * Math.min(tournament.settings.rematchThreshold, 1));
+
+    return {
+      tournamentId,
+      voteCount,
+      playerCount: humans.length,
+      requiredCount,
+      thresholdMet: humans.length > 0 && voteCount >= requiredCount
+    };
+  }
+
+  /**
+   * Humans of a finished tournament who are still connected and in no other tournament
+   */
+  getRematchPlayers(tournament) {
+    return Array.from(tournament.players.values()).filter(player =>
+      !player.isBot &&
+      player.connectionState === 'connected' &&
+      this.players.get(player.id)?.tournamentId === tournament.id
+    );
+  }
+
+  /**
+   * New tournament in the same room with the same settings and humans.
+   * Bots are left behind (autofill brings fresh ones at the start) and the
+   * series record carries over.
+   */
+  createRematch(tournamentId) {
+    const previous = this.tournaments.get(tournamentId);
+    const players = this.getRematchPlayers(previous);
+
+    // Same settings, but a fresh seed so the games don't repeat in the same order
+    const settings = { ...previous.settings };
+    delete settings.seed;
+    const rematch = this.createTournament(previous.roomId, settings);
+    rematch.series = {
+      id: previous.series.id,
+      number: previous.series.number + 1,
+      wins: { ...previous.series.wins },
+      previousTournamentId: previous.id
+    };
+    this.recordEvent(rematch, LOG_EVENTS.SERIES_CARRIED_OVER, { series: { ...rematch.series, wins: { ...rematch.series.wins } } });
+
+    players.forEach(player => {
+      this.addPlayer(rematch.id, player.id, { name: player.name, rating: player.rating, playerKey: player.playerKey });
+
+      // Hand-picked teams stay together
+      if (rematch.settings.teamAssignment === 'manual' && rematch.teams && rematch.teams.has(player.teamId)) {
+        this.setPlayerTeam(rematch, player.id, player.teamId);
+        this.recordEvent(rematch, LOG_EVENTS.TEAM_ASSIGNED, { playerId: player.id, teamId: player.teamId });
+      }
+    });
+
+    previous.rematchTournamentId = rematch.id;
+    this.persistence.saveTournament(previous);
+    console.log(`[Tournament] Rematch ${rematch.id} created from tournament: ${tournamentId}`);
+    return rematch;
+  }
+
   /**
    * Get tournament data
    */
@@ -313,6 +2019,23 @@ class TournamentService {
     return null;
   }
 
+  /**
+   * Get all tournaments for a room
+   */
+  getTournamentsByRoom(roomId) {
+    return Array.from(this.tournaments.values()).filter(tournament => tournament.roomId === roomId);
+  }
+
+  /**
+   * Count the human (non-bot) players in a tournament
+   */
+  getHumanCount(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return 0;
+
+    return Array.from(tournament.players.values()).filter(player => !player.isBot).length;
+  }
+
   /**
    * Get player data
    */
@@ -345,25 +2068,30 @@ class TournamentService {
   }
 
   /**
-   * Clean up completed tournaments (call periodically)
+   * Clean up completed tournaments (call periodically). Tournaments whose room
+   * has gone are ended first: waiting ones are dropped, running ones aborted.
    */
   cleanup() {
     const now = Date.now();
     const maxAge = 24 * 60 * 60 * 1000; // 24 hours
 
     for (const [tournamentId, tournament] of this.tournaments.entries()) {
+      if (!this.rooms.getRoom(tournament.roomId)) {
+        if (tournament.status === 'waiting') {
+          this.deleteTournament(tournamentId);
+          console.log(`[Tournament] Cleaned up tournament without a room: ${tournamentId}`);
+          continue;
+        }
+        if (tournament.status === 'active' || tournament.status === 'paused') {
+          this.abortTournament(tournamentId, 'room_closed');
+        }
+      }
+
       const tournamentAge = now - new Date(tournament.createdAt).getTime();
       
-      if (tournament.status === 'completed' && tournamentAge > maxAge) {
-        // Remove bots associated with this tournament
-        tournament.players.forEach((player, playerId) => {
-          if (player.isBot) {
-            botService.removeBot(playerId);
-          }
-          this.players.delete(playerId);
-        });
-        
-        this.tournaments.delete(tournamentId);
+      if ((tournament.status === 'completed' || tournament.status === 'aborted') && tournamentAge > maxAge) {
+        // Removes bots associated with this tournament too
+        this.deleteTournament(tournamentId);
         console.log(`[Tournament] Cleaned up old tournament: ${tournamentId}`);
       }
     }
@@ -372,12 +2100,12 @@ class TournamentService {
   /**
    * Auto-fill tournament with bots to reach desired player count
    */
-  autoFillWithBots(tournamentId) {
+  autoFillWithBots(tournamentId, targetSize = null) {
     const tournament = this.tournaments.get(tournamentId);
     if (!tournament) return false;
 
     const currentPlayerCount = tournament.players.size;
-    const maxPlayers = tournament.settings.maxPlayers;
+    const maxPlayers = Math.min(targetSize || tournament.settings.maxPlayers, tournament.settings.maxPlayers);
     const botsNeeded = Math.max(0, maxPlayers - currentPlayerCount);
 
     if (botsNeeded === 0) {
@@ -395,7 +2123,7 @@ class TournamentService {
       const skillLevel = botSkillLevels[i % botSkillLevels.length];
       
       try {
-        const bot = botService.createBot(gameType, skillLevel);
+        const bot = this.bots.createBot(gameType, skillLevel);
         
         // Add bot as a player to the tournament
         this.addPlayer(tournamentId, bot.id, {
@@ -403,6 +2131,7 @@ class TournamentService {
           isBot: true,
           botSkillLevel: skillLevel
         });
+        this.recordEvent(tournament, LOG_EVENTS.BOT_ADDED, { playerId: bot.id, name: bot.name, skillLevel });
 
         console.log(`[Tournament] Added ${skillLevel} bot ${bot.id} to tournament ${tournamentId}`);
       } catch (error) {
@@ -426,7 +2155,7 @@ class TournamentService {
    */
   getBotForPlayer(playerId) {
     if (this.isPlayerBot(playerId)) {
-      return botService.getBot(playerId);
+      return this.bots.getBot(playerId);
     }
     return null;
   }
@@ -441,9 +2170,9 @@ class TournamentService {
     let botCount = 0;
     for (const [playerId, player] of tournament.players) {
       if (player.isBot) {
-        const bot = botService.getBot(playerId);
+        const bot = this.bots.getBot(playerId);
         if (bot) {
-          botService.startBot(playerId, roundData);
+          this.bots.startBot(playerId, roundData);
           botCount++;
         }
       }
@@ -467,7 +2196,7 @@ class TournamentService {
         const finalScore = result.score || player.totalScore;
         const gameTime = result.gameTime || 0;
         
-        botService.stopBot(playerId, finalScore, gameTime);
+        this.bots.stopBot(playerId, finalScore, gameTime);
         botCount++;
       }
     }
@@ -487,7 +2216,7 @@ class TournamentService {
 
     for (const [playerId, player] of tournament.players) {
       if (player.isBot) {
-        const decision = botService.makeBotDecision(playerId, gameState);
+        const decision = this.bots.makeBotDecision(playerId, gameState);
         if (decision) {
           botDecisions[playerId] = decision;
         }
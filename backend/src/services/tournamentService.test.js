@@ -1,12 +1,38 @@
-import tournamentService from './tournamentService.js';
+import { jest } from '@jest/globals';
+import tournamentService, { TOURNAMENT_EVENTS, LOG_EVENTS } from './tournamentService.js';
+import botService from './botService.js';
+import roomService from './roomService.js';
 
 describe('TournamentService', () => {
   beforeEach(() => {
     // Clear all tournaments and players before each test
     tournamentService.tournaments.clear();
     tournamentService.players.clear();
+    tournamentService.logs.clear();
+    tournamentService.roundTimers.forEach(timer => clearTimeout(timer));
+    tournamentService.roundTimers.clear();
   });
 
+  /**
+   * Active tournament without bots, joined by player-1 to player-N
+   */
+  const createWithPlayers = (settings, playerCount = 3) => {
+    const tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false, ...settings });
+    for (let i = 1; i <= playerCount; i++) {
+      tournamentService.addPlayer(tournament.id, `player-${i}`);
+    }
+    tournament.status = 'active';
+    return tournament;
+  };
+
+  /**
+   * Start the next round and submit the scores in player order
+   */
+  const playRound = (tournament, scores) => {
+    tournamentService.startNextRound(tournament.id);
+    scores.forEach((score, i) => tournamentService.submitRoundScore(`player-${i + 1}`, score));
+  };
+
   describe('createTournament', () => {
     test('should create a new tournament with default settings', () => {
       const roomId = 'test-room-123';
@@ -20,7 +46,8 @@ describe('TournamentService', () => {
         settings: expect.objectContaining({
           autoStartDelay: 5000,
           roundDuration: 60000,
-          gameRotation: ['jetpack']
+          gameRotation: ['jetpack'],
+          replaceWithBots: false
         })
       });
 
@@ -45,6 +72,61 @@ describe('TournamentService', () => {
     });
   });
 
+  describe('game selection', () => {
+    test('should store a seed that reproduces the game order', () => {
+      const settings = {
+        autoFillWithBots: false,
+        seed: 'league-night',
+        gameSelection: 'shuffle-bag',
+        gameRotation: ['jetpack', 'runner', 'maze']
+      };
+      const orders = [1, 2].map(() => {
+        const tournament = tournamentService.createTournament('room-123', settings);
+        tournamentService.addPlayer(tournament.id, 'player-1');
+        tournamentService.startTournament(tournament.id);
+        tournamentService.startNextRound(tournament.id);
+        tournamentService.startNextRound(tournament.id);
+        tournamentService.completeTournament(tournament.id);
+        tournamentService.removePlayer(tournament.id, 'player-1');
+        return { seed: tournament.seed, games: tournament.rounds.map(round => round.game) };
+      });
+
+      expect(orders[0]).toEqual(orders[1]);
+      expect([...orders[0].games].sort()).toEqual(['jetpack', 'maze', 'runner']);
+    });
+
+    test('should reject an unknown selection strategy', () => {
+      expect(() => tournamentService.createTournament('room-123', { gameSelection: 'chaos' }))
+        .toThrow('Unsupported game selection strategy');
+
+      const tournament = tournamentService.createTournament('room-123');
+      expect(() => tournamentService.updateSettings(tournament.id, { gameSelection: 'chaos' }))
+        .toThrow('Unsupported game selection strategy');
+    });
+  });
+
+  describe('updateSettings', () => {
+    test('should merge settings while waiting', () => {
+      const tournament = tournamentService.createTournament('room-123');
+
+      tournamentService.updateSettings(tournament.id, { maxRounds: 5, roundDuration: 30000 });
+
+      expect(tournament.maxRounds).toBe(5);
+      expect(tournament.settings.roundDuration).toBe(30000);
+      expect(tournament.settings.gameRotation).toEqual(['jetpack']);
+    });
+
+    test('should reject changes once the tournament has started', () => {
+      const tournament = tournamentService.createTournament('room-123');
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.startTournament(tournament.id);
+
+      expect(() => tournamentService.updateSettings(tournament.id, { maxRounds: 5 })).toThrow(
+        'Cannot change settings of a tournament in progress'
+      );
+    });
+  });
+
   describe('addPlayer', () => {
     test('should add player to tournament', () => {
       const tournament = tournamentService.createTournament('room-123');
@@ -69,6 +151,38 @@ describe('TournamentService', () => {
       });
     });
 
+    test('should name players who join without a name', () => {
+      const tournament = tournamentService.createTournament('room-123');
+
+      const player = tournamentService.addPlayer(tournament.id, 'player-4567', { name: undefined });
+
+      expect(player.name).toBe('Player_4567');
+    });
+
+    test('should keep a well-formed player key and refuse others', () => {
+      const tournament = tournamentService.createTournament('room-123');
+
+      const player = tournamentService.addPlayer(tournament.id, 'player-1', { playerKey: 'alice-key-1' });
+
+      expect(player.playerKey).toBe('alice-key-1');
+      expect(() => tournamentService.addPlayer(tournament.id, 'player-2', { playerKey: 'a b' })).toThrow(
+        expect.objectContaining({ code: 'INVALID_PLAYER_KEY' })
+      );
+    });
+
+    test('should keep a reported rating and refuse one out of range', () => {
+      const tournament = tournamentService.createTournament('room-123');
+
+      const player = tournamentService.addPlayer(tournament.id, 'player-1', { rating: 1450 });
+
+      expect(player.rating).toBe(1450);
+      [-1, 5001, 1450.5, '1450', null].forEach(rating => {
+        expect(() => tournamentService.addPlayer(tournament.id, 'player-2', { rating })).toThrow(
+          expect.objectContaining({ code: 'INVALID_RATING' })
+        );
+      });
+    });
+
     test('should throw error when tournament not found', () => {
       expect(() => {
         tournamentService.addPlayer('nonexistent-tournament', 'player-123');
@@ -85,6 +199,27 @@ describe('TournamentService', () => {
     });
   });
 
+  describe('setConnectionState', () => {
+    test('should keep scores while the player reconnects', () => {
+      const tournament = tournamentService.createTournament('room-123');
+      const player = tournamentService.addPlayer(tournament.id, 'player-1');
+      player.totalScore = 1200;
+
+      expect(player.connectionState).toBe('connected');
+      expect(tournamentService.setConnectionState('player-1', 'reconnecting')).toBe(true);
+
+      expect(tournament.players.get('player-1')).toMatchObject({
+        connectionState: 'reconnecting',
+        totalScore: 1200
+      });
+      expect(tournamentService.getPlayer('player-1').connectionState).toBe('reconnecting');
+    });
+
+    test('should return false for unknown player', () => {
+      expect(tournamentService.setConnectionState('unknown-player', 'disconnected')).toBe(false);
+    });
+  });
+
   describe('startTournament', () => {
     test('should start tournament and first round', () => {
       const tournament = tournamentService.createTournament('room-123');
@@ -144,7 +279,7 @@ describe('TournamentService', () => {
       const score = 1500;
       const result = tournamentService.submitRoundScore(playerId, score);
 
-      expect(result).toBe(true);
+      expect(result).toMatchObject({ status: 'accepted', round: 1, score });
       
       const player = tournament.players.get(playerId);
       expect(player.totalScore).toBe(score);
@@ -159,6 +294,85 @@ describe('TournamentService', () => {
       const result = tournamentService.submitRoundScore('unknown-player', 1000);
       expect(result).toBe(false);
     });
+
+    describe('repeat submissions', () => {
+      let tournament;
+
+      const startWith = (settings = {}) => {
+        tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false, ...settings });
+        tournamentService.addPlayer(tournament.id, 'player-1');
+        tournamentService.addPlayer(tournament.id, 'player-2');
+        tournamentService.startTournament(tournament.id);
+      };
+
+      afterEach(() => {
+        tournamentService.deleteTournament(tournament.id);
+      });
+
+      test('should count a retried submission once', () => {
+        startWith();
+        tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+        const retry = tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+
+        expect(retry).toMatchObject({ status: 'duplicate', submissionId: 'sub-1', score: 500 });
+        const player = tournament.players.get('player-1');
+        expect(player.totalScore).toBe(500);
+        expect(player.roundScores).toEqual([500]);
+        expect(player.totalPoints).toBe(500);
+      });
+
+      test('should still answer a retry after the round has closed', () => {
+        startWith();
+        tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+        tournamentService.submitRoundScore('player-2', 300, { submissionId: 'sub-2' });
+        expect(tournament.rounds[0].status).toBe('completed');
+
+        expect(tournamentService.submitRoundScore('player-2', 300, { submissionId: 'sub-2' })).toMatchObject({ status: 'duplicate', round: 1 });
+        expect(tournamentService.submitRoundScore('player-1', 300, { submissionId: 'sub-2' })).toBe(false);
+      });
+
+      test('should reject a second score by default', () => {
+        startWith();
+        tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+
+        expect(() => tournamentService.submitRoundScore('player-1', 900, { submissionId: 'sub-2' }))
+          .toThrow(expect.objectContaining({ code: 'SCORE_ALREADY_SUBMITTED' }));
+        expect(() => tournamentService.submitRoundScore('player-1', 900)).toThrow('Score already submitted for this round');
+        expect(tournament.players.get('player-1').totalScore).toBe(500);
+      });
+
+      test('should replace the score before the round closes when corrections are allowed', () => {
+        startWith({ scoreCorrections: 'allow' });
+        tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+        const correction = tournamentService.submitRoundScore('player-1', 350, { submissionId: 'sub-2' });
+
+        expect(correction).toMatchObject({ status: 'corrected', score: 350, previousScore: 500 });
+        const player = tournament.players.get('player-1');
+        expect(player.totalScore).toBe(350);
+        expect(player.roundScores).toEqual([350]);
+        expect(player.totalPoints).toBe(350);
+        expect(player.roundPoints).toEqual([350]);
+        expect(tournament.rounds[0].scores.get('player-1')).toBe(350);
+      });
+
+      test('should keep an audit trail of every attempt', () => {
+        startWith();
+        tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+        tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+        expect(() => tournamentService.submitRoundScore('player-1', 900)).toThrow();
+
+        const [round] = tournamentService.getScoreAudit(tournament.id);
+        expect(round.round).toBe(1);
+        expect(round.entries.map(entry => entry.action)).toEqual(['accepted', 'duplicate', 'rejected']);
+        expect(round.entries[2]).toMatchObject({ playerId: 'player-1', submissionId: null, score: 900, previousScore: 500 });
+      });
+
+      test('should only accept known correction policies', () => {
+        expect(() => tournamentService.createTournament('room-123', { scoreCorrections: 'sometimes' }))
+          .toThrow('Unsupported score correction policy: sometimes');
+        tournament = tournamentService.createTournament('room-123');
+      });
+    });
   });
 
   describe('updateLeaderboard', () => {
@@ -202,6 +416,124 @@ describe('TournamentService', () => {
     });
   });
 
+  describe('scoring modes', () => {
+    test('should rank by summed raw scores by default', () => {
+      const tournament = createWithPlayers({});
+      playRound(tournament, [50000, 100, 200]);
+      playRound(tournament, [10, 900, 700]);
+
+      expect(tournament.leaderboard.map(entry => [entry.playerId, entry.points, entry.totalScore])).toEqual([
+        ['player-1', 50010, 50010],
+        ['player-2', 1000, 1000],
+        ['player-3', 900, 900]
+      ]);
+    });
+
+    test('should rank by placement points and keep the raw scores alongside', () => {
+      const tournament = createWithPlayers({ scoringMode: 'placement', pointsTable: [10, 6, 3] });
+      playRound(tournament, [50000, 100, 200]);
+      playRound(tournament, [10, 900, 800]);
+
+      // player-1 and player-2 tie on points; the raw total decides
+      expect(tournament.leaderboard.map(entry => [entry.playerId, entry.points, entry.roundPoints])).toEqual([
+        ['player-1', 13, [10, 3]],
+        ['player-2', 13, [3, 10]],
+        ['player-3', 12, [6, 6]]
+      ]);
+      expect(tournament.leaderboard.find(entry => entry.playerId === 'player-1')).toMatchObject({
+        totalScore: 50010,
+        roundScores: [50000, 10]
+      });
+    });
+
+    test('should award placement points only once the round is complete', () => {
+      const tournament = createWithPlayers({ scoringMode: 'placement' });
+      tournamentService.startNextRound(tournament.id);
+      tournamentService.submitRoundScore('player-1', 500);
+
+      expect(tournament.players.get('player-1')).toMatchObject({ totalScore: 500, totalPoints: 0 });
+
+      tournamentService.submitRoundScore('player-2', 300);
+      tournamentService.submitRoundScore('player-3', 100);
+      tournamentService.clearRoundTimer(tournament.id);
+
+      expect(Object.fromEntries(tournament.rounds[0].points)).toEqual({ 'player-1': 10, 'player-2': 8, 'player-3': 6 });
+    });
+
+    test('should reject unknown scoring modes', () => {
+      expect(() => tournamentService.createTournament('room-123', { scoringMode: 'elo' }))
+        .toThrow('Unsupported scoring mode: elo');
+      const tournament = tournamentService.createTournament('room-123');
+      expect(() => tournamentService.updateSettings(tournament.id, { pointsTable: 'none' }))
+        .toThrow('Points table');
+    });
+  });
+
+  describe('tie-breaking', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should give tied players the same rank and skip the next one', () => {
+      const tournament = createWithPlayers({ maxRounds: 1 }, 4);
+      playRound(tournament, [300, 500, 300, 100]);
+
+      expect(tournament.leaderboard.map(entry => [entry.playerId, entry.rank])).toEqual([
+        ['player-2', 1], ['player-1', 2], ['player-3', 2], ['player-4', 4]
+      ]);
+    });
+
+    test('should break ties with the configured chain', () => {
+      const tournament = createWithPlayers({ maxRounds: 2, tieBreakers: ['lastRound', 'bestRound'] }, 4);
+      playRound(tournament, [400, 200, 100, 0]);
+      tournamentService.clearRoundTimer(tournament.id);
+      playRound(tournament, [100, 300, 400, 0]);
+
+      // Three players have 500; the last round decides between them
+      expect(tournament.leaderboard.map(entry => [entry.playerId, entry.rank])).toEqual([
+        ['player-3', 1], ['player-2', 2], ['player-1', 3], ['player-4', 4]
+      ]);
+    });
+
+    test('should reject unknown tie-breakers', () => {
+      expect(() => tournamentService.createTournament('room-123', { tieBreakers: ['coinFlip'] }))
+        .toThrow('Unsupported tie-breaker: coinFlip');
+    });
+
+    test('should play sudden death between tied leaders after the last round', () => {
+      jest.useFakeTimers();
+      const started = [];
+      const onRoundStarted = (payload) => started.push(payload);
+      tournamentService.on(TOURNAMENT_EVENTS.ROUND_STARTED, onRoundStarted);
+
+      const tournament = createWithPlayers({ maxRounds: 1, suddenDeath: true }, 4);
+      playRound(tournament, [500, 500, 300, 100]);
+
+      expect(tournament.status).toBe('active');
+      jest.advanceTimersByTime(3000);
+
+      expect(started[started.length - 1]).toMatchObject({ round: 2, suddenDeath: ['player-1', 'player-2'] });
+      expect(Array.from(tournament.rounds[1].playerStates.keys())).toEqual(['player-1', 'player-2']);
+
+      tournamentService.submitRoundScore('player-2', 50);
+      tournamentService.submitRoundScore('player-1', 20);
+      tournamentService.off(TOURNAMENT_EVENTS.ROUND_STARTED, onRoundStarted);
+
+      expect(tournament.status).toBe('completed');
+      expect(tournament.leaderboard.map(entry => [entry.playerId, entry.rank, entry.totalScore])).toEqual([
+        ['player-2', 1, 500], ['player-1', 2, 500], ['player-3', 3, 300], ['player-4', 4, 100]
+      ]);
+    });
+
+    test('should finish without sudden death when it is off', () => {
+      const tournament = createWithPlayers({ maxRounds: 1 }, 4);
+      playRound(tournament, [500, 500, 300, 100]);
+
+      expect(tournament.status).toBe('completed');
+      expect(tournament.leaderboard.filter(entry => entry.rank === 1)).toHaveLength(2);
+    });
+  });
+
   describe('getGhostData', () => {
     test('should return ghost data for all players', () => {
       const tournament = tournamentService.createTournament('room-123');
@@ -253,6 +585,10 @@ describe('TournamentService', () => {
   });
 
   describe('removePlayer', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
     test('should remove player from tournament', () => {
       const tournament = tournamentService.createTournament('room-123');
       const playerId = 'player-123';
@@ -272,5 +608,1088 @@ describe('TournamentService', () => {
       const result = tournamentService.removePlayer('unknown-tournament', 'player-123');
       expect(result).toBe(false);
     });
+
+    test('should complete the round when the only unfinished player leaves', () => {
+      jest.useFakeTimers();
+      const tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.addPlayer(tournament.id, 'player-2');
+      tournamentService.startTournament(tournament.id);
+      tournamentService.submitRoundScore('player-1', 500);
+
+      tournamentService.removePlayer(tournament.id, 'player-2');
+
+      expect(tournament.rounds[0].status).toBe('completed');
+    });
+  });
+
+  describe('round timer', () => {
+    let tournament;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      tournament = tournamentService.createTournament('room-123', {
+        autoFillWithBots: false,
+        roundDuration: 10000
+      });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.addPlayer(tournament.id, 'player-2');
+      tournamentService.startTournament(tournament.id);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should stamp the round with its end time', () => {
+      const round = tournament.rounds[0];
+      const duration = new Date(round.endsAt).getTime() - new Date(round.startedAt).getTime();
+
+      expect(duration).toBe(10000);
+      expect(tournamentService.roundTimers.has(tournament.id)).toBe(true);
+    });
+
+    test('should mark unfinished players DNF when time runs out', () => {
+      tournamentService.submitRoundScore('player-1', 800);
+
+      jest.advanceTimersByTime(9999);
+      expect(tournament.rounds[0].status).toBe('active');
+
+      jest.advanceTimersByTime(1);
+      const round = tournament.rounds[0];
+      const straggler = tournament.players.get('player-2');
+
+      expect(round.status).toBe('completed');
+      expect(round.playerStates.get('player-2').status).toBe('dnf');
+      expect(round.scores.get('player-2')).toBe(0);
+      expect(straggler.roundScores).toEqual([0]);
+      expect(straggler.dnfCount).toBe(1);
+      expect(tournament.players.get('player-1').dnfCount).toBe(0);
+    });
+
+    test('should use the configured DNF score', () => {
+      tournament.settings.dnfScore = 50;
+
+      jest.advanceTimersByTime(10000);
+
+      expect(tournament.rounds[0].scores.get('player-1')).toBe(50);
+      expect(tournament.players.get('player-2').totalScore).toBe(50);
+    });
+
+    test('should stop the clock when everyone finishes early', () => {
+      tournamentService.submitRoundScore('player-1', 800);
+      tournamentService.submitRoundScore('player-2', 600);
+
+      expect(tournament.rounds[0].status).toBe('completed');
+
+      jest.advanceTimersByTime(10000);
+      expect(tournament.rounds[0].playerStates.get('player-2').status).toBe('finished');
+      expect(tournament.players.get('player-2').dnfCount).toBe(0);
+    });
+
+    test('should ignore a late submission once the round has closed', () => {
+      jest.advanceTimersByTime(10000);
+
+      expect(tournamentService.submitRoundScore('player-1', 800)).toBe(false);
+      expect(tournament.players.get('player-1').totalScore).toBe(0);
+    });
+
+    test('should clear the clock when the tournament completes', () => {
+      tournamentService.completeTournament(tournament.id);
+
+      expect(tournamentService.roundTimers.has(tournament.id)).toBe(false);
+    });
+  });
+
+  describe('lifecycle events', () => {
+    let tournament;
+    let events;
+    const record = (name) => (payload) => events.push({ name, payload });
+    const listeners = Object.values(TOURNAMENT_EVENTS).map(name => [name, record(name)]);
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      events = [];
+      listeners.forEach(([name, listener]) => tournamentService.on(name, listener));
+      tournament = tournamentService.createTournament('room-123', {
+        autoFillWithBots: false,
+        maxRounds: 2,
+        gameRotation: ['jetpack', 'runner'],
+        intermissionDuration: 5000
+      });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+    });
+
+    afterEach(() => {
+      listeners.forEach(([name, listener]) => tournamentService.off(name, listener));
+      jest.useRealTimers();
+    });
+
+    test('should emit round_started with the round number and game', () => {
+      tournamentService.startTournament(tournament.id);
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        name: 'round_started',
+        payload: { tournamentId: tournament.id, roomId: 'room-123', round: 1, maxRounds: 2, game: 'jetpack' }
+      });
+    });
+
+    test('should emit round_completed and intermission between rounds', () => {
+      tournamentService.startTournament(tournament.id);
+      tournamentService.submitRoundScore('player-1', 700);
+
+      expect(events.map(event => event.name)).toEqual(['round_started', 'round_completed', 'intermission']);
+      expect(events[1].payload).toMatchObject({ round: 1, game: 'jetpack', scores: { 'player-1': 700 } });
+      expect(events[2].payload).toMatchObject({ nextRound: 2, duration: 5000 });
+
+      jest.advanceTimersByTime(5000);
+
+      expect(events[3]).toMatchObject({ name: 'round_started', payload: { round: 2, game: 'runner' } });
+    });
+
+    test('should emit tournament_completed with final standings after the last round', () => {
+      tournamentService.startTournament(tournament.id);
+      tournamentService.submitRoundScore('player-1', 700);
+      jest.advanceTimersByTime(5000);
+      tournamentService.submitRoundScore('player-1', 300);
+
+      const names = events.map(event => event.name);
+      expect(names.slice(-2)).toEqual(['round_completed', 'tournament_completed']);
+      expect(events[events.length - 1].payload.standings).toEqual([
+        expect.objectContaining({ rank: 1, playerId: 'player-1', totalScore: 1000 })
+      ]);
+      expect(tournament.status).toBe('completed');
+    });
+
+    test('should only announce completion once', () => {
+      tournamentService.completeTournament(tournament.id);
+      tournamentService.completeTournament(tournament.id);
+
+      expect(events.filter(event => event.name === 'tournament_completed')).toHaveLength(1);
+    });
+  });
+
+  describe('elimination format', () => {
+    let tournament;
+    let eliminations;
+    const onEliminated = (payload) => eliminations.push(payload);
+
+    const startWith = (settings, playerCount) => {
+      tournament = tournamentService.createTournament('room-123', {
+        autoFillWithBots: false,
+        format: 'elimination',
+        maxRounds: 5,
+        ...settings
+      });
+      for (let i = 1; i <= playerCount; i++) {
+        tournamentService.addPlayer(tournament.id, `player-${i}`);
+      }
+      tournamentService.startTournament(tournament.id);
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      eliminations = [];
+      tournamentService.on(TOURNAMENT_EVENTS.PLAYERS_ELIMINATED, onEliminated);
+    });
+
+    afterEach(() => {
+      tournamentService.off(TOURNAMENT_EVENTS.PLAYERS_ELIMINATED, onEliminated);
+      jest.useRealTimers();
+    });
+
+    test('should eliminate the lowest round scores after each round', () => {
+      startWith({ eliminationCount: 1 }, 3);
+      tournamentService.submitRoundScore('player-1', 500);
+      tournamentService.submitRoundScore('player-2', 100);
+      tournamentService.submitRoundScore('player-3', 300);
+
+      const knockedOut = tournament.players.get('player-2');
+      expect(knockedOut.gameState).toBe('eliminated');
+      expect(knockedOut.eliminatedInRound).toBe(1);
+      expect(tournament.rounds[0].eliminated).toEqual(['player-2']);
+      expect(eliminations[0]).toMatchObject({
+        round: 1,
+        eliminated: [{ playerId: 'player-2', roundScore: 100 }],
+        remaining: 2
+      });
+    });
+
+    test('should eliminate a percentage of the remaining players', () => {
+      startWith({ eliminationPercent: 50 }, 4);
+      [100, 200, 300, 400].forEach((score, i) => tournamentService.submitRoundScore(`player-${i + 1}`, score));
+
+      expect(tournament.rounds[0].eliminated.sort()).toEqual(['player-1', 'player-2']);
+    });
+
+    test('should leave eliminated players out of the next round', () => {
+      startWith({ eliminationCount: 1 }, 3);
+      tournamentService.submitRoundScore('player-1', 500);
+      tournamentService.submitRoundScore('player-2', 100);
+      tournamentService.submitRoundScore('player-3', 300);
+      jest.advanceTimersByTime(3000);
+
+      const round = tournament.rounds[1];
+      expect(round.playerStates.has('player-2')).toBe(false);
+      expect(tournamentService.submitRoundScore('player-2', 900)).toBe(false);
+      expect(tournamentService.updatePlayerPosition('player-2', { x: 1, y: 1 })).toBe(false);
+
+      tournamentService.submitRoundScore('player-1', 500);
+      tournamentService.submitRoundScore('player-3', 300);
+      expect(round.status).toBe('completed');
+    });
+
+    test('should end early once one player remains', () => {
+      startWith({ eliminationCount: 1 }, 2);
+      tournamentService.submitRoundScore('player-1', 500);
+      tournamentService.submitRoundScore('player-2', 100);
+
+      expect(tournament.status).toBe('completed');
+      expect(tournament.rounds).toHaveLength(1);
+      expect(tournament.leaderboard.map(entry => entry.playerId)).toEqual(['player-1', 'player-2']);
+    });
+
+    test('should rank survivors ahead of higher-scoring eliminated players', () => {
+      startWith({ eliminationCount: 1 }, 3);
+      tournamentService.submitRoundScore('player-1', 200);
+      tournamentService.submitRoundScore('player-2', 150);
+      tournamentService.submitRoundScore('player-3', 100);
+      jest.advanceTimersByTime(3000);
+      tournamentService.submitRoundScore('player-1', 10);
+      tournamentService.submitRoundScore('player-2', 20);
+
+      expect(tournament.status).toBe('completed');
+      expect(tournament.leaderboard.map(entry => entry.playerId)).toEqual(['player-2', 'player-1', 'player-3']);
+      expect(tournament.leaderboard[2].eliminatedInRound).toBe(1);
+    });
+
+    test('should reject an unknown format', () => {
+      expect(() => tournamentService.createTournament('room-123', { format: 'knockout' }))
+        .toThrow('Unsupported tournament format');
+    });
+  });
+
+  describe('bracket format', () => {
+    let tournament;
+    let bracketUpdates;
+    const onBracketUpdated = (payload) => bracketUpdates.push(payload);
+
+    const startBracket = (settings, playerCount) => {
+      tournament = tournamentService.createTournament('room-123', {
+        format: 'bracket',
+        seeding: 'rating',
+        ...settings
+      });
+      for (let i = 1; i <= playerCount; i++) {
+        tournamentService.addPlayer(tournament.id, `player-${i}`, { rating: 2000 - i * 100 });
+      }
+      tournamentService.startTournament(tournament.id);
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      bracketUpdates = [];
+      tournamentService.on(TOURNAMENT_EVENTS.BRACKET_UPDATED, onBracketUpdated);
+    });
+
+    afterEach(() => {
+      tournamentService.off(TOURNAMENT_EVENTS.BRACKET_UPDATED, onBracketUpdated);
+      Array.from(tournamentService.tournaments.keys()).forEach(id => tournamentService.deleteTournament(id));
+      jest.useRealTimers();
+    });
+
+    test('should only put players with a match into the round', () => {
+      startBracket({ autoFillWithBots: false }, 3);
+      const round = tournament.rounds[0];
+
+      // Seed 1 has a bye, so only seeds 2 and 3 play
+      expect(Array.from(round.playerStates.keys()).sort()).toEqual(['player-2', 'player-3']);
+      expect(tournament.maxRounds).toBe(2);
+      expect(bracketUpdates).toHaveLength(1);
+    });
+
+    test('should play the bracket out and crown the champion', () => {
+      startBracket({ autoFillWithBots: false }, 4);
+      tournamentService.submitRoundScore('player-1', 900);
+      tournamentService.submitRoundScore('player-4', 100);
+      tournamentService.submitRoundScore('player-2', 200);
+      tournamentService.submitRoundScore('player-3', 800);
+
+      expect(tournament.players.get('player-4').gameState).toBe('eliminated');
+      expect(tournament.players.get('player-2').gameState).toBe('eliminated');
+
+      jest.advanceTimersByTime(3000);
+      expect(Array.from(tournament.rounds[1].playerStates.keys()).sort()).toEqual(['player-1', 'player-3']);
+
+      tournamentService.submitRoundScore('player-1', 100);
+      tournamentService.submitRoundScore('player-3', 500);
+
+      expect(tournament.status).toBe('completed');
+      expect(tournament.bracket.championId).toBe('player-3');
+      expect(tournament.leaderboard[0].playerId).toBe('player-3');
+      expect(tournament.leaderboard[1].playerId).toBe('player-1');
+    });
+
+    test('should fill byes with bots that play their matches', () => {
+      startBracket({}, 3);
+      const bots = Array.from(tournament.players.values()).filter(player => player.isBot);
+
+      expect(tournament.players.size).toBe(4);
+      expect(bots).toHaveLength(1);
+
+      // The bot is seeded last and meets seed 1; it finishes once every human has
+      const match = tournament.bracket.matches.find(m => m.players.includes(bots[0].id));
+      expect(match.players).toEqual(['player-1', bots[0].id]);
+
+      tournamentService.submitRoundScore('player-1', 700);
+      tournamentService.submitRoundScore('player-2', 600);
+      expect(tournament.rounds[0].scores.has(bots[0].id)).toBe(false);
+
+      tournamentService.submitRoundScore('player-3', 500);
+      expect(tournament.rounds[0].scores.has(bots[0].id)).toBe(true);
+      expect(match.status).toBe('completed');
+    });
+
+    test('should expose the bracket with names and seeds', () => {
+      startBracket({ autoFillWithBots: false, bracketType: 'double' }, 2);
+
+      const view = tournamentService.getBracketView(tournament.id);
+
+      expect(view.type).toBe('double');
+      expect(view.matches.map(match => match.id)).toEqual(['W1-1', 'GF']);
+      expect(view.matches[0].players[0]).toMatchObject({ playerId: 'player-1', seed: 1 });
+    });
+
+    test('should reject an unknown bracket type', () => {
+      expect(() => tournamentService.createTournament('room-123', { format: 'bracket', bracketType: 'swiss' }))
+        .toThrow('Unsupported bracket type');
+    });
+  });
+
+  describe('teams', () => {
+    afterEach(() => {
+      Array.from(tournamentService.tournaments.keys()).forEach(id => tournamentService.deleteTournament(id));
+      jest.useRealTimers();
+    });
+
+    test('should put new players on the smallest team', () => {
+      const tournament = tournamentService.createTournament('room-123', { teamCount: 2, teamAssignment: 'manual' });
+      ['player-1', 'player-2', 'player-3'].forEach(id => tournamentService.addPlayer(tournament.id, id));
+
+      expect(tournament.players.get('player-1').teamId).toBe('team-1');
+      expect(tournament.players.get('player-2').teamId).toBe('team-2');
+      expect(tournament.teams.get('team-1').playerIds).toEqual(['player-1', 'player-3']);
+    });
+
+    test('should let players switch teams in manual mode until the team is full', () => {
+      const tournament = tournamentService.createTournament('room-123', {
+        teamCount: 2,
+        teamAssignment: 'manual',
+        maxPlayers: 4
+      });
+      ['player-1', 'player-2', 'player-3'].forEach(id => tournamentService.addPlayer(tournament.id, id));
+
+      tournamentService.assignTeam('player-1', 'team-2');
+
+      expect(tournament.teams.get('team-2').playerIds).toEqual(['player-2', 'player-1']);
+      expect(tournamentService.getPlayer('player-1').teamId).toBe('team-2');
+      expect(() => tournamentService.assignTeam('player-3', 'team-2')).toThrow('Team is full');
+      expect(() => tournamentService.assignTeam('player-3', 'team-9')).toThrow('Team not found');
+    });
+
+    test('should refuse manual moves when teams are balanced', () => {
+      const tournament = tournamentService.createTournament('room-123', { teamCount: 2 });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+
+      expect(() => tournamentService.assignTeam('player-1', 'team-2')).toThrow('balanced automatically');
+    });
+
+    test('should balance humans by rating and fill the gaps with bots evenly', () => {
+      jest.useFakeTimers();
+      const tournament = tournamentService.createTournament('room-123', { teamCount: 2, maxPlayers: 6 });
+      [1500, 1400, 1300, 1200].forEach((rating, i) => {
+        tournamentService.addPlayer(tournament.id, `player-${i + 1}`, { rating });
+      });
+
+      tournamentService.startTournament(tournament.id);
+
+      const roster = teamId => tournament.teams.get(teamId).playerIds;
+      expect(roster('team-1').slice(0, 2)).toEqual(['player-1', 'player-4']);
+      expect(roster('team-2').slice(0, 2)).toEqual(['player-2', 'player-3']);
+      expect(roster('team-1')).toHaveLength(3);
+      expect(roster('team-2')).toHaveLength(3);
+      expect(roster('team-1').filter(id => tournament.players.get(id).isBot)).toHaveLength(1);
+    });
+
+    test('should draft players who reported no rating at the default rating', () => {
+      const tournament = tournamentService.createTournament('room-123', { teamCount: 2, autoFillWithBots: false });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      [1500, 900, 1100].forEach((rating, i) => {
+        tournamentService.addPlayer(tournament.id, `player-${i + 2}`, { rating });
+      });
+
+      tournamentService.startTournament(tournament.id);
+
+      expect(tournament.teams.get('team-1').playerIds).toEqual(['player-2', 'player-3']);
+      expect(tournament.teams.get('team-2').playerIds).toEqual(['player-4', 'player-1']);
+      tournamentService.deleteTournament(tournament.id);
+    });
+
+    test('should publish a team leaderboard using the scoring rule', () => {
+      jest.useFakeTimers();
+      const tournament = tournamentService.createTournament('room-123', {
+        teamCount: 2,
+        teamAssignment: 'manual',
+        teamScoring: 'best',
+        teamBestOf: 1,
+        autoFillWithBots: false
+      });
+      ['player-1', 'player-2', 'player-3', 'player-4'].forEach(id => tournamentService.addPlayer(tournament.id, id));
+      tournamentService.startTournament(tournament.id);
+
+      tournamentService.submitRoundScore('player-1', 100);
+      tournamentService.submitRoundScore('player-3', 300);
+      tournamentService.submitRoundScore('player-2', 250);
+      tournamentService.submitRoundScore('player-4', 50);
+
+      expect(tournament.teamLeaderboard.map(entry => [entry.teamId, entry.totalScore])).toEqual([
+        ['team-1', 300],
+        ['team-2', 250]
+      ]);
+      expect(tournament.leaderboard[0].playerId).toBe('player-3');
+    });
+
+    test('should rebuild rosters when the team count changes', () => {
+      const tournament = tournamentService.createTournament('room-123', { teamCount: 2, teamAssignment: 'manual' });
+      ['player-1', 'player-2', 'player-3'].forEach(id => tournamentService.addPlayer(tournament.id, id));
+
+      tournamentService.updateSettings(tournament.id, { teamCount: 3 });
+
+      expect(tournament.teams.size).toBe(3);
+      expect(Array.from(tournament.teams.values()).map(team => team.playerIds.length)).toEqual([1, 1, 1]);
+
+      tournamentService.updateSettings(tournament.id, { teamCount: 0 });
+      expect(tournament.teams).toBeNull();
+      expect(tournamentService.getTeams(tournament.id)).toBeNull();
+    });
+  });
+
+  describe('swiss format', () => {
+    let tournament;
+    let pairings;
+    const onPairings = (payload) => pairings.push(payload);
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      pairings = [];
+      tournamentService.on(TOURNAMENT_EVENTS.SWISS_PAIRINGS, onPairings);
+    });
+
+    afterEach(() => {
+      tournamentService.off(TOURNAMENT_EVENTS.SWISS_PAIRINGS, onPairings);
+      Array.from(tournamentService.tournaments.keys()).forEach(id => tournamentService.deleteTournament(id));
+      jest.useRealTimers();
+    });
+
+    test('should allow large fields only in the swiss format', () => {
+      expect(() => tournamentService.createTournament('room-123', { maxPlayers: 32 }))
+        .toThrow('at most 8 players');
+      expect(() => tournamentService.createTournament('room-123', { format: 'swiss', maxPlayers: 64 })).not.toThrow();
+      expect(() => tournamentService.createTournament('room-123', { format: 'swiss', maxPlayers: 65 }))
+        .toThrow('at most 64 players');
+    });
+
+    test('should run sub-matches in parallel and merge them into one standings table', () => {
+      tournament = tournamentService.createTournament('room-123', {
+        format: 'swiss',
+        maxPlayers: 16,
+        autoFillWithBots: false
+      });
+      [1, 2, 3, 4, 5, 6].forEach(i => tournamentService.addPlayer(tournament.id, `player-${i}`, { rating: 2000 - i }));
+      tournamentService.startTournament(tournament.id);
+
+      expect(tournament.maxRounds).toBe(3);
+      expect(pairings[0].matches.map(match => match.players.map(p => p.playerId))).toEqual([
+        ['player-1', 'player-2'], ['player-3', 'player-4'], ['player-5', 'player-6']
+      ]);
+
+      [900, 100, 800, 200, 700, 300].forEach((score, i) => tournamentService.submitRoundScore(`player-${i + 1}`, score));
+      jest.advanceTimersByTime(3000);
+
+      // Winners meet winners, losers meet losers
+      expect(pairings[1].matches.map(match => match.players.map(p => p.playerId))).toEqual([
+        ['player-1', 'player-3'], ['player-5', 'player-2'], ['player-4', 'player-6']
+      ]);
+      expect(tournament.leaderboard[0]).toMatchObject({ swissPoints: 1, buchholz: 0 });
+    });
+
+    test('should give an odd player out a bye and fill only the gap with bots', () => {
+      tournament = tournamentService.createTournament('room-123', { format: 'swiss', maxPlayers: 16 });
+      [1, 2, 3].forEach(i => tournamentService.addPlayer(tournament.id, `player-${i}`));
+      tournamentService.startTournament(tournament.id);
+
+      expect(tournament.players.size).toBe(4);
+      expect(pairings[0].matches.every(match => !match.bye)).toBe(true);
+    });
+
+    test('should break ties on points with Buchholz', () => {
+      tournament = tournamentService.createTournament('room-123', {
+        format: 'swiss',
+        maxPlayers: 16,
+        maxRounds: 2,
+        autoFillWithBots: false
+      });
+      [1, 2, 3, 4].forEach(i => tournamentService.addPlayer(tournament.id, `player-${i}`, { rating: 2000 - i }));
+      tournamentService.startTournament(tournament.id);
+
+      // Round 1: player-1 beats player-2, player-4 beats player-3
+      [500, 100, 100, 500].forEach((score, i) => tournamentService.submitRoundScore(`player-${i + 1}`, score));
+      jest.advanceTimersByTime(3000);
+      // Round 2: player-1 vs player-4, player-2 vs player-3
+      tournamentService.submitRoundScore('player-1', 100);
+      tournamentService.submitRoundScore('player-4', 900);
+      tournamentService.submitRoundScore('player-2', 900);
+      tournamentService.submitRoundScore('player-3', 100);
+
+      expect(tournament.status).toBe('completed');
+      const standings = tournament.leaderboard.map(entry => [entry.playerId, entry.swissPoints, entry.buchholz]);
+      expect(standings).toEqual([
+        ['player-4', 2, 1],
+        ['player-1', 1, 3],
+        ['player-2', 1, 1],
+        ['player-3', 0, 3]
+      ]);
+    });
+  });
+
+  describe('rematch', () => {
+    const playOut = (settings = {}) => {
+      const tournament = tournamentService.createTournament('room-123', { maxRounds: 1, ...settings });
+      tournamentService.addPlayer(tournament.id, 'player-1', { name: 'Alice', rating: 1500 });
+      tournamentService.addPlayer(tournament.id, 'player-2', { name: 'Bob' });
+      tournamentService.addPlayer(tournament.id, 'player-3', { name: 'Cara' });
+      tournamentService.startTournament(tournament.id);
+      ['player-1', 'player-2', 'player-3'].forEach((playerId, i) => tournamentService.submitRoundScore(playerId, 300 - i * 100));
+      return tournament;
+    };
+
+    afterEach(() => {
+      Array.from(tournamentService.tournaments.keys()).forEach(id => tournamentService.deleteTournament(id));
+    });
+
+    test('should only accept votes once the tournament is over', () => {
+      const tournament = tournamentService.createTournament('room-123');
+      tournamentService.addPlayer(tournament.id, 'player-1');
+
+      expect(() => tournamentService.requestRematch('player-1')).toThrow('Rematch is only possible once the tournament has finished');
+    });
+
+    test('should create the rematch once enough humans agree', () => {
+      const previous = playOut({ autoFillWithBots: true, gameRotation: ['jetpack', 'maze'] });
+      expect(previous.status).toBe('completed');
+      expect(previous.players.size).toBe(8);
+
+      const firstVote = tournamentService.requestRematch('player-1');
+      expect(firstVote).toMatchObject({ voteCount: 1, playerCount: 3, requiredCount: 2, thresholdMet: false, rematch: null });
+      expect(tournamentService.requestRematch('player-1', false)).toMatchObject({ voteCount: 0 });
+
+      tournamentService.requestRematch('player-1');
+      const { rematch, thresholdMet } = tournamentService.requestRematch('player-3');
+      expect(thresholdMet).toBe(true);
+
+      // Bots stay behind; the rematch fills up again when it starts
+      expect(rematch.players.size).toBe(3);
+      expect(() => tournamentService.requestRematch('player-2')).toThrow('Rematch is only possible once the tournament has finished');
+    });
+
+    test('should move the humans into a fresh tournament with the same settings', () => {
+      const previous = playOut({ gameRotation: ['jetpack', 'maze'], seed: 42 });
+      tournamentService.requestRematch('player-1');
+      const { rematch } = tournamentService.requestRematch('player-2');
+
+      expect(rematch).toMatchObject({ roomId: 'room-123', status: 'waiting' });
+      expect(rematch.id).not.toBe(previous.id);
+      expect(rematch.settings.gameRotation).toEqual(['jetpack', 'maze']);
+      expect(Array.from(rematch.players.keys())).toEqual(['player-1', 'player-2', 'player-3']);
+      expect(rematch.players.get('player-1')).toMatchObject({ name: 'Alice', rating: 1500, totalScore: 0 });
+      expect(tournamentService.getPlayer('player-2').tournamentId).toBe(rematch.id);
+      expect(previous.rematchTournamentId).toBe(rematch.id);
+
+      // Cleaning up the old tournament leaves the moved players alone
+      tournamentService.deleteTournament(previous.id);
+      expect(tournamentService.getPlayer('player-1').tournamentId).toBe(rematch.id);
+    });
+
+    test('should carry series wins forward', () => {
+      const previous = playOut();
+      expect(previous.series).toMatchObject({ number: 1, wins: { 'player-1': 1 } });
+
+      tournamentService.requestRematch('player-1');
+      const { rematch } = tournamentService.requestRematch('player-2');
+      tournamentService.startTournament(rematch.id);
+      ['player-1', 'player-2', 'player-3'].forEach((playerId, i) => tournamentService.submitRoundScore(playerId, 100 + i * 100));
+
+      expect(rematch.series).toMatchObject({
+        id: previous.id,
+        number: 2,
+        wins: { 'player-1': 1, 'player-3': 1 },
+        previousTournamentId: previous.id
+      });
+      expect(rematch.leaderboard[0]).toMatchObject({ playerId: 'player-3', seriesWins: 1 });
+      expect(previous.series.wins).toEqual({ 'player-1': 1 });
+    });
+
+    test('should not count votes of players who dropped out', () => {
+      const previous = playOut({ rematchThreshold: 1 });
+      previous.players.get('player-3').connectionState = 'disconnected';
+
+      tournamentService.requestRematch('player-1');
+      expect(tournamentService.getRematchState(previous.id)).toMatchObject({ voteCount: 1, playerCount: 2 });
+    });
+  });
+
+  describe('game voting', () => {
+    let tournament;
+    let updates;
+    const onUpdate = (payload) => updates.push(payload);
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      updates = [];
+      tournamentService.on(TOURNAMENT_EVENTS.GAME_VOTE_UPDATE, onUpdate);
+      tournament = tournamentService.createTournament('room-123', {
+        gameVoting: true,
+        gameVoteDuration: 8000,
+        gameRotation: ['jetpack', 'runner', 'maze', 'snake'],
+        maxPlayers: 3
+      });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.addPlayer(tournament.id, 'player-2');
+      tournamentService.startTournament(tournament.id);
+      tournamentService.submitRoundScore('player-1', 100);
+      tournamentService.submitRoundScore('player-2', 200);
+    });
+
+    afterEach(() => {
+      tournamentService.off(TOURNAMENT_EVENTS.GAME_VOTE_UPDATE, onUpdate);
+      tournamentService.deleteTournament(tournament.id);
+      jest.useRealTimers();
+    });
+
+    test('should open a vote with the bots already voted during a longer intermission', () => {
+      const state = tournamentService.getGameVoteState(tournament);
+
+      expect(state.round).toBe(2);
+      expect(state.candidates).toHaveLength(3);
+      expect(state.voteCount).toBe(1);
+      expect(tournament.nextRoundAt).toBe(new Date(Date.now() + 8000).toISOString());
+    });
+
+    test('should broadcast tallies and start the winning game', () => {
+      const [, second, third] = tournament.gameVote.candidates;
+      tournament.gameVote.votes.clear();
+
+      tournamentService.voteGame('player-1', second);
+      tournamentService.voteGame('player-2', third);
+      tournamentService.voteGame('player-2', second);
+
+      expect(updates).toHaveLength(3);
+      expect(updates[2]).toMatchObject({ playerId: 'player-2', game: second, voteCount: 2, tallies: { [second]: 2, [third]: 0 } });
+
+      jest.advanceTimersByTime(8000);
+      expect(tournament.rounds[1].game).toBe(second);
+      expect(tournament.gameVote).toBeNull();
+    });
+
+    test('should reject games that were not offered and votes outside the intermission', () => {
+      const notOffered = tournament.settings.gameRotation.find(game => !tournament.gameVote.candidates.includes(game));
+
+      expect(() => tournamentService.voteGame('player-1', notOffered)).toThrow('is not one of the offered games');
+
+      tournamentService.pauseTournament(tournament.id);
+      expect(() => tournamentService.voteGame('player-1', tournament.gameVote.candidates[0])).toThrow(
+        expect.objectContaining({ code: 'TOURNAMENT_PAUSED' })
+      );
+      tournamentService.resumeTournament(tournament.id);
+
+      jest.advanceTimersByTime(8000);
+      expect(() => tournamentService.voteGame('player-1', tournament.rounds[1].game)).toThrow('No game vote is open');
+    });
+
+    test('should keep the short intermission when voting is off', () => {
+      const plain = tournamentService.createTournament('room-456', { gameRotation: ['jetpack', 'runner'], autoFillWithBots: false });
+      tournamentService.addPlayer(plain.id, 'player-3');
+      tournamentService.startTournament(plain.id);
+      tournamentService.submitRoundScore('player-3', 100);
+
+      expect(plain.gameVote).toBeNull();
+      expect(() => tournamentService.createTournament('room-456', { gameVoteCandidates: 5 })).toThrow('Game vote candidates');
+    });
+  });
+
+  describe('pause, resume and abort', () => {
+    let tournament;
+    let events;
+    const listeners = [
+      TOURNAMENT_EVENTS.TOURNAMENT_PAUSED,
+      TOURNAMENT_EVENTS.TOURNAMENT_RESUMED,
+      TOURNAMENT_EVENTS.TOURNAMENT_ABORTED
+    ].map(eventName => [eventName, (payload) => events.push([eventName, payload])]);
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      events = [];
+      listeners.forEach(([eventName, listener]) => tournamentService.on(eventName, listener));
+      tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false, roundDuration: 10000 });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.addPlayer(tournament.id, 'player-2');
+      tournamentService.startTournament(tournament.id);
+    });
+
+    afterEach(() => {
+      listeners.forEach(([eventName, listener]) => tournamentService.off(eventName, listener));
+      tournamentService.deleteTournament(tournament.id);
+      jest.useRealTimers();
+    });
+
+    test('should freeze the round clock and ignore scores while paused', () => {
+      jest.advanceTimersByTime(4000);
+      tournamentService.pauseTournament(tournament.id);
+
+      expect(tournament.status).toBe('paused');
+      expect(events[0]).toEqual([TOURNAMENT_EVENTS.TOURNAMENT_PAUSED, expect.objectContaining({ round: 1, phase: 'round', remaining: 6000 })]);
+      expect(() => tournamentService.submitRoundScore('player-1', 500)).toThrow(
+        expect.objectContaining({ code: 'TOURNAMENT_PAUSED' })
+      );
+      expect(tournament.rounds[0].scores.has('player-1')).toBe(false);
+      expect(tournamentService.updatePlayerPosition('player-1', { x: 1, y: 1 })).toBe(false);
+
+      // Far past the original deadline, nobody is marked DNF
+      jest.advanceTimersByTime(60000);
+      expect(tournament.rounds[0].status).toBe('active');
+
+      tournamentService.resumeTournament(tournament.id);
+      expect(tournament.status).toBe('active');
+      expect(events[1][1]).toMatchObject({ phase: 'round', endsAt: new Date(Date.now() + 6000).toISOString() });
+
+      jest.advanceTimersByTime(6000);
+      expect(tournament.rounds[0].status).toBe('completed');
+      expect(tournament.players.get('player-1').dnfCount).toBe(1);
+    });
+
+    test('should keep what is left of the intermission', () => {
+      tournamentService.submitRoundScore('player-1', 100);
+      tournamentService.submitRoundScore('player-2', 200);
+      jest.advanceTimersByTime(1000);
+
+      tournamentService.pauseTournament(tournament.id);
+      expect(tournament.pause).toMatchObject({ phase: 'intermission', remaining: 2000 });
+      jest.advanceTimersByTime(10000);
+      expect(tournament.currentRound).toBe(1);
+
+      tournamentService.resumeTournament(tournament.id);
+      jest.advanceTimersByTime(2000);
+      expect(tournament.currentRound).toBe(2);
+    });
+
+    test('should only pause active and resume paused tournaments', () => {
+      expect(() => tournamentService.resumeTournament(tournament.id)).toThrow('Only a paused tournament can be resumed');
+      tournamentService.pauseTournament(tournament.id);
+      expect(() => tournamentService.pauseTournament(tournament.id)).toThrow('Only an active tournament can be paused');
+      expect(() => tournamentService.startTournament(tournament.id)).toThrow('Tournament has already started');
+    });
+
+    test('should abort for good and keep the standings so far', () => {
+      tournamentService.submitRoundScore('player-1', 700);
+      tournamentService.pauseTournament(tournament.id);
+      tournamentService.abortTournament(tournament.id);
+
+      expect(tournament.status).toBe('aborted');
+      expect(tournament.rounds[0].status).toBe('aborted');
+      expect(events[1]).toEqual([TOURNAMENT_EVENTS.TOURNAMENT_ABORTED, expect.objectContaining({
+        reason: 'host',
+        standings: expect.arrayContaining([expect.objectContaining({ playerId: 'player-1', totalScore: 700 })])
+      })]);
+
+      jest.advanceTimersByTime(60000);
+      expect(tournament.currentRound).toBe(1);
+      expect(() => tournamentService.abortTournament(tournament.id)).toThrow('Tournament has already ended');
+      expect(() => tournamentService.resumeTournament(tournament.id)).toThrow('Only a paused tournament can be resumed');
+    });
+
+    test('should clean up aborted tournaments once they are old', () => {
+      tournamentService.abortTournament(tournament.id);
+      tournamentService.cleanup();
+      expect(tournamentService.getTournament(tournament.id)).toBeDefined();
+
+      tournament.createdAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+      tournamentService.cleanup();
+
+      expect(tournamentService.getTournament(tournament.id)).toBeUndefined();
+      expect(tournamentService.getPlayer('player-1')).toBeUndefined();
+    });
+
+    test('should abort running tournaments whose room has closed', () => {
+      const room = roomService.createRoom('host-1');
+      const housed = tournamentService.createTournament(room.id, { autoFillWithBots: false });
+      const waiting = tournamentService.createTournament('room-gone');
+      tournamentService.pauseTournament(tournament.id);
+
+      tournamentService.cleanup();
+
+      expect(tournament.status).toBe('aborted');
+      expect(events.pop()).toEqual([TOURNAMENT_EVENTS.TOURNAMENT_ABORTED, expect.objectContaining({ reason: 'room_closed' })]);
+      expect(tournamentService.getTournament(waiting.id)).toBeUndefined();
+      expect(housed.status).toBe('waiting');
+
+      tournamentService.deleteTournament(housed.id);
+      roomService.deleteRoom(room.id);
+    });
+  });
+
+  describe('deleteTournament', () => {
+    test('should delete tournament with its players and bots', () => {
+      const tournament = tournamentService.createTournament('room-123', { maxPlayers: 3 });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.autoFillWithBots(tournament.id);
+      const botIds = Array.from(tournament.players.values())
+        .filter(player => player.isBot)
+        .map(player => player.id);
+
+      expect(tournamentService.getHumanCount(tournament.id)).toBe(1);
+      expect(tournamentService.deleteTournament(tournament.id)).toBe(true);
+
+      expect(tournamentService.getTournament(tournament.id)).toBeUndefined();
+      expect(tournamentService.getPlayer('player-1')).toBeUndefined();
+      botIds.forEach(botId => expect(botService.getBot(botId)).toBeUndefined());
+    });
+
+    test('should list tournaments by room', () => {
+      const first = tournamentService.createTournament('room-123');
+      const second = tournamentService.createTournament('room-123');
+      tournamentService.createTournament('room-456');
+
+      expect(tournamentService.getTournamentsByRoom('room-123')).toEqual([first, second]);
+    });
+  });
+
+  describe('ready-check', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should track ready humans against the threshold', () => {
+      const tournament = tournamentService.createTournament('room-123');
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.addPlayer(tournament.id, 'player-2');
+
+      const state = tournamentService.setPlayerReady('player-1', true);
+
+      expect(tournament.players.get('player-1').isReady).toBe(true);
+      expect(state).toMatchObject({
+        readyCount: 1,
+        playerCount: 2,
+        requiredCount: 2,
+        thresholdMet: false
+      });
+      expect(tournamentService.setPlayerReady('player-2', true).thresholdMet).toBe(true);
+    });
+
+    test('should honour a partial ready threshold', () => {
+      const tournament = tournamentService.createTournament('room-123', { readyThreshold: 0.5 });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.addPlayer(tournament.id, 'player-2');
+
+      expect(tournamentService.setPlayerReady('player-1', true).thresholdMet).toBe(true);
+    });
+
+    test('should reject ready toggles once the tournament has started', () => {
+      const tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.startTournament(tournament.id);
+
+      expect(() => tournamentService.setPlayerReady('player-1', true)).toThrow('Tournament already started');
+    });
+
+    test('should start the tournament when the countdown fires', () => {
+      const tournament = tournamentService.createTournament('room-123', {
+        autoStartDelay: 2000,
+        autoFillWithBots: false
+      });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      const onStart = jest.fn();
+
+      const startsAt = tournamentService.scheduleAutoStart(tournament.id, onStart);
+
+      expect(startsAt).toBe(tournament.autoStartAt);
+      jest.advanceTimersByTime(1999);
+      expect(tournament.status).toBe('waiting');
+      jest.advanceTimersByTime(1);
+      expect(tournament.status).toBe('active');
+      expect(onStart).toHaveBeenCalledWith(tournament);
+    });
+
+    test('should cancel the countdown when a player leaves', () => {
+      const tournament = tournamentService.createTournament('room-123', { autoStartDelay: 2000 });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.addPlayer(tournament.id, 'player-2');
+      const onStart = jest.fn();
+      tournamentService.scheduleAutoStart(tournament.id, onStart);
+
+      tournamentService.removePlayer(tournament.id, 'player-2');
+      jest.advanceTimersByTime(5000);
+
+      expect(tournament.autoStartAt).toBeNull();
+      expect(tournament.status).toBe('waiting');
+      expect(onStart).not.toHaveBeenCalled();
+      expect(tournamentService.cancelAutoStart(tournament.id)).toBe(false);
+    });
+  });
+
+  describe('bot stand-ins', () => {
+    let tournament;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false });
+      tournamentService.addPlayer(tournament.id, 'player-1', { name: 'Alice' });
+      tournamentService.addPlayer(tournament.id, 'player-2', { name: 'Bob' });
+      tournamentService.startTournament(tournament.id);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should hand a slot to a bot and keep the accumulated score', () => {
+      const player = tournament.players.get('player-2');
+      player.totalScore = 900;
+
+      const replacement = tournamentService.replaceWithBot('player-2', 'disconnected');
+
+      expect(replacement.bot.name).toBe('Bob (Bot)');
+      expect(player.standIn).toMatchObject({
+        botId: replacement.bot.id,
+        skillLevel: 'medium',
+        reason: 'disconnected'
+      });
+      expect(player.totalScore).toBe(900);
+      expect(tournamentService.replaceWithBot('player-2')).toBeNull();
+    });
+
+    test('should let the stand-in finish the round once everyone else has', () => {
+      tournamentService.replaceWithBot('player-2', 'disconnected');
+      expect(tournament.rounds[0].status).toBe('active');
+
+      tournamentService.submitRoundScore('player-1', 1000);
+
+      expect(tournament.rounds[0].status).toBe('completed');
+      expect(tournament.rounds[0].scores.get('player-2')).toBeGreaterThanOrEqual(0);
+      expect(tournament.players.get('player-2').roundScores).toHaveLength(1);
+    });
+
+    test('should finish the round straight away when only the stand-in was missing', () => {
+      tournamentService.submitRoundScore('player-1', 1000);
+
+      tournamentService.replaceWithBot('player-2', 'idle');
+
+      expect(tournament.rounds[0].status).toBe('completed');
+    });
+
+    test('should give the slot back to a returning human', () => {
+      const { bot } = tournamentService.replaceWithBot('player-2', 'disconnected');
+
+      expect(tournamentService.restoreFromBot('player-2')).toBe(true);
+
+      expect(tournament.players.get('player-2').standIn).toBeNull();
+      expect(botService.getBot(bot.id)).toBeUndefined();
+      expect(tournamentService.restoreFromBot('player-2')).toBe(false);
+    });
+
+    test('should match the bot tier to the player standing', () => {
+      tournament.players.get('player-1').roundScores = [2000];
+      tournament.players.get('player-1').totalScore = 2000;
+      tournament.players.get('player-2').roundScores = [100];
+      tournament.players.get('player-2').totalScore = 100;
+
+      expect(tournamentService.estimateSkillTier(tournament, 'player-1')).toBe('hard');
+      expect(tournamentService.estimateSkillTier(tournament, 'player-2')).toBe('easy');
+    });
+
+    test('should report players without recent position updates as idle', () => {
+      const now = Date.now();
+      tournamentService.updatePlayerPosition('player-1', { x: 1, y: 1 });
+
+      expect(tournamentService.findIdlePlayers(now + 29999)).toEqual([]);
+      expect(tournamentService.findIdlePlayers(now + 30000)).toEqual([
+        { tournamentId: tournament.id, playerId: 'player-1' },
+        { tournamentId: tournament.id, playerId: 'player-2' }
+      ]);
+
+      tournamentService.submitRoundScore('player-1', 500);
+      expect(tournamentService.findIdlePlayers(now + 30000)).toEqual([
+        { tournamentId: tournament.id, playerId: 'player-2' }
+      ]);
+    });
+  });
+
+  describe('event log', () => {
+    afterEach(() => {
+      Array.from(tournamentService.tournaments.keys()).forEach(id => tournamentService.deleteTournament(id));
+    });
+
+    test('should record commands and what they led to, in order', () => {
+      const tournament = tournamentService.createTournament('room-123', { maxRounds: 1, maxPlayers: 2, seed: 7 });
+      tournamentService.addPlayer(tournament.id, 'player-1', { name: 'Alice' });
+      tournamentService.startTournament(tournament.id);
+      const botId = Array.from(tournament.players.keys()).find(id => id !== 'player-1');
+      tournamentService.submitRoundScore('player-1', 500, { submissionId: 'sub-1' });
+
+      const log = tournamentService.getEventLog(tournament.id);
+      expect(log.map(event => event.type)).toEqual([
+        LOG_EVENTS.TOURNAMENT_CREATED,
+        LOG_EVENTS.PLAYER_JOINED,
+        LOG_EVENTS.TOURNAMENT_STARTED,
+        LOG_EVENTS.BOT_ADDED,
+        LOG_EVENTS.ROUND_STARTED,
+        LOG_EVENTS.SCORE_SUBMITTED,
+        LOG_EVENTS.BOT_SCORED,
+        LOG_EVENTS.ROUND_COMPLETED,
+        LOG_EVENTS.TOURNAMENT_COMPLETED
+      ]);
+      expect(log.map(event => event.seq)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(log[0].data).toEqual({ roomId: 'room-123', settings: { maxRounds: 1, maxPlayers: 2, seed: 7 }, seed: 7 });
+      expect(log[3].data).toMatchObject({ playerId: botId, skillLevel: 'easy' });
+      expect(log[5].data).toEqual({ playerId: 'player-1', score: 500, submissionId: 'sub-1', status: 'accepted' });
+      expect(log[8].data.standings).toBe(tournament.leaderboard);
+      expect(log[0].at).toEqual(expect.any(String));
+    });
+
+    test('should record rejected resubmissions and leave ghost positions out', () => {
+      const tournament = tournamentService.createTournament('room-123', { autoFillWithBots: false });
+      tournamentService.addPlayer(tournament.id, 'player-1');
+      tournamentService.addPlayer(tournament.id, 'player-2');
+      tournamentService.startTournament(tournament.id);
+      const logLength = tournamentService.getEventLog(tournament.id).length;
+      tournamentService.updatePlayerPosition('player-1', { x: 5, y: 2 });
+      expect(tournamentService.getEventLog(tournament.id)).toHaveLength(logLength);
+      tournamentService.submitRoundScore('player-1', 500);
+      expect(() => tournamentService.submitRoundScore('player-1', 900)).toThrow();
+
+      const scores = tournamentService.getEventLog(tournament.id).filter(event => event.type === LOG_EVENTS.SCORE_SUBMITTED);
+      expect(scores.map(event => event.data.status)).toEqual(['accepted', 'rejected']);
+    });
+
+    test('should drop the log with the tournament', () => {
+      const tournament = tournamentService.createTournament('room-123');
+      tournamentService.deleteTournament(tournament.id);
+
+      expect(tournamentService.getEventLog(tournament.id)).toBeNull();
+    });
   });
 });